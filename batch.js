@@ -0,0 +1,270 @@
+import fs from 'fs';
+import { join, resolve, basename, extname, dirname } from 'path';
+import { parseArgs } from 'util';
+import { CONFIG } from './src/config.js';
+import { createLogger, withJobContext } from './src/logger.js';
+import { createLlmBackend } from './src/llm.js';
+import { loadPersonaRegistry } from './src/personas.js';
+import { createVideoExtractor } from './src/video.js';
+import { createPipeline, createCaseRecord } from './src/pipeline.js';
+import { classifyDocument, normalizeDocument } from './src/documents.js';
+import { createRecordingBackend, createReplayBackend } from './src/replay.js';
+import { formatAge } from './src/metadata.js';
+
+// ======================================================================
+// 🗂️ BATCH CLI (Runs the pipeline on local folders, no Telegram needed)
+// ======================================================================
+// Uses the same environment (LLM_PROVIDER, API keys, frame and DICOM settings,
+// PERSONAS_FILE) as the bot. Outputs contain patient data; keep them private.
+
+const USAGE = `Usage: node batch.js <input>... [options]
+
+Each input is a case folder, a folder of case folders, or a manifest (.json):
+  { "cases": [{ "id": "case-01", "files": ["report.pdf", { "path": "scan.mp4", "caption": "CT" }],
+                "notes": ["H/o fever for 3 days"], "mode": "secondary", "persona": "mri", "fps": 2 }] }
+File paths in a manifest are relative to it; mode, persona and fps override the options below.
+
+Options:
+  --mode primary|secondary  Profile only, or profile plus the persona analysis (default primary)
+  --persona <id>            Persona for the secondary analysis (implies --mode secondary)
+  --fps 1|2|3               Video frames extracted per second (default 3)
+  --out <dir>               Where <case>.json, <case>.md and <case>.responses.json go (default ./batch-output)
+  --replay <dir>            Answer from the <case>.responses.json recorded there instead of calling the model
+  --help                    Show this message
+
+Live runs record every model response, so their output folder can be replayed later.`;
+
+const MEDIA_EXTENSIONS = {
+  mp3: { type: 'audio', mimeType: 'audio/mpeg' },
+  m4a: { type: 'audio', mimeType: 'audio/mp4' },
+  ogg: { type: 'audio', mimeType: 'audio/ogg' },
+  oga: { type: 'audio', mimeType: 'audio/ogg' },
+  opus: { type: 'audio', mimeType: 'audio/ogg' },
+  wav: { type: 'audio', mimeType: 'audio/wav' },
+  mp4: { type: 'video', mimeType: 'video/mp4' },
+  m4v: { type: 'video', mimeType: 'video/mp4' },
+  mov: { type: 'video', mimeType: 'video/quicktime' },
+  webm: { type: 'video', mimeType: 'video/webm' },
+  mkv: { type: 'video', mimeType: 'video/x-matroska' }
+};
+
+const DICOM_OPTIONS = {
+  maxSlicesPerSeries: CONFIG.DICOM_MAX_SLICES_PER_SERIES,
+  maxImages: CONFIG.DICOM_MAX_IMAGES,
+  maxDimension: CONFIG.DICOM_MAX_DIMENSION,
+  maxZipBytes: CONFIG.DICOM_ZIP_MAX_BYTES,
+  maxZipFiles: CONFIG.DICOM_ZIP_MAX_FILES
+};
+
+const extensionOf = (fileName) => extname(fileName).slice(1).toLowerCase();
+const isSupportedFile = (fileName) => !fileName.startsWith('.') && Boolean(MEDIA_EXTENSIONS[extensionOf(fileName)] || classifyDocument({ fileName }));
+// Case ids become file names
+const safeId = (id) => String(id).replace(/[^\w.-]/g, '_');
+
+// Reads one file into the buffer item the bot would have queued for it
+async function loadItem(path, caption = '') {
+  const fileName = basename(path);
+  const buffer = await fs.promises.readFile(path);
+  const media = MEDIA_EXTENSIONS[extensionOf(fileName)];
+  if (media) return { ...media, data: buffer.toString('base64'), caption };
+
+  const detected = classifyDocument({ fileName });
+  if (!detected) throw new Error(`${fileName} is not a supported file type`);
+  const item = await normalizeDocument(buffer, { ...detected, fileName, dicom: DICOM_OPTIONS });
+  if (item.type !== 'text') return { ...item, caption };
+  if (caption) item.content = `${caption}\n${item.content}`;
+  return item;
+}
+
+function readManifest(path, defaults) {
+  const manifest = JSON.parse(fs.readFileSync(path, 'utf8'));
+  const entries = Array.isArray(manifest) ? manifest : manifest.cases;
+  if (!Array.isArray(entries)) throw new Error(`${path} must be a list of cases or { "cases": [...] }`);
+
+  const baseDir = dirname(path);
+  return entries.map((entry, i) => ({
+    id: entry.id || `${basename(path, '.json')}-${i + 1}`,
+    input: path,
+    files: (entry.files || []).map(file => (typeof file === 'string'
+      ? { path: resolve(baseDir, file), caption: '' }
+      : { path: resolve(baseDir, file.path), caption: file.caption || '' })),
+    notes: entry.notes || [],
+    mode: entry.mode || (entry.persona ? 'secondary' : defaults.mode),
+    persona: entry.persona || defaults.persona,
+    fps: entry.fps || defaults.fps
+  }));
+}
+
+// A folder with supported files is one case; otherwise each of its subfolders is
+function readFolder(path, defaults) {
+  const entries = fs.readdirSync(path, { withFileTypes: true }).sort((a, b) => a.name.localeCompare(b.name));
+  const files = entries.filter(e => e.isFile() && isSupportedFile(e.name));
+  if (files.length > 0) {
+    return [{ ...defaults, id: basename(resolve(path)), input: path, files: files.map(e => ({ path: join(path, e.name), caption: '' })), notes: [] }];
+  }
+  return entries
+    .filter(e => e.isDirectory() && !e.name.startsWith('.'))
+    .flatMap(e => {
+      const dir = join(path, e.name);
+      const caseFiles = fs.readdirSync(dir).filter(isSupportedFile).sort();
+      return caseFiles.length > 0 ? [{ ...defaults, id: e.name, input: dir, files: caseFiles.map(name => ({ path: join(dir, name), caption: '' })), notes: [] }] : [];
+    });
+}
+
+function discoverCases(inputs, defaults) {
+  const cases = inputs.flatMap(input => {
+    if (!fs.existsSync(input)) throw new Error(`${input} does not exist`);
+    return fs.statSync(input).isDirectory() ? readFolder(input, defaults) : readManifest(input, defaults);
+  });
+  const seen = new Set();
+  for (const c of cases) {
+    if (seen.has(safeId(c.id))) throw new Error(`Two cases are named "${c.id}"; their outputs would overwrite each other`);
+    seen.add(safeId(c.id));
+  }
+  return cases;
+}
+
+function formatMarkdown(record, batchCase, personaName) {
+  const lines = [
+    `# Case ${batchCase.id}`,
+    '',
+    `- Input: ${batchCase.input}`,
+    `- Mode: ${record.mode}${record.persona ? ` (${personaName})` : ''}, ${record.targetFps} FPS`,
+    `- Status: ${record.status}`
+  ];
+  if (record.usage && record.usage.calls > 0) {
+    lines.push(`- Model calls: ${record.usage.calls} (${record.usage.inputTokens} input / ${record.usage.outputTokens} output tokens, $${record.usage.costUsd.toFixed(4)})`);
+  }
+  if (record.profile) lines.push('', '## Clinical Profile', '', record.profile);
+  if (record.metadata) {
+    const m = record.metadata;
+    lines.push('', '## Quick Reference', '',
+      `- MRN/Reg No: ${m.mrn || 'Not mentioned'}`,
+      `- Age: ${formatAge(m.age)}`,
+      `- Sex: ${m.sex || 'unknown'}`,
+      `- Study: ${m.study || 'Not mentioned'}`,
+      `- Brief: ${m.brief || ''}`);
+  }
+  if (record.secondary) lines.push('', `## ${personaName}`, '', record.secondary);
+  if (record.error) lines.push('', '## Error', '', record.error);
+  return `${lines.join('\n')}\n`;
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      mode: { type: 'string', default: 'primary' },
+      persona: { type: 'string' },
+      fps: { type: 'string', default: '3' },
+      out: { type: 'string', default: 'batch-output' },
+      replay: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  // Pipeline logs stay quiet unless asked for, so the per-case summary is readable
+  const logger = createLogger({ level: process.env.LOG_LEVEL || 'warn' });
+  const personas = loadPersonaRegistry(CONFIG.PERSONAS_FILE);
+  const defaults = {
+    mode: values.persona ? 'secondary' : values.mode,
+    persona: values.persona || null,
+    fps: parseInt(values.fps, 10)
+  };
+  const cases = discoverCases(positionals, defaults);
+  for (const c of cases) {
+    if (c.mode !== 'primary' && c.mode !== 'secondary') throw new Error(`${c.id}: mode must be "primary" or "secondary"`);
+    if (!(c.fps >= 1 && c.fps <= 3)) throw new Error(`${c.id}: fps must be 1, 2 or 3`);
+    if (c.persona && !personas.get(c.persona)) throw new Error(`${c.id}: unknown persona "${c.persona}". Use one of: ${personas.list().map(p => p.id).join(', ')}`);
+  }
+  if (cases.length === 0) {
+    console.log('ℹ️ No case folders with supported files found.');
+    return 1;
+  }
+
+  const llm = values.replay
+    ? createReplayBackend({ logger })
+    : createRecordingBackend(createLlmBackend({
+      provider: CONFIG.LLM_PROVIDER,
+      apiKeys: CONFIG.API_KEYS,
+      models: [CONFIG.LLM_PROVIDER === 'openai' ? CONFIG.OPENAI_MODEL : CONFIG.GEMINI_MODEL, ...CONFIG.FALLBACK_MODELS],
+      baseUrl: CONFIG.OPENAI_BASE_URL,
+      cooldownBaseMs: CONFIG.KEY_COOLDOWN_BASE_MS,
+      cooldownMaxMs: CONFIG.KEY_COOLDOWN_MAX_MS,
+      logger
+    }));
+  const { runPipeline } = createPipeline({
+    llm,
+    personas,
+    video: createVideoExtractor({
+      selection: CONFIG.FRAME_SELECTION,
+      sceneThreshold: CONFIG.FRAME_SCENE_THRESHOLD,
+      dedupThreshold: CONFIG.FRAME_DEDUP_THRESHOLD,
+      audioBitrate: CONFIG.VIDEO_AUDIO_BITRATE,
+      logger
+    }),
+    frameBudget: { maxFrames: CONFIG.MAX_FRAMES_PER_REQUEST, maxBytes: CONFIG.MAX_FRAME_BYTES_PER_REQUEST },
+    videoAudio: CONFIG.VIDEO_AUDIO_EXTRACTION,
+    modelPrices: CONFIG.MODEL_PRICES,
+    logger
+  });
+
+  const outDir = resolve(values.out);
+  fs.mkdirSync(outDir, { recursive: true });
+  let failed = 0;
+
+  for (const batchCase of cases) {
+    const id = safeId(batchCase.id);
+    const personaId = batchCase.mode === 'secondary' ? batchCase.persona || personas.defaultId : null;
+    const record = createCaseRecord({ source: { channel: 'batch' }, targetFps: batchCase.fps, personaId, caseId: id });
+    const startedAt = Date.now();
+
+    try {
+      if (values.replay) {
+        const recordingPath = join(values.replay, `${id}.responses.json`);
+        if (!fs.existsSync(recordingPath)) throw new Error(`No recording at ${recordingPath}`);
+        llm.load(JSON.parse(fs.readFileSync(recordingPath, 'utf8')).calls);
+      }
+      const items = [];
+      for (const file of batchCase.files) {
+        items.push(await loadItem(file.path, file.caption).catch(e => {
+          throw new Error(`${basename(file.path)}: ${e.message}`);
+        }));
+      }
+      batchCase.notes.map(note => String(note).trim()).filter(Boolean).forEach(content => items.push({ type: 'text', content }));
+      if (items.length === 0) throw new Error('The case has no files or notes');
+
+      await withJobContext({ jobId: id }, () => runPipeline(record, items));
+      console.log(`✅ ${batchCase.id}: completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    } catch (e) {
+      failed++;
+      // Files that fail to load never reach the pipeline, which marks its own failures
+      if (record.status === 'processing') Object.assign(record, { status: 'failed', error: e.message });
+      console.log(`❌ ${batchCase.id}: ${e.message}`);
+    }
+
+    const personaName = (personas.get(record.persona) || { name: 'Secondary Analysis' }).name;
+    fs.writeFileSync(join(outDir, `${id}.json`), `${JSON.stringify({ ...record, input: batchCase.input }, null, 2)}\n`);
+    fs.writeFileSync(join(outDir, `${id}.md`), formatMarkdown(record, batchCase, personaName));
+    if (!values.replay) {
+      const calls = llm.take();
+      if (calls.length > 0) {
+        fs.writeFileSync(join(outDir, `${id}.responses.json`), `${JSON.stringify({ caseId: id, recordedAt: new Date().toISOString(), calls }, null, 2)}\n`);
+      }
+    }
+  }
+
+  console.log(`🗂️ ${cases.length} case(s): ${cases.length - failed} completed, ${failed} failed. Outputs in ${outDir}`);
+  return failed > 0 ? 1 : 0;
+}
+
+main()
+  .then(code => { process.exitCode = code; })
+  .catch(e => {
+    console.error(`❌ ${e.message}`);
+    process.exitCode = 1;
+  });
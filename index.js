@@ -1,250 +1,510 @@
-import { Telegraf } from 'telegraf';
+import { Telegraf, Markup } from 'telegraf';
 import { message } from 'telegraf/filters';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import express from 'express';
-import ffmpeg from 'fluent-ffmpeg';
-import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import axios from 'axios';
 import fs from 'fs';
 import os from 'os';
 import { join } from 'path';
-
-// Setup FFmpeg path automatically
-ffmpeg.setFfmpegPath(ffmpegInstaller.path);
-
-// Helper to parse multiple Gemini keys
-const getApiKeys = () => {
-  const keys = process.env.GEMINI_API_KEYS || process.env.GEMINI_API_KEY || '';
-  return keys.split(',').map(k => k.trim()).filter(k => k.length > 0);
-};
-
-// ======================================================================
-// 🟢 CONFIGURATION AREA
-// ======================================================================
-
-const PRIMARY_SYSTEM_INSTRUCTION = `You are an expert medical AI assistant specializing in radiology. 
-
-**CLINICAL PROFILE GENERATION**
-When provided with medical files (images, PDFs, audio recordings, or video files) and/or text context, you extract and analyze all content to create a concise and comprehensive "Clinical Profile".
-
-IMPORTANT INSTRUCTION - IF THE HANDWRITTEN TEXT IS NOT LEGIBLE, FEEL FREE TO USE CODE INTERPRETATION AND LOGIC IN THE CONTEXT OF OTHER TEXTS TO DECIPHER THE ILLEGIBLE TEXT
-
-FOR AUDIO FILES: Transcribe the audio content carefully and extract all relevant medical information mentioned.
-
-FOR VIDEO FILES: Analyze the video content, transcribe any audio, and extract all visible medical information including any text, scans, or documents shown.
-
-FOR TEXT MESSAGES: These may contain additional clinical context, patient history, or notes that should be incorporated into the Clinical Profile.
-
-YOUR RESPONSE MUST BE BASED SOLELY ON THE PROVIDED CONTENT (files AND text).
-
-Follow these strict instructions for Clinical Profile generation:
-
-Analyze All Content: Meticulously examine all provided files - images, PDFs, audio recordings, and video files, as well as any accompanying text messages. This may include prior medical scan reports (like USG, CT, MRI), clinical notes, voice memos, video recordings, or other relevant documents.
-
-Extract Key Information: From the content, identify and extract all pertinent information, such as:
-- Scan types (e.g., USG, CT Brain).
-- Dates of scans or documents.
-- Key findings, measurements, or impressions from reports.
-- Relevant clinical history mentioned in notes, audio, video, or text messages.
-
-Synthesize into a Clinical Profile:
-- Combine all extracted information into a single, cohesive paragraph. This represents a 100% recreation of the relevant clinical details from the provided content.
-- If there are repeated or vague findings across multiple documents, synthesize them into a single, concise statement.
-- Frame sentences properly to be concise, but you MUST NOT omit any important clinical details. Prioritize completeness of clinical information over extreme brevity.
-- You MUST strictly exclude any mention of the patient's name, age, or gender.
-- If multiple dated scan reports are present, you MUST arrange their summaries chronologically in ascending order based on their dates.
-- If a date is not available for a scan, refer to it as "Previous [Scan Type]...".
-
-Formatting for Clinical Profile:
-- The final output MUST be a single paragraph.
-- This paragraph MUST start with "Clinical Profile:" and the entire content (including the prefix) must be wrapped in single asterisks. For example: "*Clinical Profile: Previous USG dated 01/01/2023 showed mild hepatomegaly. Patient also has a H/o hypertension as noted in the clinical sheet.*"
-
-Do not output the raw transcribed text.
-Do not output JSON or Markdown code blocks.
-Return ONLY the single formatted paragraph described above.
-
-IMPORTANT ADDITIONAL OUTPUT:
-After the Clinical Profile paragraph, you MUST output a second line (separated by a blank line) in EXACTLY this format:
-<<JSON>>{"mrn":"<Registration Number/MRN or Not mentioned>","age":"<age or unknown>","sex":"<M/F/unknown>","study":"<imaging study indicated or Not mentioned>","brief":"<very concise reason for scan using abbreviations like H/o, C/o, K/c/o, etc., mentioning duration of symptoms>"}<<JSON>>
-
-Rules for the JSON line:
-- mrn: Extract the patient's Medical Record Number (MRN), Registration Number, ID, UID, or IP/OP number from the content. If not found, use "Not mentioned".
-- age: Extract patient age from the content. If not found, use "unknown".
-- sex: Extract patient sex/gender from the content. Use "M" for male, "F" for female. If not found, use "unknown".
-- study: The imaging study that is currently indicated/requested (e.g., "CT Thorax", "MRI Brain", "USG Abdomen"). If not obvious from the content, use "Not mentioned".
-- brief: A very short clinical summary using medical abbreviations. Example: "H/o fever and cough for 4 days, SOB for 2 days, K/c/o ILD, Now scan done to r/o infective exacerbation" or "C/o Giddiness for 15 days, slurred speech for 5 days, Right upper limb weakness for 2 days, K/c/o HTN/DM, Now scan done to r/o cerebellar infarct"`;
-
-const SECONDARY_SYSTEM_INSTRUCTION = `You are an expert radiologist. When you receive a context, it is mostly about a patient and sometimes they might have been advised with any imaging modality. You analyse that info and then advise regarding that as an expert radiologist what to be seen in that specific imaging modality for that specific patient including various hypothetical imaging findings from common to less common for that patient condition in that specific imaging modality. suppose of you cant indentify thr specific imaging modality in thr given context, you yourself choose the appropriate imaging modality based on the specific conditions context`;
-
-const SECONDARY_TRIGGER_PROMPT = `Here is the Clinical Profile generated from the patient's reports. Please analyze this profile according to your system instructions and provide the final output.`;
-
-const CONFIG = {
-  API_KEYS: getApiKeys(),
-  GEMINI_MODEL: 'gemini-3.1-flash-lite', // Fast model locked
-  TELEGRAM_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
-  ADMIN_ID: process.env.ADMIN_ID, // Restricts /users command & receives forwarded messages
-  MEDIA_TIMEOUT_MS: 300000, // 5 minutes
-  COMMANDS: ['.', '.1', '.2', '.3', '..', '..1', '..2', '..3', 'help', 'clear', 'status', 'users']
-};
-
-const GROUP_REPLY_FOOTER = `
-
-━━━━━━━━━━━━━━━━━━━━━━
-🤖 *Copy-paste the clinical profile here to get suggestions regarding MRI protocols:*
-https://ai.studio/apps/86a65a19-cf2f-46de-b4d0-9a941be83604
-
-📚 *MRI protocol books*
-https://notebooklm.google.com/notebook/467e8684-c512-488f-b1f7-3a450e344cd5`;
+import { randomUUID, randomBytes } from 'crypto';
+import { CONFIG } from './src/config.js';
+import { PRIMARY_SYSTEM_INSTRUCTION, CONCISE_REWRITE_PROMPT, FOLLOWUP_SYSTEM_INSTRUCTION, SHORTER_BRIEF_PROMPT, PROFILE_LANGUAGE_PROMPT, ANALYSIS_LANGUAGE_PROMPT } from './src/prompts.js';
+import { createStorage } from './src/storage.js';
+import { createLogger, withJobContext, addJobContext, currentJobUsage, emptyUsage } from './src/logger.js';
+import { createMetrics, estimateCostUsd } from './src/metrics.js';
+import { createMediaSpool } from './src/spool.js';
+import { createUsageQuotas, QUOTA_LIMITS, resolveQuotaLimit, formatWait } from './src/quotas.js';
+import { formatBytes } from './src/utils.js';
+import { createAccessControl, ROLES } from './src/access.js';
+import { createAuditLog, formatAuditEntry } from './src/audit.js';
+import { createLlmBackend } from './src/llm.js';
+import { createCaseApiRouter, parseApiTokens } from './src/api.js';
+import { createJobQueue, isAbortError } from './src/jobs.js';
+import { loadPersonaRegistry } from './src/personas.js';
+import { EXPORT_FORMATS, renderCaseExport } from './src/export.js';
+import { createCaseHistory } from './src/history.js';
+import { SUPPORTED_DOCUMENTS, classifyDocument, normalizeDocument } from './src/documents.js';
+import { createVideoExtractor } from './src/video.js';
+import { createPipeline, createCaseRecord } from './src/pipeline.js';
+import { createResultCache, resultCacheKey, instructionVersion, withFrameCache } from './src/cache.js';
+import { stripMetadataBlock, formatAge } from './src/metadata.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, OUTPUT_MODES, resolveLanguage, translate, localeOf, outputLanguages, languagePrompt } from './src/i18n.js';
+
+const logger = createLogger({ level: CONFIG.LOG_LEVEL });
+
+// Linked from the footer under every profile reply (see 'profile.footer' in the locales)
+const PROTOCOL_APP_URL = 'https://ai.studio/apps/86a65a19-cf2f-46de-b4d0-9a941be83604';
+const PROTOCOL_BOOKS_URL = 'https://notebooklm.google.com/notebook/467e8684-c512-488f-b1f7-3a450e344cd5';
 
 // ======================================================================
-// 📊 DATA STORAGE, TIMEOUTS, USER TRACKING (In-Memory Only)
+// 📊 DATA STORAGE, TIMEOUTS, USER TRACKING (Persisted via storage layer)
 // ======================================================================
+const storage = createStorage({ driver: CONFIG.STORAGE_DRIVER, dir: CONFIG.DATA_DIR, logger });
+// With the file driver, queued files sit next to the persisted buffers that reference them so a restart restores both
+const spoolDir = CONFIG.SPOOL_DIR || (storage.driver === 'file' ? join(CONFIG.DATA_DIR, 'spool') : join(os.tmpdir(), 'patient-bot-spool'));
+const mediaSpool = createMediaSpool({ dir: spoolDir, logger });
+// Inputs retained for the profile buttons, linked out of the queue spool once a case has run (see retainCaseInputs)
+const caseInputSpool = createMediaSpool({ dir: `${spoolDir}-cases`, logger });
 const chatMediaBuffers = new Map();
 const chatTimeouts = new Map();
-const registeredUsers = new Map(); // tracks users who messaged the bot since startup
+const chatBufferExpiry = new Map(); // bufferKey -> epoch ms when the buffer times out
+const chatExpiryWarnings = new Map(); // bufferKey -> { timer, messageId } of the pre-expiry warning
+const registeredUsers = new Map(); // cache of the persisted user registry
+const accessControl = createAccessControl({
+  storage,
+  adminId: CONFIG.ADMIN_ID,
+  seedUserIds: CONFIG.ALLOWED_USER_IDS,
+  enabled: CONFIG.ACCESS_CONTROL && Boolean(CONFIG.ADMIN_ID)
+});
+const auditLog = createAuditLog({ storage });
+const personas = loadPersonaRegistry(CONFIG.PERSONAS_FILE);
+const chatSettings = new Map(); // chatId -> { persona, compare }, cache of the persisted per-chat defaults
+const userSettings = new Map(); // userId -> { language, output }, cache of the persisted /lang choices
+const caseHistory = createCaseHistory({ storage });
+const resultCache = createResultCache({ storage, ttlMs: CONFIG.RESULT_CACHE_TTL_MS });
+const usageQuotas = createUsageQuotas({
+  storage,
+  userLimits: { runsPerHour: CONFIG.RUNS_PER_HOUR, mediaItemsPerDay: CONFIG.MEDIA_ITEMS_PER_DAY, videoMinutesPerDay: CONFIG.VIDEO_MINUTES_PER_DAY },
+  globalLimits: { runsPerHour: CONFIG.GLOBAL_RUNS_PER_HOUR, mediaItemsPerDay: CONFIG.GLOBAL_MEDIA_ITEMS_PER_DAY, videoMinutesPerDay: CONFIG.GLOBAL_VIDEO_MINUTES_PER_DAY }
+});
 
-// Automatically registers user data and forwards messages to the admin
+// Automatically registers user data and, under the 'full' policy, forwards raw messages to the admin
 async function trackAndForward(ctx) {
   const from = ctx.from;
   if (!from) return;
   const userId = String(from.id);
   const fullName = [from.first_name, from.last_name].filter(Boolean).join(' ');
   
-  // Track user internally
-  registeredUsers.set(userId, {
+  // Track user internally and persist the registry
+  const userRecord = {
+    id: userId,
     username: from.username ? `@${from.username}` : 'No username',
     name: fullName || 'No name',
+    firstSeen: registeredUsers.get(userId)?.firstSeen || new Date().toISOString(),
     lastSeen: new Date().toLocaleString()
-  });
+  };
+  registeredUsers.set(userId, userRecord);
+  storage.set('users', userId, userRecord).catch(e => logger.error({ err: e }, '💾 User persist failed'));
 
-  // Forward message copy to the Administrator if the message is from another user
+  // Raw forwarding exposes patient documents, so it is opt-in
   const adminId = CONFIG.ADMIN_ID;
-  if (adminId && userId !== String(adminId)) {
+  if (CONFIG.ADMIN_FORWARDING === 'full' && adminId && userId !== String(adminId)) {
     try {
       await ctx.telegram.forwardMessage(adminId, ctx.chat.id, ctx.message.message_id);
     } catch (e) {
-      console.error(`📡 Forwarding to Admin failed: ${e.message}`);
+      logger.error({ err: e }, '📡 Forwarding to Admin failed');
     }
   }
 }
 
-function getChatBuffer(chatId) {
-  if (!chatMediaBuffers.has(chatId)) {
-    chatMediaBuffers.set(chatId, []);
+// Appends a PHI-free entry to the audit log and sends the admin a summary per the forwarding policy
+async function recordAudit(ctx, event) {
+  const from = ctx.from || {};
+  return writeAudit({
+    userId: String(from.id),
+    name: [from.first_name, from.last_name].filter(Boolean).join(' ') || 'No name',
+    chatId: ctx.chat ? ctx.chat.id : null,
+    ...event
+  });
+}
+
+async function writeAudit(entry) {
+  // Every finished job is audited exactly once, so the job counter is kept here
+  if (entry.action === 'process') {
+    metrics.recordJob({ channel: String(entry.userId).startsWith('api:') ? 'api' : 'telegram', mode: entry.mode, outcome: entry.cached ? 'cached' : entry.outcome });
+  }
+  let saved = { at: new Date().toISOString(), ...entry };
+  try {
+    saved = await auditLog.record(entry);
+  } catch (e) {
+    logger.error({ err: e }, '🧾 Audit write failed');
+  }
+
+  const adminId = CONFIG.ADMIN_ID;
+  const policy = CONFIG.ADMIN_FORWARDING;
+  if (!adminId || policy === 'off' || saved.userId === String(adminId)) return;
+  // Under 'full' the submission itself was already forwarded
+  if (policy === 'full' && saved.action === 'submit') return;
+
+  try {
+    await bot.telegram.sendMessage(adminId, `🧾 ${formatAuditEntry(saved)}`);
+  } catch (e) {
+    logger.error({ err: e }, '📡 Admin summary failed');
+  }
+}
+
+// Buffers are keyed by chat AND sender so group members never share a queue
+const bufferKeyFor = (ctx) => `${ctx.chat.id}:${ctx.from.id}`;
+
+function parseBufferKey(bufferKey) {
+  const [chatId, userId] = bufferKey.split(':');
+  return { chatId: Number(chatId), userId };
+}
+
+function getChatBuffer(bufferKey) {
+  if (!chatMediaBuffers.has(bufferKey)) {
+    chatMediaBuffers.set(bufferKey, []);
   }
-  return chatMediaBuffers.get(chatId);
+  return chatMediaBuffers.get(bufferKey);
+}
+
+// Mirrors the in-memory buffer of a sender to storage (or removes it once empty)
+function persistChatBuffer(bufferKey) {
+  const items = chatMediaBuffers.get(bufferKey);
+  const task = items && items.length > 0
+    ? storage.set('buffers', bufferKey, { key: bufferKey, ...parseBufferKey(bufferKey), items, expiresAt: chatBufferExpiry.get(bufferKey) || null })
+    : storage.delete('buffers', bufferKey);
+  return task.catch(e => logger.error({ err: e, bufferKey }, '💾 Buffer persist failed'));
 }
 
-function clearChatBuffer(chatId) {
-  if (chatTimeouts.has(chatId)) {
-    clearTimeout(chatTimeouts.get(chatId));
-    chatTimeouts.delete(chatId);
+// Empties the queue but leaves its spooled files to the caller (a pipeline run reads, then discards them)
+function detachChatBuffer(bufferKey) {
+  if (chatTimeouts.has(bufferKey)) {
+    clearTimeout(chatTimeouts.get(bufferKey));
+    chatTimeouts.delete(bufferKey);
   }
-  const items = chatMediaBuffers.get(chatId) || [];
-  chatMediaBuffers.delete(chatId);
+  cancelExpiryWarning(bufferKey);
+  chatBufferExpiry.delete(bufferKey);
+  const items = chatMediaBuffers.get(bufferKey) || [];
+  chatMediaBuffers.delete(bufferKey);
+  persistChatBuffer(bufferKey);
+  return items;
+}
+
+function clearChatBuffer(bufferKey) {
+  const items = detachChatBuffer(bufferKey);
+  mediaSpool.discard(items);
   return items;
 }
 
-function resetChatTimeout(chatId, ctx) {
-  if (chatTimeouts.has(chatId)) {
-    clearTimeout(chatTimeouts.get(chatId));
+// Spooled items (and the spooled slices of DICOM items) count their file size; text notes live in memory
+function bufferItemBytes(item) {
+  if (item.sizeBytes) return item.sizeBytes;
+  if (item.type === 'text') return Buffer.byteLength(item.content);
+  if (item.type === 'dicom') return item.images.reduce((sum, image) => sum + bufferItemBytes(image), 0);
+  return item.data ? Math.floor(item.data.length * 3 / 4) : 0;
+}
+
+// Every spooled file behind some items, rendered DICOM slices included
+const spooledPaths = (items) => items
+  .flatMap(item => (item.type === 'dicom' ? item.images.map(image => image.path) : [item.path]))
+  .filter(Boolean);
+
+const bufferBytes = (items) => items.reduce((sum, item) => sum + bufferItemBytes(item), 0);
+
+// Reads spooled files (and the rendered slices of DICOM items) back into the base64 items the pipeline expects
+async function loadSpooledItems(items) {
+  const readBase64 = async (path, type) => {
+    try {
+      return (await mediaSpool.read(path)).toString('base64');
+    } catch (e) {
+      throw new Error(`A queued ${type} file is no longer available. Please upload it again.`);
+    }
+  };
+  return Promise.all(items.map(async ({ path, sizeBytes, ...item }) => {
+    if (item.type === 'dicom') {
+      return { ...item, images: await Promise.all(item.images.map(async ({ path: imagePath, sizeBytes: imageBytes, ...image }) =>
+        (imagePath ? { ...image, data: await readBase64(imagePath, item.type) } : image))) };
+    }
+    return path ? { ...item, data: await readBase64(path, item.type) } : item;
+  }));
+}
+
+// Only queues that survive a restart keep their files when the process exits
+function persistentSpoolPaths() {
+  if (storage.driver !== 'file') return new Set();
+  return new Set(spooledPaths([...chatMediaBuffers.values()].flat()));
+}
+
+// Drops every queue a user has, across private and group chats
+function clearUserBuffers(userId) {
+  [...chatMediaBuffers.keys()]
+    .filter(bufferKey => parseBufferKey(bufferKey).userId === String(userId))
+    .forEach(clearChatBuffer);
+}
+
+// Removes one queued item (and its spooled file); an emptied queue is cleared entirely
+function removeBufferItem(bufferKey, index) {
+  const buffer = chatMediaBuffers.get(bufferKey) || [];
+  if (index < 0 || index >= buffer.length) return null;
+  const [removed] = buffer.splice(index, 1);
+  mediaSpool.discard([removed]);
+  if (buffer.length === 0) clearChatBuffer(bufferKey);
+  else resetChatTimeout(bufferKey);
+  return removed;
+}
+
+// In groups, name the owner so the message is not mistaken for everyone's queue
+function queueOwner(bufferKey, language) {
+  const { chatId, userId } = parseBufferKey(bufferKey);
+  const yours = translate(language, 'queue.yours');
+  return String(chatId) === userId ? yours : `[${yours}](tg://user?id=${userId})`;
+}
+
+// Deletes a pending warning message too, unless the keep button already answered it
+function cancelExpiryWarning(bufferKey) {
+  const warning = chatExpiryWarnings.get(bufferKey);
+  if (!warning) return;
+  clearTimeout(warning.timer);
+  chatExpiryWarnings.delete(bufferKey);
+  if (warning.messageId) {
+    bot.telegram.deleteMessage(parseBufferKey(bufferKey).chatId, warning.messageId).catch(() => {});
+  }
+}
+
+function scheduleExpiryWarning(bufferKey, delayMs) {
+  cancelExpiryWarning(bufferKey);
+  const warnInMs = delayMs - CONFIG.BUFFER_EXPIRY_WARNING_MS;
+  if (warnInMs <= 0) return;
+
+  const warning = { messageId: null };
+  warning.timer = setTimeout(async () => {
+    const items = chatMediaBuffers.get(bufferKey) || [];
+    if (items.length === 0) return;
+    const { chatId, userId } = parseBufferKey(bufferKey);
+    const language = languageOf(userId);
+    const seconds = Math.round(CONFIG.BUFFER_EXPIRY_WARNING_MS / 1000);
+    const keepMinutes = Math.round(CONFIG.MEDIA_TIMEOUT_MS / 60000);
+    try {
+      const sent = await bot.telegram.sendMessage(chatId,
+        translate(language, 'queue.expiryWarning', { owner: queueOwner(bufferKey, language), count: items.length, seconds }),
+        { parse_mode: 'Markdown', ...Markup.inlineKeyboard([Markup.button.callback(translate(language, 'queue.keepButton', { minutes: keepMinutes }), `buffer:keep:${userId}`)]) });
+      // The queue may have been processed or cleared while the message was sent
+      if (chatExpiryWarnings.get(bufferKey) === warning) warning.messageId = sent.message_id;
+      else bot.telegram.deleteMessage(chatId, sent.message_id).catch(() => {});
+    } catch (e) {
+      logger.error({ err: e }, 'Expiry warning error');
+    }
+  }, warnInMs);
+  chatExpiryWarnings.set(bufferKey, warning);
+}
+
+function scheduleBufferExpiry(bufferKey, delayMs) {
+  if (chatTimeouts.has(bufferKey)) {
+    clearTimeout(chatTimeouts.get(bufferKey));
   }
+  scheduleExpiryWarning(bufferKey, delayMs);
 
-  chatTimeouts.set(chatId, setTimeout(async () => {
-    const cleared = clearChatBuffer(chatId);
+  chatTimeouts.set(bufferKey, setTimeout(async () => {
+    const cleared = clearChatBuffer(bufferKey);
     if (cleared.length > 0) {
+      const { chatId, userId } = parseBufferKey(bufferKey);
+      const language = languageOf(userId);
       try {
-        await ctx.reply(`⏰ *Buffer Timeout:* Your pending ${cleared.length} files were cleared due to inactivity. Please upload them again.`);
+        await bot.telegram.sendMessage(chatId, translate(language, 'queue.timeout', { owner: queueOwner(bufferKey, language), count: cleared.length }), { parse_mode: 'Markdown' });
       } catch (e) {
-        console.error('Timeout message error:', e.message);
+        logger.error({ err: e }, 'Timeout message error');
       }
     }
-  }, CONFIG.MEDIA_TIMEOUT_MS));
+  }, delayMs));
 }
 
-// ======================================================================
-// 🛠️ HELPERS (Formatting, Downloader, Frame Extractor, Chunked Sender)
-// ======================================================================
+function resetChatTimeout(bufferKey) {
+  chatBufferExpiry.set(bufferKey, Date.now() + CONFIG.MEDIA_TIMEOUT_MS);
+  scheduleBufferExpiry(bufferKey, CONFIG.MEDIA_TIMEOUT_MS);
+  persistChatBuffer(bufferKey);
+}
 
-async function getTelegramFileAsBase64(ctx, fileId) {
-  const fileLink = await ctx.telegram.getFileLink(fileId);
-  const response = await axios.get(fileLink.href, { responseType: 'arraybuffer' });
-  return Buffer.from(response.data).toString('base64');
+// Reloads the user registry and pending buffers (with their remaining timeouts) after a restart
+async function restorePersistedState() {
+  await accessControl.load();
+  await usageQuotas.load();
+  if (!accessControl.enabled) {
+    logger.warn('⚠️ Access control is disabled (set ADMIN_ID and leave ACCESS_CONTROL on to restrict the bot).');
+  }
+
+  const users = await storage.list('users');
+  users.forEach(u => registeredUsers.set(String(u.id), u));
+
+  const settings = await storage.list('chat-settings');
+  settings.forEach(s => chatSettings.set(String(s.id), s));
+  (await storage.list('user-settings')).forEach(s => userSettings.set(String(s.id), s));
+
+  const buffers = await storage.list('buffers');
+  for (const saved of buffers) {
+    if (!saved.items || saved.items.length === 0) continue;
+    // Buffers saved before per-user keys belonged to private chats, where chat id equals user id
+    const bufferKey = saved.key || `${saved.chatId}:${saved.chatId}`;
+    const expiresAt = saved.expiresAt || Date.now();
+    // A spooled file can be gone if the spool directory did not survive the restart
+    const items = saved.items.filter(item => spooledPaths([item]).every(path => fs.existsSync(path)));
+    if (items.length < saved.items.length) {
+      logger.warn({ bufferKey, missing: saved.items.length - items.length }, '💽 Queued files were missing after restart');
+    }
+    if (items.length === 0) {
+      await storage.delete('buffers', bufferKey);
+      continue;
+    }
+    chatMediaBuffers.set(bufferKey, items);
+    chatBufferExpiry.set(bufferKey, expiresAt);
+    scheduleBufferExpiry(bufferKey, Math.max(expiresAt - Date.now(), 0));
+  }
+
+  const orphans = mediaSpool.sweep(persistentSpoolPaths());
+  if (orphans > 0) logger.info({ removed: orphans }, '🧹 Removed orphaned spool files');
+  // Retained inputs whose manifest did not survive the restart (always the case with the memory driver)
+  const retainedPaths = (await storage.list('case-inputs')).flatMap(manifest => spooledPaths(manifest.items));
+  const orphanedInputs = caseInputSpool.sweep(new Set(retainedPaths));
+  if (orphanedInputs > 0) logger.info({ removed: orphanedInputs }, '🧹 Removed orphaned case input files');
+
+  logger.info({ users: users.length, buffers: chatMediaBuffers.size, driver: storage.driver }, '💾 Restored users and pending buffers');
 }
 
-async function extractFramesFromVideo(videoBuffer, targetFps = 3) {
-  return new Promise((resolve, reject) => {
-    const tempId = Math.random().toString(36).substring(7);
-    const tempDir = os.tmpdir();
-    const inputPath = join(tempDir, `input_${tempId}.mp4`);
-    const outputPattern = join(tempDir, `frame_${tempId}_%03d.jpg`);
+// The chat's chosen persona, falling back to the registry default (also when the config no longer has it)
+function getChatPersonaId(chatId) {
+  const saved = chatSettings.get(String(chatId));
+  return saved && personas.get(saved.persona) ? saved.persona : personas.defaultId;
+}
 
-    fs.writeFileSync(inputPath, videoBuffer);
+const isComparisonEnabled = (chatId) => (chatSettings.get(String(chatId)) || {}).compare ?? CONFIG.INTERVAL_COMPARISON;
 
-    const batchSize = 3;
-    const inputFps = targetFps * batchSize;
-    const videoFilter = `fps=${inputFps},thumbnail=${batchSize}`;
+async function updateChatSettings(chatId, changes, updatedBy) {
+  const settings = { ...chatSettings.get(String(chatId)), ...changes, id: String(chatId), updatedBy, updatedAt: new Date().toISOString() };
+  chatSettings.set(settings.id, settings);
+  await storage.set('chat-settings', settings.id, settings);
+}
 
-    console.log(`Smart Frame Extraction: Target ${targetFps}fps`);
+// Messages go out in the language of the user they are meant for: the sender, or a queue's owner
+const languageOf = (userId) => (userSettings.get(String(userId)) || {}).language || DEFAULT_LANGUAGE;
+const senderLanguage = (ctx) => (ctx.from ? languageOf(ctx.from.id) : DEFAULT_LANGUAGE);
+const t = (ctx, key, params) => translate(senderLanguage(ctx), key, params);
 
-    ffmpeg(inputPath)
-      .outputOptions([`-vf ${videoFilter}`, '-vsync 0', '-q:v 2'])
-      .output(outputPattern)
-      .on('end', () => {
-        try {
-          const files = fs.readdirSync(tempDir)
-            .filter(f => f.startsWith(`frame_${tempId}_`) && f.endsWith('.jpg'))
-            .sort();
-
-          const frames = files.map(file => {
-            const path = join(tempDir, file);
-            const buffer = fs.readFileSync(path);
-            fs.unlinkSync(path);
-            return buffer.toString('base64');
-          });
-
-          fs.unlinkSync(inputPath);
-          resolve(frames);
-        } catch (err) {
-          reject(err);
-        }
-      })
-      .on('error', (err) => {
-        try { if (fs.existsSync(inputPath)) fs.unlinkSync(inputPath); } catch (e) {}
-        reject(err);
-      })
-      .run();
+// The languages the model writes the sender's cases in, per their /lang output mode
+const senderOutputLanguages = (ctx) => outputLanguages((ctx.from && userSettings.get(String(ctx.from.id))) || {});
+
+async function updateUserSettings(userId, changes) {
+  const settings = { ...userSettings.get(String(userId)), ...changes, id: String(userId), updatedAt: new Date().toISOString() };
+  userSettings.set(settings.id, settings);
+  await storage.set('user-settings', settings.id, settings);
+}
+
+async function indexCaseHistory(record) {
+  try {
+    await caseHistory.record(record);
+  } catch (e) {
+    logger.error({ err: e }, '🗂️ History index failed');
+  }
+}
+
+// Telegram users see history from their own chat and their own cases; admins see everything
+const caseVisibleTo = (ctx) => (entry) =>
+  entry.chatId === ctx.chat.id || entry.userId === String(ctx.from.id) || accessControl.can(ctx.from.id, 'manage');
+
+async function saveProfileRecord(record) {
+  try {
+    await storage.set('profiles', record.id, record);
+  } catch (e) {
+    logger.error({ err: e }, '💾 Profile persist failed');
+  }
+}
+
+// Keeps a case's queued items so its profile buttons can rerun the pipeline. Files (rendered DICOM slices
+// included) are linked out of the queue spool, so the stored manifest only holds paths and sizes.
+async function retainCaseInputs(caseId, items) {
+  // Queues saved before DICOM slices were spooled still hold them as base64
+  const retainFile = async ({ data, ...file }) => ({
+    ...file,
+    ...(file.path ? await caseInputSpool.link(file.path, caseId) : await caseInputSpool.write(caseId, Buffer.from(data, 'base64')))
   });
+  try {
+    const retained = await Promise.all(items.map(async (item) => {
+      if (item.type === 'dicom') return { ...item, images: await Promise.all(item.images.map(retainFile)) };
+      return item.path ? await retainFile(item) : item;
+    }));
+    await storage.set('case-inputs', caseId, { id: caseId, items: retained, expiresAt: Date.now() + CONFIG.CASE_INPUT_RETENTION_MS });
+  } catch (e) {
+    logger.error({ err: e }, '💾 Case input persist failed');
+    await caseInputSpool.clear(caseId).catch(() => {});
+  }
+}
+
+async function loadCaseInputs(caseId) {
+  const saved = await storage.get('case-inputs', caseId);
+  if (!saved || saved.expiresAt <= Date.now()) return null;
+  return saved.items;
+}
+
+async function pruneCaseInputs() {
+  let removed = 0;
+  try {
+    for (const manifest of (await storage.list('case-inputs')).filter(m => m.expiresAt <= Date.now())) {
+      await storage.delete('case-inputs', manifest.id);
+      await caseInputSpool.clear(manifest.id);
+      removed++;
+    }
+  } catch (e) {
+    logger.error({ err: e }, '🧹 Case input pruning failed');
+  }
+  if (removed > 0) logger.info({ removed }, '🧹 Pruned retained inputs of expired cases');
+}
+
+// The sender's most recent case in a chat, which /export falls back to
+async function rememberLastCase(ctx, caseId) {
+  const bufferKey = bufferKeyFor(ctx);
+  try {
+    await storage.set('last-cases', bufferKey, { id: bufferKey, caseId, at: new Date().toISOString() });
+  } catch (e) {
+    logger.error({ err: e }, '💾 Last case persist failed');
+  }
 }
 
-function parseJsonFromResponse(responseText) {
-  const jsonMatch = responseText.match(/<<JSON>>(.*?)<<JSON>>/s);
-  if (jsonMatch && jsonMatch[1]) {
+// Remembers which case (and follow-up conversation) bot messages belong to, so replies to any chunk can be routed
+async function linkMessageToCase(sentMessages, caseId, conversationId = null) {
+  const expiresAt = Date.now() + (conversationId ? CONFIG.FOLLOWUP_EXPIRY_MS : CONFIG.CASE_INPUT_RETENTION_MS);
+  for (const sentMessage of sentMessages) {
+    const id = `${sentMessage.chat.id}:${sentMessage.message_id}`;
     try {
-      return JSON.parse(jsonMatch[1].trim());
+      await storage.set('message-links', id, { id, caseId, conversationId, expiresAt });
     } catch (e) {
-      console.log(`⚠️ Failed to parse JSON block: ${e.message}`);
-      return null;
+      logger.error({ err: e }, '💾 Message link persist failed');
     }
   }
-  return null;
 }
 
-function stripJsonFromResponse(responseText) {
-  return responseText.replace(/\n*<<JSON>>.*?<<JSON>>\n*/s, '').trim();
+async function pruneConversations() {
+  try {
+    for (const collection of ['message-links', 'conversations']) {
+      const expired = (await storage.list(collection)).filter(doc => doc.expiresAt <= Date.now());
+      for (const doc of expired) await storage.delete(collection, doc.id);
+    }
+  } catch (e) {
+    logger.error({ err: e }, '🧹 Conversation pruning failed');
+  }
+}
+
+// ======================================================================
+// 🛠️ HELPERS (Formatting, Downloader, Chunked Sender)
+// ======================================================================
+
+// Streams a Telegram file into the sender's spool directory; returns { path, sizeBytes }
+async function downloadTelegramFile(ctx, fileId, maxBytes) {
+  const fileLink = await ctx.telegram.getFileLink(fileId);
+  return mediaSpool.download(fileLink.href, bufferKeyFor(ctx), { maxBytes });
 }
 
-function formatJsonBlock(jsonData) {
+const tooBigForTelegram = (ctx) => t(ctx, 'upload.tooBig', { limit: formatBytes(CONFIG.TELEGRAM_MAX_DOWNLOAD_BYTES) });
+
+// Labels follow the reader's language; the values stay as the model extracted them
+function formatJsonBlock(jsonData, language = DEFAULT_LANGUAGE) {
   if (!jsonData) return '';
-  const mrn = jsonData.mrn || 'Not mentioned';
-  const age = jsonData.age || 'unknown';
+  const label = (key) => translate(language, key);
+  const notMentioned = label('profile.notMentioned');
+  const mrn = jsonData.mrn || notMentioned;
+  const age = formatAge(jsonData.age);
   const sex = jsonData.sex || 'unknown';
-  const study = jsonData.study || 'Not mentioned';
+  const study = jsonData.study || notMentioned;
   const brief = jsonData.brief || '';
-  return `\n\n📋 *Quick Reference:*\n• MRN/Reg No: ${mrn}\n• Age: ${age}\n• Sex: ${sex}\n• Study: ${study}\n• Brief: ${brief}`;
+  return `\n\n${label('profile.quickReference')}\n• ${label('profile.mrn')}: ${mrn}\n• ${label('profile.age')}: ${age}\n• ${label('profile.sex')}: ${sex}\n• ${label('profile.study')}: ${study}\n• ${label('profile.brief')}: ${brief}`;
+}
+
+function formatFrameStats(frameStats, language) {
+  if (!frameStats || frameStats.extracted === 0) return '';
+  const dropped = frameStats.extracted - frameStats.kept;
+  return `\n\n${translate(language, 'profile.videoFrames', { kept: frameStats.kept, extracted: frameStats.extracted })}` +
+    (dropped > 0 ? translate(language, 'profile.framesDropped', { dropped }) : '');
 }
 
-async function sendSafeMessage(ctx, text) {
+// Returns every message sent, one per chunk
+async function sendSafeMessage(ctx, text, extra = {}) {
   const MAX_LENGTH = 4000;
   const chunks = [];
   let remainingText = text;
@@ -261,419 +521,1677 @@ async function sendSafeMessage(ctx, text) {
     remainingText = remainingText.substring(splitIndex).trim();
   }
 
-  let lastSentMsg;
-  for (const chunk of chunks) {
+  // Inline keyboards belong under the final chunk only
+  const { reply_markup: replyMarkup, ...chunkExtra } = extra;
+  const sentMessages = [];
+  for (const [i, chunk] of chunks.entries()) {
+    const options = i === chunks.length - 1 && replyMarkup ? { ...chunkExtra, reply_markup: replyMarkup } : chunkExtra;
     try {
-      lastSentMsg = await ctx.reply(chunk, { parse_mode: 'Markdown' });
+      sentMessages.push(await ctx.reply(chunk, { ...options, parse_mode: 'Markdown' }));
     } catch (e) {
-      lastSentMsg = await ctx.reply(chunk);
+      sentMessages.push(await ctx.reply(chunk, options));
     }
   }
-  return lastSentMsg;
+  return sentMessages;
 }
 
 // ======================================================================
-// 🧠 GEMINI API FAILOVER LOOP (Locked to fast model config)
+// 🧠 LLM BACKEND (Provider-agnostic, per-key cooldown, model fallback)
 // ======================================================================
-async function generateGeminiContent(requestContent, systemInstruction) {
-  const keys = CONFIG.API_KEYS;
-  if (keys.length === 0) {
-    throw new Error('No API keys configured! Check GEMINI_API_KEYS variable.');
-  }
-
-  let lastErrorMsg = '';
-  const modelName = CONFIG.GEMINI_MODEL;
-
-  for (let i = 0; i < keys.length; i++) {
-    try {
-      if (i > 0) {
-        console.log(`⚠️ Failover: Trying Backup API Key #${i + 1}...`);
-        await new Promise(r => setTimeout(r, 1500));
-      }
+const metrics = createMetrics({ getQueueStats: () => jobQueue.stats() });
+
+const llm = createLlmBackend({
+  provider: CONFIG.LLM_PROVIDER,
+  apiKeys: CONFIG.API_KEYS,
+  models: [CONFIG.LLM_PROVIDER === 'openai' ? CONFIG.OPENAI_MODEL : CONFIG.GEMINI_MODEL, ...CONFIG.FALLBACK_MODELS],
+  baseUrl: CONFIG.OPENAI_BASE_URL,
+  cooldownBaseMs: CONFIG.KEY_COOLDOWN_BASE_MS,
+  cooldownMaxMs: CONFIG.KEY_COOLDOWN_MAX_MS,
+  logger,
+  onAttempt: (attempt) => metrics.recordLlmAttempt({ ...attempt, cost: estimateCostUsd(attempt.model, attempt.usage, CONFIG.MODEL_PRICES) })
+});
 
-      const genAI = new GoogleGenerativeAI(keys[i]);
-      const modelConfig = { model: modelName };
-      
-      if (systemInstruction) {
-        modelConfig.systemInstruction = systemInstruction;
-      }
+// Every pipeline run (Telegram or API) goes through this queue; log lines inside a job carry its id
+const jobQueue = createJobQueue({
+  concurrency: CONFIG.MAX_CONCURRENT_JOBS,
+  runInContext: (job, fn) => withJobContext({ jobId: job.id }, fn)
+});
 
-      const model = genAI.getGenerativeModel(modelConfig);
-      const result = await model.generateContent(requestContent);
-      const responseText = result.response.text();
+// ======================================================================
+// 🚀 PIPELINE PROCESSOR (See src/pipeline.js; the batch CLI builds the same one)
+// ======================================================================
+const videoExtractor = withFrameCache(createVideoExtractor({
+  selection: CONFIG.FRAME_SELECTION,
+  sceneThreshold: CONFIG.FRAME_SCENE_THRESHOLD,
+  dedupThreshold: CONFIG.FRAME_DEDUP_THRESHOLD,
+  audioBitrate: CONFIG.VIDEO_AUDIO_BITRATE,
+  logger
+}), { maxBytes: CONFIG.FRAME_CACHE_BYTES, ttlMs: CONFIG.FRAME_CACHE_TTL_MS, logger });
+
+const { generateModelContent, generateSecondaryAnalysis, buildPipelineRequest, runPipeline } = createPipeline({
+  llm,
+  personas,
+  video: videoExtractor,
+  frameBudget: { maxFrames: CONFIG.MAX_FRAMES_PER_REQUEST, maxBytes: CONFIG.MAX_FRAME_BYTES_PER_REQUEST },
+  videoAudio: CONFIG.VIDEO_AUDIO_EXTRACTION,
+  modelPrices: CONFIG.MODEL_PRICES,
+  metrics,
+  saveRecord: saveProfileRecord,
+  onCompleted: indexCaseHistory,
+  logger
+});
 
-      if (!responseText) {
-        throw new Error("Received empty response from API");
-      }
+const formatCaseDate = (iso, language = DEFAULT_LANGUAGE) => new Date(iso).toLocaleDateString(localeOf(language), { day: 'numeric', month: 'short', year: 'numeric' });
 
-      return responseText;
+const formatReplyFooter = (language) => `\n\n${translate(language, 'profile.footer', { protocolAppUrl: PROTOCOL_APP_URL, protocolBooksUrl: PROTOCOL_BOOKS_URL })}`;
 
-    } catch (error) {
-      lastErrorMsg = error.message;
-      console.error(`❌ Key #${i + 1} failed:`, error.message);
-    }
+function formatProfileMessage(record, heading = '', language = DEFAULT_LANGUAGE) {
+  let text = heading ? `${heading}\n\n${record.profile}` : record.profile;
+  if (record.metadata) text += formatJsonBlock(record.metadata, language);
+  if (record.comparedWith) {
+    const study = record.comparedWith.study ? ` (${record.comparedWith.study})` : '';
+    text += `\n\n${translate(language, 'profile.comparedWith', { date: formatCaseDate(record.comparedWith.createdAt, language), study })}`;
   }
-
-  throw new Error(`All API keys failed. Last error: ${lastErrorMsg}`);
+  text += formatFrameStats(record.frameStats, language);
+  if (record.cachedFrom) {
+    text += `\n\n${translate(language, 'profile.cached', { date: formatCaseDate(record.cachedFrom.createdAt, language) })}`;
+  }
+  return text + formatReplyFooter(language);
 }
 
-// ======================================================================
-// 🚀 PIPELINE PROCESSOR
-// ======================================================================
-async function processMedia(ctx, chatId, mediaFiles, targetFps = 3, isSecondaryMode = false) {
-  try {
-    const counts = { images: 0, pdfs: 0, audio: 0, video: 0, texts: 0 };
-    const captions = [];
-    const textContents = [];
-    const binaryMedia = [];
+const personaName = (personaId) => (personas.get(personaId) || { name: 'Secondary Analysis' }).name;
 
-    // Smart frame extraction for videos
-    const processedMedia = [];
-    for (const m of mediaFiles) {
-      if (m.type === 'video') {
-        try {
-          const videoBuffer = Buffer.from(m.data, 'base64');
-          const frames = await extractFramesFromVideo(videoBuffer, targetFps);
-          frames.forEach(frameData => {
-            processedMedia.push({
-              type: 'image',
-              data: frameData,
-              mimeType: 'image/jpeg',
-              caption: m.caption ? `[Frame from video] ${m.caption}` : '[Frame from video]'
-            });
-          });
-        } catch (err) {
-          console.error(`Video extraction failed, treating as standard video: ${err.message}`);
-          processedMedia.push(m);
-        }
-      } else {
-        processedMedia.push(m);
-      }
-    }
+function formatSecondaryMessage(record, language = DEFAULT_LANGUAGE) {
+  return `${translate(language, 'profile.stepTwo', { name: personaName(record.persona) })}\n\n${record.secondary}${formatReplyFooter(language)}`;
+}
 
-    processedMedia.forEach(m => {
-      if (m.type === 'image') {
-        counts.images++;
-        binaryMedia.push(m);
-        if (m.caption) captions.push(`[Image caption]: ${m.caption}`);
-      } else if (m.type === 'pdf') {
-        counts.pdfs++;
-        binaryMedia.push(m);
-        if (m.caption) captions.push(`[PDF caption]: ${m.caption}`);
-      } else if (m.type === 'audio' || m.type === 'voice') {
-        counts.audio++;
-        binaryMedia.push(m);
-        if (m.caption) captions.push(`[Audio caption]: ${m.caption}`);
-      } else if (m.type === 'text') {
-        counts.texts++;
-        textContents.push(`[Text note]: ${m.content}`);
-      }
-    });
+// Button labels are the 'action.<name>' locale strings
+const PROFILE_ACTIONS = ['secondary', 'regen', 'concise', 'brief'];
 
-    const contentParts = binaryMedia.map(m => ({
-      inlineData: { data: m.data, mimeType: m.mimeType }
-    }));
+function profileKeyboard(record, language = DEFAULT_LANGUAGE) {
+  const buttons = PROFILE_ACTIONS
+    .filter(action => !(action === 'secondary' && record.secondary))
+    .filter(action => !(action === 'brief' && !record.metadata))
+    .map(action => Markup.button.callback(translate(language, `action.${action}`), `case:${action}:${record.id}`));
+  const exportRow = Object.keys(EXPORT_FORMATS).map(format => Markup.button.callback(`📄 ${format.toUpperCase()}`, `export:${format}:${record.id}`));
+  return Markup.inlineKeyboard([buttons.slice(0, 2), buttons.slice(2), exportRow].filter(row => row.length > 0));
+}
 
-    const allOriginalText = [...captions, ...textContents];
-    let promptParts = [];
-    if (counts.images > 0) promptParts.push(`${counts.images} image(s)`);
-    if (counts.pdfs > 0) promptParts.push(`${counts.pdfs} PDF document(s)`);
-    if (counts.audio > 0) promptParts.push(`${counts.audio} audio/voice recording(s)`);
+// Step 1 replies carry the buttons unless a Step 2 reply follows; the buttons go under the last reply of the run
+async function sendProfileReply(ctx, record) {
+  const isSecondaryMode = record.mode === 'secondary';
+  const threading = replyOptions(ctx);
+  const language = senderLanguage(ctx);
+  const sent = await sendSafeMessage(ctx, formatProfileMessage(record, isSecondaryMode ? t(ctx, 'profile.stepOne') : '', language),
+    isSecondaryMode ? threading : { ...threading, ...profileKeyboard(record, language) });
+  await linkMessageToCase(sent, record.id);
+}
 
-    let promptText = `Analyze these ${promptParts.join(', ')} along with the following additional text notes/context, and generate the Clinical Profile.
+async function sendSecondaryReply(ctx, record) {
+  const language = senderLanguage(ctx);
+  const sent = await sendSafeMessage(ctx, formatSecondaryMessage(record, language), { ...replyOptions(ctx), ...profileKeyboard(record, language) });
+  await linkMessageToCase(sent, record.id);
+}
 
-=== ADDITIONAL TEXT NOTES ===
-${allOriginalText.join('\n\n')}
-=== END OF TEXT NOTES ===
+// Everything that shapes the result goes into the cache key: the inputs, mode, FPS, comparison, output languages and prompt versions.
+// Scoped to the chat and sender, so a cached result is only ever handed back to whoever could have produced it
+function caseCacheKey(ctx, chatId, mediaFiles, targetFps, personaId, languages) {
+  const persona = personaId ? personas.get(personaId) : null;
+  return resultCacheKey(mediaFiles, {
+    targetFps,
+    persona: personaId,
+    compare: isComparisonEnabled(chatId),
+    languages,
+    version: instructionVersion(PRIMARY_SYSTEM_INSTRUCTION, persona && persona.systemInstruction, persona && persona.prompt, llm.models.join(','))
+  }, { chatId, userId: ctx.from ? ctx.from.id : null });
+}
 
-For audio files, transcribe the content first.`;
+// A completed case for the same inputs and settings, or null. Comparisons are never served from the
+// cache: the prior they cite may be out of sight by now, or a newer one may exist
+async function findCachedCase(cacheKey) {
+  const caseId = await resultCache.get(cacheKey);
+  const record = caseId ? await storage.get('profiles', caseId) : null;
+  return record && record.status === 'completed' && !record.comparedWith ? record : null;
+}
 
-    const currentDate = new Date().toLocaleDateString('en-GB', {
-      day: 'numeric', month: 'long', year: 'numeric'
-    });
-    promptText += `\n\n⚠️ CRITICAL INSTRUCTION REGARDING DATES: 
-Today's current date is ${currentDate}. Please pay extremely close attention to the dates printed or handwritten on the medical reports. You MUST extract and transcribe the year EXACTLY as it appears in the images/documents. Do NOT let your training biases replace the current year with past years.`;
+// The cached result becomes a new case of this chat, so its buttons, exports and follow-ups work here
+async function replyFromCache(ctx, chatId, cached, items) {
+  const record = createCaseRecord({
+    source: { channel: 'telegram', chatId, userId: ctx.from ? String(ctx.from.id) : null },
+    targetFps: cached.targetFps,
+    personaId: cached.persona,
+    languages: cached.languages
+  });
+  Object.assign(record, {
+    status: 'completed',
+    completedAt: record.createdAt,
+    inputCounts: cached.inputCounts,
+    frameStats: cached.frameStats,
+    profile: cached.profile,
+    metadata: cached.metadata,
+    secondary: cached.secondary,
+    usage: emptyUsage(),
+    cachedFrom: { caseId: cached.id, createdAt: cached.createdAt }
+  });
+  await saveProfileRecord(record);
+  logger.info({ caseId: record.id, cachedFrom: cached.id }, '♻️ Answered from the result cache');
+
+  await sendProfileReply(ctx, record);
+  if (record.mode === 'secondary') await sendSecondaryReply(ctx, record);
+  await retainCaseInputs(record.id, items);
+  await rememberLastCase(ctx, record.id);
+  return record;
+}
 
-    const requestContent = contentParts.length > 0 ? [promptText, ...contentParts] : [promptText];
+// items are spooled queue items (or a case's retained inputs); their files are only read here.
+// refresh skips the result cache (the ! trigger suffix and the Regenerate button);
+// charged is what the run cost the sender, given back if it is cancelled or fails
+async function processMedia(ctx, chatId, items, targetFps = 3, personaId = null, { signal = null, onStage = null, sourceCaseId = null, refresh = false, charged = null } = {}) {
+  const isSecondaryMode = Boolean(personaId);
+  const auditBase = {
+    action: 'process',
+    mode: isSecondaryMode ? `secondary (${personaId})` : 'primary',
+    targetFps,
+    itemCount: items.length
+  };
+
+  const languages = senderOutputLanguages(ctx);
+  try {
+    const mediaFiles = await loadSpooledItems(items);
+    const cacheKey = CONFIG.RESULT_CACHE ? caseCacheKey(ctx, chatId, mediaFiles, targetFps, personaId, languages) : null;
+    const cached = cacheKey && !refresh ? await findCachedCase(cacheKey) : null;
+    if (cached) {
+      const record = await replyFromCache(ctx, chatId, cached, items);
+      // Nothing went to the model, so the run does not count against the sender's quotas
+      if (charged) await refundRun(ctx, charged);
+      await recordAudit(ctx, { ...auditBase, outcome: 'success', profileId: record.id, cached: true });
+      return;
+    }
 
-    // STEP 1: Clinical Profile Compile
-    const rawPrimaryResponse = await generateGeminiContent(requestContent, PRIMARY_SYSTEM_INSTRUCTION);
-    const jsonData = parseJsonFromResponse(rawPrimaryResponse);
-    const primaryResponseText = stripJsonFromResponse(rawPrimaryResponse);
+    const record = createCaseRecord({
+      source: { channel: 'telegram', chatId, userId: ctx.from ? String(ctx.from.id) : null },
+      targetFps,
+      personaId,
+      sourceCaseId,
+      languages
+    });
 
-    if (isSecondaryMode) {
-      let step1Text = `📝 *Clinical Profile (Step 1):*\n\n${primaryResponseText}`;
-      if (jsonData) step1Text += formatJsonBlock(jsonData);
-      step1Text += GROUP_REPLY_FOOTER;
+    const findPrior = isComparisonEnabled(chatId)
+      ? (r) => caseHistory.findPrior(r.metadata && r.metadata.mrn, { canSee: caseVisibleTo(ctx), excludeIds: [r.id, r.sourceCaseId] })
+      : null;
+    await runPipeline(record, mediaFiles, {
+      signal,
+      onStage,
+      findPrior,
+      onProfile: (r) => sendProfileReply(ctx, r)
+    });
 
-      await sendSafeMessage(ctx, step1Text);
+    if (isSecondaryMode) await sendSecondaryReply(ctx, record);
 
-      // STEP 2: Secondary modality guidelines
-      const secondaryPrompt = `${SECONDARY_TRIGGER_PROMPT}\n\n=== CLINICAL PROFILE ===\n${primaryResponseText}\n=== END PROFILE ===`;
-      const secondaryResponseText = await generateGeminiContent([secondaryPrompt], SECONDARY_SYSTEM_INSTRUCTION);
+    if (!sourceCaseId) await retainCaseInputs(record.id, items);
+    await rememberLastCase(ctx, record.id);
+    if (cacheKey && !record.comparedWith) await resultCache.set(cacheKey, record.id);
 
-      let step2Text = `🧠 *Secondary Analysis (Step 2):*\n\n${secondaryResponseText}`;
-      step2Text += GROUP_REPLY_FOOTER;
+    await recordAudit(ctx, { ...auditBase, outcome: 'success', profileId: record.id });
 
-      await sendSafeMessage(ctx, step2Text);
+  } catch (error) {
+    if (charged) await refundRun(ctx, charged);
+    if (isAbortError(error)) {
+      await recordAudit(ctx, { ...auditBase, outcome: 'cancelled' });
+      await ctx.reply(t(ctx, 'process.cancelled'), replyOptions(ctx));
       return;
     }
+    logger.error({ err: error }, 'Execution pipeline error');
+    await recordAudit(ctx, { ...auditBase, outcome: 'error', error: error.message });
+    await ctx.reply(t(ctx, 'process.failed', { error: error.message }), replyOptions(ctx));
+  }
+}
+
+// Starts an API case in the background; the record is saved before the id is handed out
+async function startApiCase(mediaFiles, { client, targetFps, personaId, compareWithPrior = false }) {
+  const { breach } = await usageQuotas.consume(`api:${client}`, runDemand(mediaFiles));
+  if (breach) {
+    logger.warn({ client, limit: breach.limit, scope: breach.scope }, '🚦 API run refused by quota');
+    const error = new Error(formatQuotaRefusal(breach));
+    error.status = 429;
+    error.retryAfterMs = breach.resetsInMs;
+    throw error;
+  }
 
-    let finalResponseText = primaryResponseText;
-    if (jsonData) {
-      finalResponseText += formatJsonBlock(jsonData);
+  const record = createCaseRecord({ source: { channel: 'api', client }, targetFps, personaId });
+  await saveProfileRecord(record);
+
+  const auditBase = {
+    userId: `api:${client}`,
+    name: `API client ${client}`,
+    chatId: null,
+    action: 'process',
+    mode: record.mode,
+    targetFps,
+    itemCount: mediaFiles.length
+  };
+
+  // The job owns the spooled uploads from here on and removes them however it ends
+  const job = jobQueue.enqueue({
+    ownerKey: `api:${client}:${record.id}`,
+    run: async (signal) => {
+      try {
+        return await runPipeline(record, await loadSpooledItems(mediaFiles), {
+          signal,
+          // API clients only ever compare against their own submissions
+          findPrior: compareWithPrior
+            ? (r) => caseHistory.findPrior(r.metadata && r.metadata.mrn, {
+              canSee: (entry) => entry.channel === 'api' && entry.client === client,
+              excludeIds: [r.id]
+            })
+            : null
+        });
+      } finally {
+        await mediaSpool.discard(mediaFiles);
+      }
     }
-    finalResponseText += GROUP_REPLY_FOOTER;
+  });
 
-    await sendSafeMessage(ctx, finalResponseText);
+  const done = job.done.then(
+    async (result) => {
+      await writeAudit({ ...auditBase, outcome: 'success', profileId: result.id });
+      return result;
+    },
+    async (error) => {
+      logger.error({ err: error }, 'API pipeline error');
+      await usageQuotas.refund(`api:${client}`, runDemand(mediaFiles));
+      await writeAudit({ ...auditBase, outcome: 'error', error: error.message, profileId: record.id });
+      throw error;
+    }
+  );
 
-  } catch (error) {
-    console.error('Execution pipeline error:', error);
-    await ctx.reply(`❌ Error processing request: ${error.message}`);
-  }
+  return { id: record.id, done };
 }
 
 // ======================================================================
 // 📱 TELEGRAM BOT COMMANDS & HANDLERS
 // ======================================================================
 if (!CONFIG.TELEGRAM_TOKEN) {
-  console.error("❌ No TELEGRAM_BOT_TOKEN defined in environment!");
+  logger.fatal('❌ No TELEGRAM_BOT_TOKEN defined in environment!');
   process.exit(1);
 }
 
 const bot = new Telegraf(CONFIG.TELEGRAM_TOKEN);
 
-bot.command('start', async (ctx) => {
-  await trackAndForward(ctx);
-  await ctx.reply(`Step 1: Upload Your Clinical Context
+// ======================================================================
+// 👥 GROUP CHAT ADDRESSING (Keeps normal chatter out of the queues)
+// ======================================================================
+const isGroupChat = (ctx) => Boolean(ctx.chat) && (ctx.chat.type === 'group' || ctx.chat.type === 'supergroup');
+
+// ".", ".2", "..", "..mri", "..ddx1": a second dot chains a persona, the digit sets the video FPS;
+// a trailing "!" (".!", "..mri2!") skips the result cache
+function parseTrigger(text) {
+  const match = text.match(/^(\.{1,2})([a-z]*)([1-3]?)(!?)$/i);
+  if (!match || (match[1] === '.' && match[2])) return null;
+  return { chained: match[1] === '..', suffix: match[2].toLowerCase(), targetFps: match[3] ? parseInt(match[3], 10) : 3, refresh: match[4] === '!' };
+}
+
+// Only a registered persona suffix makes "..<suffix>" a trigger, so chatter like "..lol" stays chatter
+const isTriggerText = (text) => {
+  const trigger = parseTrigger(text);
+  return trigger !== null && (!trigger.suffix || Boolean(personas.fromSuffix(trigger.suffix)));
+};
 
-Simply send your patient documents directly to the bot. You can upload multiple
-items one after the other:
+// Threads bot replies to the sender's message (or the message whose button was pressed) in groups
+// so parallel cases stay readable
+const replyOptions = (ctx) => {
+  const source = ctx.message || ctx.callbackQuery?.message;
+  return isGroupChat(ctx) && source
+    ? { reply_parameters: { message_id: source.message_id, allow_sending_without_reply: true } }
+    : {};
+};
+
+// Returns the text meant for the bot (mention / prefix stripped), or null for group chatter
+function extractAddressedText(ctx) {
+  const text = ctx.message.text.trim();
+  if (!isGroupChat(ctx) || !CONFIG.GROUP_REQUIRE_MENTION) return text;
+
+  // Replies to the bot's own messages (follow-up questions) are addressed to it
+  const repliedTo = ctx.message.reply_to_message;
+  if (repliedTo && ctx.botInfo && repliedTo.from && repliedTo.from.id === ctx.botInfo.id) return text;
+
+  const mention = ctx.botInfo ? `@${ctx.botInfo.username}` : null;
+  if (mention && text.toLowerCase().includes(mention.toLowerCase())) {
+    return text.split(new RegExp(mention, 'i')).join(' ').trim();
+  }
+  if (CONFIG.GROUP_NOTE_PREFIX && text.startsWith(CONFIG.GROUP_NOTE_PREFIX)) {
+    return text.slice(CONFIG.GROUP_NOTE_PREFIX.length).trim();
+  }
+  if (isTriggerText(text)) return text;
+  return null;
+}
+
+// Runs before the access gate so chatter from unknown group members never triggers access requests
+bot.use((ctx, next) => {
+  const text = ctx.message && ctx.message.text;
+  if (text && !text.startsWith('/') && isGroupChat(ctx) && extractAddressedText(ctx) === null) return;
+  return next();
+});
+
+// ======================================================================
+// 🔐 ACCESS GATE (Runs before every handler)
+// ======================================================================
+const describeUser = (from) => ({
+  id: String(from.id),
+  name: [from.first_name, from.last_name].filter(Boolean).join(' ') || 'No name',
+  username: from.username ? `@${from.username}` : 'No username'
+});
 
-  - Images: Photos of clinical sheets, handwritten notes, or prior scan results.
-  - PDFs: Typed lab reports, pathology findings, or prior imaging reports.
-  - Audio/Voice Notes: Voice dictations explaining the clinical background.
-  - Videos: Video recordings of CT/MRI scan scroll-throughs.
-  - Text: Typed notes containing clinical history or indications.
+async function notifyAdminOfAccessRequest(user) {
+  const text = `🔐 *Access Request*\n\n• *ID:* \`${user.id}\`\n• *Name:* ${user.name}\n• *Username:* ${user.username}`;
+  const keyboard = Markup.inlineKeyboard([
+    [
+      Markup.button.callback('✅ Clinician', `access:approve:${user.id}:clinician`),
+      Markup.button.callback('👁️ Viewer', `access:approve:${user.id}:viewer`)
+    ],
+    [Markup.button.callback('❌ Deny', `access:deny:${user.id}`)]
+  ]);
+  try {
+    await bot.telegram.sendMessage(CONFIG.ADMIN_ID, text, { parse_mode: 'Markdown', ...keyboard });
+  } catch (e) {
+    logger.error({ err: e }, '🔐 Access request notification failed');
+  }
+}
 
-The bot will acknowledge each item and add it to your temporary queue.
+async function notifyUserOfAccessChange(userId, key, params) {
+  try {
+    await bot.telegram.sendMessage(userId, translate(languageOf(userId), key, params));
+  } catch (e) {
+    logger.error({ err: e, userId }, '🔐 Could not notify user');
+  }
+}
 
- Step 2: Trigger the Analysis
+// Checks a role permission for the sender and explains the refusal
+async function requirePermission(ctx, permission) {
+  if (accessControl.can(ctx.from.id, permission)) return true;
+  const role = accessControl.getRole(ctx.from.id) || 'none';
+  await ctx.reply(t(ctx, 'access.roleDenied', { role }));
+  return false;
+}
 
-Once your files are uploaded, send one of the following short commands as a text
-message to initiate processing:
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return;
+  if (accessControl.isAllowed(ctx.from.id)) return next();
 
-  - Send a single dot (.)
-    Generates a Standard Clinical Profile (Step 1) along with the Quick
-    Reference Metadata card. (Extracts video frames at a default of 3 frames per
-    second).
+  if (ctx.callbackQuery) {
+    return ctx.answerCbQuery(t(ctx, 'access.denied')).catch(() => {});
+  }
 
-  - Send a double dot (..)
-    Generates a Chained Secondary Analysis. The bot first generates the clinical
-    profile, then automatically passes that profile to a secondary
-    expert-radiologist persona to provide modality protocol advice and list
-    potential findings.
+  const { record, created } = await accessControl.requestAccess(describeUser(ctx.from));
+  if (created) {
+    await notifyAdminOfAccessRequest(record);
+    return ctx.reply(t(ctx, 'access.requested'));
+  }
 
-  - Adjust Video Frame Rates (.1, .2, .3 or ..1, ..2, ..3)
-    If your queue contains video files, you can modify the frame extraction
-    density. For example, sending .1 extracts 1 frame per second (better for
-    slow-scrolling videos), while .3 extracts 3 frames per second (best for
-    fast-scrolling videos).
+  // Stay quiet in groups so repeated chatter does not spam the chat
+  if (ctx.chat?.type !== 'private') return;
+  if (record.status === 'pending') {
+    return ctx.reply(t(ctx, 'access.pending'));
+  }
+  return ctx.reply(t(ctx, 'access.none'));
+});
 
- 
- `, { parse_mode: 'Markdown' });
+bot.command('start', async (ctx) => {
+  await trackAndForward(ctx);
+  await ctx.reply(t(ctx, 'help', {
+    maxDownload: formatBytes(CONFIG.TELEGRAM_MAX_DOWNLOAD_BYTES),
+    maxItems: CONFIG.MAX_BUFFER_ITEMS,
+    maxBytes: formatBytes(CONFIG.MAX_BUFFER_BYTES),
+    keepMinutes: Math.round(CONFIG.MEDIA_TIMEOUT_MS / 60000),
+    suffixes: personas.list().map(p => `..${p.suffix}`).join(', '),
+    retentionHours: CONFIG.CASE_INPUT_RETENTION_MS / 3600000,
+    followupTurns: CONFIG.FOLLOWUP_MAX_TURNS,
+    notePrefix: CONFIG.GROUP_NOTE_PREFIX
+  }), { parse_mode: 'Markdown' });
 });
 
 bot.command('clear', async (ctx) => {
   await trackAndForward(ctx);
-  const chatId = ctx.chat.id;
-  const cleared = clearChatBuffer(chatId);
-  await ctx.reply(`🗑️ Cleared ${cleared.length} items from your buffer.`);
+  const cleared = clearChatBuffer(bufferKeyFor(ctx));
+  await ctx.reply(t(ctx, 'queue.cleared', { count: cleared.length }));
 });
 
 bot.command('status', async (ctx) => {
   await trackAndForward(ctx);
-  const chatId = ctx.chat.id;
-  const buffer = getChatBuffer(chatId);
-  const counts = { images: 0, pdfs: 0, audio: 0, video: 0, texts: 0 };
+  const buffer = chatMediaBuffers.get(bufferKeyFor(ctx)) || [];
+  const counts = { images: 0, dicom: 0, pdfs: 0, audio: 0, video: 0, texts: 0 };
 
   buffer.forEach(b => {
     if (b.type === 'image') counts.images++;
+    else if (b.type === 'dicom') counts.dicom++;
     else if (b.type === 'pdf') counts.pdfs++;
     else if (b.type === 'audio' || b.type === 'voice') counts.audio++;
     else if (b.type === 'video') counts.video++;
     else if (b.type === 'text') counts.texts++;
   });
 
-  const text = `📊 *Buffer Status:*
-📷 Images: ${counts.images}
-📄 PDFs: ${counts.pdfs}
-🎵 Audio/Voice: ${counts.audio}
-🎬 Videos: ${counts.video}
-📝 Text Notes: ${counts.texts}
-━━━━━━━━━━
-📦 Total buffered: ${buffer.length} / 20 items max`;
+  const text = t(ctx, 'status.report', {
+    ...counts,
+    videoNote: counts.video > 0 && CONFIG.VIDEO_AUDIO_EXTRACTION ? t(ctx, 'status.videoAudio') : '',
+    count: buffer.length,
+    maxItems: CONFIG.MAX_BUFFER_ITEMS,
+    size: formatBytes(bufferBytes(buffer)),
+    maxSize: formatBytes(CONFIG.MAX_BUFFER_BYTES),
+    persona: personaName(getChatPersonaId(ctx.chat.id)),
+    language: LANGUAGES[senderLanguage(ctx)].nativeName
+  });
   await ctx.reply(text, { parse_mode: 'Markdown' });
 });
 
-bot.command('users', async (ctx) => {
+const ITEM_ICONS = { image: '📷', dicom: '🩻', pdf: '📄', audio: '🎵', voice: '🎵', video: '🎬', text: '📝' };
+
+function describeBufferItem(ctx, item, index) {
+  const preview = (value) => {
+    const flat = value.replace(/\s+/g, ' ').trim();
+    return flat.length > 60 ? `"${flat.slice(0, 60)}…"` : `"${flat}"`;
+  };
+  let detail = '';
+  if (item.type === 'text') detail = preview(item.content);
+  else if (item.type === 'dicom') detail = `${t(ctx, 'queue.dicomImages', { count: item.images.length })}${item.caption ? ` · ${preview(item.caption)}` : ''}`;
+  else if (item.caption) detail = preview(item.caption);
+  return `${index + 1}. ${ITEM_ICONS[item.type] || '📎'} ${item.type.toUpperCase()} · ${formatBytes(bufferItemBytes(item))}${detail ? ` · ${detail}` : ''}`;
+}
+
+bot.command('list', async (ctx) => {
+  await trackAndForward(ctx);
+  const buffer = chatMediaBuffers.get(bufferKeyFor(ctx)) || [];
+  if (buffer.length === 0) {
+    return ctx.reply(t(ctx, 'queue.empty'), replyOptions(ctx));
+  }
+  // Plain text: captions and notes may contain Markdown control characters
+  const lines = buffer.map((item, index) => describeBufferItem(ctx, item, index)).join('\n');
+  const header = t(ctx, 'queue.listHeader', { count: buffer.length, size: formatBytes(bufferBytes(buffer)) });
+  await ctx.reply(`${header}\n\n${lines}\n\n${t(ctx, 'queue.listFooter')}`.slice(0, 4000), replyOptions(ctx));
+});
+
+// Parses the 1-based item number of /remove and /edit against the sender's queue
+function parseItemNumber(ctx, value) {
+  const buffer = chatMediaBuffers.get(bufferKeyFor(ctx)) || [];
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > buffer.length) {
+    throw new Error(buffer.length === 0 ? t(ctx, 'queue.emptyShort') : t(ctx, 'queue.pickItem', { max: buffer.length }));
+  }
+  return number - 1;
+}
+
+bot.command('remove', async (ctx) => {
+  if (!(await requirePermission(ctx, 'submit'))) return;
+  await trackAndForward(ctx);
+  const bufferKey = bufferKeyFor(ctx);
+  try {
+    const index = parseItemNumber(ctx, ctx.payload.trim());
+    const removed = removeBufferItem(bufferKey, index);
+    const left = (chatMediaBuffers.get(bufferKey) || []).length;
+    await ctx.reply(t(ctx, 'queue.removed', { number: index + 1, type: removed.type.toUpperCase(), count: left }), replyOptions(ctx));
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message} ${t(ctx, 'queue.removeUsage')}`, replyOptions(ctx));
+  }
+});
+
+bot.command('undo', async (ctx) => {
+  if (!(await requirePermission(ctx, 'submit'))) return;
+  await trackAndForward(ctx);
+  const bufferKey = bufferKeyFor(ctx);
+  const buffer = chatMediaBuffers.get(bufferKey) || [];
+  if (buffer.length === 0) {
+    return ctx.reply(t(ctx, 'queue.undoEmpty'), replyOptions(ctx));
+  }
+  const removed = removeBufferItem(bufferKey, buffer.length - 1);
+  await ctx.reply(t(ctx, 'queue.undone', { type: removed.type.toUpperCase(), count: buffer.length }), replyOptions(ctx));
+});
+
+bot.command('edit', async (ctx) => {
+  if (!(await requirePermission(ctx, 'submit'))) return;
   await trackAndForward(ctx);
+  const bufferKey = bufferKeyFor(ctx);
+  const [, numberArg, content] = ctx.payload.match(/^\s*(\S*)\s*([\s\S]*)$/);
+  try {
+    const index = parseItemNumber(ctx, numberArg);
+    const item = chatMediaBuffers.get(bufferKey)[index];
+    if (item.type !== 'text') throw new Error(t(ctx, 'queue.editNotText', { number: index + 1, type: item.type }));
+    if (!content.trim()) throw new Error(t(ctx, 'queue.editNoText'));
+    item.content = content.trim();
+    resetChatTimeout(bufferKey);
+    await ctx.reply(t(ctx, 'queue.edited', { number: index + 1 }), replyOptions(ctx));
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message} ${t(ctx, 'queue.editUsage')}`, replyOptions(ctx));
+  }
+});
+
+bot.action(/^buffer:keep:(\d+)$/, async (ctx) => {
+  const [, userId] = ctx.match;
+  if (String(ctx.from.id) !== userId) {
+    return ctx.answerCbQuery(t(ctx, 'queue.keepNotOwner'));
+  }
+  const bufferKey = `${ctx.chat.id}:${userId}`;
+  const buffer = chatMediaBuffers.get(bufferKey) || [];
+  if (buffer.length === 0) {
+    return ctx.answerCbQuery(t(ctx, 'queue.keepGone'));
+  }
+  // Answered in place below, so the reset must not delete it
+  const warning = chatExpiryWarnings.get(bufferKey);
+  if (warning) warning.messageId = null;
+  resetChatTimeout(bufferKey);
+  await ctx.editMessageText(t(ctx, 'queue.kept', { count: buffer.length, minutes: Math.round(CONFIG.MEDIA_TIMEOUT_MS / 60000) })).catch(() => {});
+  await ctx.answerCbQuery();
+});
+
+bot.command('cancel', async (ctx) => {
+  const { queued, running } = jobQueue.cancel(bufferKeyFor(ctx));
+  if (queued === 0 && running === 0) {
+    return ctx.reply(t(ctx, 'job.none'), replyOptions(ctx));
+  }
+  await ctx.reply(t(ctx, 'job.cancelling', { running, queued }), replyOptions(ctx));
+});
+
+bot.command('mode', async (ctx) => {
+  const chatId = ctx.chat.id;
+  const wanted = ctx.payload.trim().toLowerCase();
+
+  if (!wanted) {
+    const current = getChatPersonaId(chatId);
+    const lines = personas.list().map(p =>
+      `${p.id === current ? '▶️' : '▫️'} *${p.name}* — \`..${p.suffix}\` (\`${p.id}\`)${p.description ? `\n    ${p.description}` : ''}`);
+    return ctx.reply(t(ctx, 'mode.list', { lines: lines.join('\n') }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  }
+
+  if (!(await requirePermission(ctx, 'process'))) return;
+  const persona = personas.get(wanted) || personas.fromSuffix(wanted);
+  if (!persona) {
+    return ctx.reply(t(ctx, 'mode.unknown', { wanted }), replyOptions(ctx));
+  }
+  try {
+    await updateChatSettings(chatId, { persona: persona.id }, String(ctx.from.id));
+    await ctx.reply(t(ctx, 'mode.set', { name: persona.name }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  } catch (e) {
+    await ctx.reply(t(ctx, 'mode.saveFailed', { error: e.message }));
+  }
+});
+
+bot.command('history', async (ctx) => {
+  if (!(await requirePermission(ctx, 'view'))) return;
+  const mrn = ctx.payload.trim();
+  if (!mrn) {
+    return ctx.reply(t(ctx, 'history.usage'), replyOptions(ctx));
+  }
+
+  try {
+    const entries = await caseHistory.list(mrn, { canSee: caseVisibleTo(ctx) });
+    const records = (await Promise.all(entries.slice(0, CONFIG.HISTORY_MAX_ENTRIES).map(e => storage.get('profiles', e.caseId))))
+      .filter(r => r && r.profile);
+    await recordAudit(ctx, { action: 'history', resultCount: records.length });
+    if (records.length === 0) {
+      return ctx.reply(t(ctx, 'history.none'), replyOptions(ctx));
+    }
+
+    const blocks = records.map((r, i) =>
+      `*${i + 1}. ${formatCaseDate(r.createdAt, senderLanguage(ctx))} • ${(r.metadata && r.metadata.study) || t(ctx, 'history.noStudy')}*\n${r.profile}`);
+    const more = entries.length > records.length ? t(ctx, 'history.newest', { shown: records.length, total: entries.length }) : '';
+    await sendSafeMessage(ctx, `${t(ctx, 'history.header', { mrn, more })}\n\n${blocks.join('\n\n')}`, replyOptions(ctx));
+  } catch (e) {
+    logger.error({ err: e }, 'History lookup error');
+    await ctx.reply(t(ctx, 'history.failed', { error: e.message }), replyOptions(ctx));
+  }
+});
+
+bot.command('compare', async (ctx) => {
+  const chatId = ctx.chat.id;
+  const wanted = ctx.payload.trim().toLowerCase();
+
+  if (wanted !== 'on' && wanted !== 'off') {
+    const state = t(ctx, isComparisonEnabled(chatId) ? 'compare.on' : 'compare.off');
+    return ctx.reply(t(ctx, 'compare.status', { state }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  }
+
+  if (!(await requirePermission(ctx, 'process'))) return;
+  try {
+    await updateChatSettings(chatId, { compare: wanted === 'on' }, String(ctx.from.id));
+    await ctx.reply(t(ctx, 'compare.set', { state: t(ctx, `compare.${wanted}`) }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  } catch (e) {
+    await ctx.reply(t(ctx, 'compare.saveFailed', { error: e.message }));
+  }
+});
+
+// With English there is nothing to translate, so the output mode only matters for the other languages
+const outputModeOf = (settings) => (!settings.language || settings.language === DEFAULT_LANGUAGE ? 'english' : settings.output || 'mixed');
+
+// /lang [code|name] sets the UI language; /lang output english|mixed|all what the model writes in it.
+// Both are per user, so they follow the user into group chats.
+bot.command('lang', async (ctx) => {
+  const [wanted = '', mode = ''] = ctx.payload.trim().toLowerCase().split(/\s+/).filter(Boolean);
   const userId = String(ctx.from.id);
-  const adminId = CONFIG.ADMIN_ID;
 
-  if (adminId && userId !== String(adminId)) {
+  if (!wanted) {
+    const settings = userSettings.get(userId) || {};
+    const languages = Object.entries(LANGUAGES).map(([code, l]) => `${code === senderLanguage(ctx) ? '▶️' : '▫️'} /lang ${code} — ${l.nativeName}`);
+    return ctx.reply(t(ctx, 'lang.status', {
+      language: LANGUAGES[senderLanguage(ctx)].nativeName,
+      output: outputModeOf(settings),
+      languages: languages.join('\n'),
+      ...Object.fromEntries(OUTPUT_MODES.map(m => [m, t(ctx, `lang.output.${m}`)]))
+    }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  }
+
+  try {
+    if (wanted === 'output') {
+      if (!OUTPUT_MODES.includes(mode)) {
+        return ctx.reply(t(ctx, 'lang.unknownOutput', { wanted: mode }), replyOptions(ctx));
+      }
+      await updateUserSettings(userId, { output: mode });
+      return ctx.reply(t(ctx, 'lang.outputSet', { output: mode, description: t(ctx, `lang.output.${mode}`) }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+    }
+
+    const language = resolveLanguage(wanted);
+    if (!language) {
+      const available = Object.entries(LANGUAGES).map(([code, l]) => `${code} (${l.nativeName})`).join(', ');
+      return ctx.reply(t(ctx, 'lang.unknown', { wanted, available }), replyOptions(ctx));
+    }
+    await updateUserSettings(userId, { language });
+    // Confirmed in the newly chosen language
+    await ctx.reply(t(ctx, 'lang.set', { language: LANGUAGES[language].nativeName, output: outputModeOf(userSettings.get(userId)) }), { ...replyOptions(ctx), parse_mode: 'Markdown' });
+  } catch (e) {
+    await ctx.reply(t(ctx, 'lang.saveFailed', { error: e.message }));
+  }
+});
+
+bot.command('users', async (ctx) => {
+  await trackAndForward(ctx);
+
+  if (!accessControl.can(ctx.from.id, 'manage')) {
     return ctx.reply("⚠️ Access denied. You are not authorized to view bot statistics.");
   }
 
   if (registeredUsers.size === 0) {
-    return ctx.reply("👥 No active users recorded since the last boot.");
+    return ctx.reply("👥 No users recorded yet.");
   }
 
-  let userListText = `👥 *Unique Users since last startup (${registeredUsers.size}):*\n\n`;
+  let userListText = `👥 *Registered Users (${registeredUsers.size}):*\n\n`;
   registeredUsers.forEach((data, id) => {
-    userListText += `• *ID:* \`${id}\`\n  *Name:* ${data.name}\n  *Username:* ${data.username}\n  *Last Active:* ${data.lastSeen}\n\n`;
+    const role = accessControl.getRole(id) || accessControl.getRecord(id)?.status || 'none';
+    userListText += `• *ID:* \`${id}\`\n  *Name:* ${data.name}\n  *Username:* ${data.username}\n  *Role:* ${role}\n  *Last Active:* ${data.lastSeen}\n\n`;
   });
 
+  const pending = accessControl.list().filter(r => r.status === 'pending');
+  if (pending.length > 0) {
+    userListText += `⏳ *Pending Access Requests (${pending.length}):*\n`;
+    pending.forEach(r => {
+      userListText += `• \`${r.id}\` ${r.name || ''} ${r.username || ''}\n`;
+    });
+  }
+
   await sendSafeMessage(ctx, userListText);
 });
 
+bot.command('approve', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const [userId, role = 'clinician'] = ctx.payload.trim().split(/\s+/);
+  if (!userId) {
+    return ctx.reply(`Usage: /approve <userId> [${ROLES.join('|')}]`);
+  }
+  try {
+    const record = await accessControl.approve(userId, role, String(ctx.from.id));
+    await ctx.reply(`✅ User ${record.id} approved as ${record.role}.`);
+    await recordAudit(ctx, { action: 'access', detail: `approved ${record.id} as ${record.role}` });
+    await notifyUserOfAccessChange(record.id, 'access.approved', { role: record.role });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message}`);
+  }
+});
+
+bot.command('revoke', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const userId = ctx.payload.trim();
+  if (!userId) {
+    return ctx.reply('Usage: /revoke <userId>');
+  }
+  try {
+    const record = await accessControl.revoke(userId, String(ctx.from.id));
+    clearUserBuffers(record.id);
+    await ctx.reply(`🚫 Access revoked for user ${record.id}.`);
+    await recordAudit(ctx, { action: 'access', detail: `revoked ${record.id}` });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message}`);
+  }
+});
+
+bot.command('role', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const [userId, role] = ctx.payload.trim().split(/\s+/);
+  if (!userId || !role) {
+    return ctx.reply(`Usage: /role <userId> <${ROLES.join('|')}>`);
+  }
+  try {
+    const record = await accessControl.setRole(userId, role, String(ctx.from.id));
+    await ctx.reply(`🔁 User ${record.id} is now ${record.role}.`);
+    await recordAudit(ctx, { action: 'access', detail: `changed ${record.id} to ${record.role}` });
+    await notifyUserOfAccessChange(record.id, 'access.roleChanged', { role: record.role });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message}`);
+  }
+});
+
+bot.command('audit', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const [target = 'all', limitArg] = ctx.payload.trim().split(/\s+/).filter(Boolean);
+  const limit = Math.min(Math.max(parseInt(limitArg, 10) || 20, 1), 100);
+  const userId = target === 'all' ? null : target;
+
+  try {
+    const entries = await auditLog.query({ userId, limit });
+    if (entries.length === 0) {
+      return ctx.reply('🧾 No audit entries found.');
+    }
+    const header = `🧾 Audit log (last ${entries.length}${userId ? ` for ${userId}` : ''}):\n\n`;
+    // Plain text: names in entries may contain Markdown control characters
+    const lines = entries.map(formatAuditEntry).join('\n');
+    await ctx.reply(`${header}${lines}`.slice(0, 4000));
+  } catch (e) {
+    await ctx.reply(`❌ Could not read audit log: ${e.message}`);
+  }
+});
+
+bot.action(/^access:(approve|deny):(\d+)(?::(\w+))?$/, async (ctx) => {
+  if (!accessControl.can(ctx.from.id, 'manage')) {
+    return ctx.answerCbQuery('⛔ Only admins can handle access requests.');
+  }
+  const [, action, userId, role] = ctx.match;
+  try {
+    if (action === 'approve') {
+      const record = await accessControl.approve(userId, role, String(ctx.from.id));
+      await ctx.editMessageText(`✅ User ${record.id} approved as ${record.role}.`);
+      await recordAudit(ctx, { action: 'access', detail: `approved ${record.id} as ${record.role}` });
+      await notifyUserOfAccessChange(record.id, 'access.approved', { role: record.role });
+    } else {
+      const record = await accessControl.deny(userId, String(ctx.from.id));
+      await ctx.editMessageText(`❌ Access request from ${record.id} denied.`);
+      await recordAudit(ctx, { action: 'access', detail: `denied ${record.id}` });
+      await notifyUserOfAccessChange(record.id, 'access.rejected');
+    }
+    await ctx.answerCbQuery();
+  } catch (e) {
+    await ctx.answerCbQuery(`❌ ${e.message}`);
+  }
+});
+
 // Media Queue Handlers
-const registerMediaItem = async (ctx, type, fileId, mimeType, captionText) => {
+// Returns the reason a queue cannot take another item of the given size, or null
+function bufferLimitMessage(ctx, buffer, sizeBytes = 0) {
+  if (buffer.length >= CONFIG.MAX_BUFFER_ITEMS) {
+    return t(ctx, 'queue.full', { max: CONFIG.MAX_BUFFER_ITEMS });
+  }
+  const used = bufferBytes(buffer);
+  if (used + sizeBytes > CONFIG.MAX_BUFFER_BYTES) {
+    return t(ctx, 'queue.noRoom', { used: formatBytes(used), max: formatBytes(CONFIG.MAX_BUFFER_BYTES) });
+  }
+  return null;
+}
+
+// convert(buffer) turns the download into a different buffer item (e.g. a DOCX into a text note)
+const registerMediaItem = async (ctx, type, fileId, mimeType, captionText, { convert = null, fileSize = 0, durationSec = 0 } = {}) => {
+  if (!(await requirePermission(ctx, 'submit'))) return;
   await trackAndForward(ctx);
   const chatId = ctx.chat.id;
+  const bufferKey = bufferKeyFor(ctx);
+  const threading = replyOptions(ctx);
 
+  if (fileSize > CONFIG.TELEGRAM_MAX_DOWNLOAD_BYTES) {
+    await ctx.reply(`${tooBigForTelegram(ctx)} ${t(ctx, 'upload.thisOne', { size: formatBytes(fileSize) })}`, threading);
+    return;
+  }
+  const refusal = bufferLimitMessage(ctx, getChatBuffer(bufferKey), fileSize);
+  if (refusal) {
+    await ctx.reply(refusal, { ...threading, parse_mode: 'Markdown' });
+    return;
+  }
+
+  let spooled = null;
   try {
-    const loadingMsg = await ctx.reply(`📥 Downloading file to in-memory buffer...`);
-    const base64Data = await getTelegramFileAsBase64(ctx, fileId);
-    ctx.telegram.deleteMessage(chatId, loadingMsg.message_id).catch(() => {});
+    const loadingMsg = await ctx.reply(t(ctx, 'upload.downloading'), threading);
+    const freeBytes = CONFIG.MAX_BUFFER_BYTES - bufferBytes(getChatBuffer(bufferKey));
+    spooled = await downloadTelegramFile(ctx, fileId, Math.min(freeBytes, CONFIG.TELEGRAM_MAX_DOWNLOAD_BYTES))
+      .finally(() => ctx.telegram.deleteMessage(chatId, loadingMsg.message_id).catch(() => {}));
+
+    let item = { type, mimeType, ...spooled };
+    // Telegram reports the duration of videos; it counts against the daily video quota
+    if (durationSec) item.durationSec = durationSec;
+    if (convert) {
+      const converted = await convert(await mediaSpool.read(spooled.path));
+      await mediaSpool.discard([spooled]);
+      spooled = null;
+      // Converted binaries (e.g. HEIC → JPEG) and rendered DICOM slices go back to disk; notes stay in memory
+      if (converted.data) {
+        const { data, ...rest } = converted;
+        spooled = await mediaSpool.write(bufferKey, Buffer.from(data, 'base64'));
+        item = { ...rest, ...spooled };
+      } else if (converted.type === 'dicom') {
+        // Filled one slice at a time, so a failure part-way discards the slices already written
+        spooled = { ...converted, images: [] };
+        for (const { data, ...image } of converted.images) {
+          spooled.images.push({ ...image, ...(await mediaSpool.write(bufferKey, Buffer.from(data, 'base64'))) });
+        }
+        item = spooled;
+      } else {
+        item = converted;
+      }
+    }
 
-    const buffer = getChatBuffer(chatId);
-    if (buffer.length >= 20) {
-      await ctx.reply(`⚠️ Buffer is full. Clear using /clear or process using *.*`);
+    // The queue may have been processed or filled while the file downloaded
+    const buffer = getChatBuffer(bufferKey);
+    const lateRefusal = bufferLimitMessage(ctx, buffer, bufferItemBytes(item));
+    if (lateRefusal) {
+      await ctx.reply(lateRefusal, { ...threading, parse_mode: 'Markdown' });
+      await mediaSpool.discard([spooled]);
       return;
     }
+    // Text notes carry no caption field, so a caption is folded into the note
+    if (item.type === 'text' && captionText) item.content = `${captionText}\n${item.content}`;
+    buffer.push(item.type === 'text' ? item : { ...item, caption: captionText || '' });
+    spooled = null;
 
-    buffer.push({
-      type: type,
-      data: base64Data,
-      mimeType: mimeType,
-      caption: captionText || ''
-    });
-
-    resetChatTimeout(chatId, ctx);
-    await ctx.reply(`📎 Added ${type.toUpperCase()} to queue. Queue count: *${buffer.length}*`, { parse_mode: 'Markdown' });
+    resetChatTimeout(bufferKey);
+    let added = item.type === 'text' ? t(ctx, 'upload.asTextNote', { type: type.toUpperCase() }) : item.type.toUpperCase();
+    if (item.type === 'dicom') added = t(ctx, 'upload.dicom', { images: item.images.length, series: item.seriesCount });
+    await ctx.reply(t(ctx, 'upload.added', { item: added, count: buffer.length }), { ...threading, parse_mode: 'Markdown' });
+    await recordAudit(ctx, { action: 'submit', itemType: type, sizeBytes: bufferItemBytes(item) });
 
   } catch (error) {
-    console.error('Buffer queue error:', error);
-    await ctx.reply(`❌ Failed to buffer file.`);
+    if (spooled) await mediaSpool.discard([spooled]);
+    // Telegram refuses getFile above its limit even when the message did not report a size
+    if (/file is too big/i.test(error.message)) {
+      await ctx.reply(tooBigForTelegram(ctx), threading);
+      return;
+    }
+    logger.error({ err: error }, 'Buffer queue error');
+    await ctx.reply(t(ctx, 'upload.failed', { error: error.message }), threading);
   }
 };
 
 bot.on(message('photo'), ctx => {
   const photo = ctx.message.photo;
-  const fileId = photo[photo.length - 1].file_id;
-  registerMediaItem(ctx, 'image', fileId, 'image/jpeg', ctx.message.caption);
+  const largest = photo[photo.length - 1];
+  registerMediaItem(ctx, 'image', largest.file_id, 'image/jpeg', ctx.message.caption, { fileSize: largest.file_size });
 });
 
 bot.on(message('document'), ctx => {
   const doc = ctx.message.document;
-  if (!doc.mime_type || !doc.mime_type.includes('pdf')) {
-    return ctx.reply("⚠️ Only PDF documents are supported!");
+  const detected = classifyDocument({ mimeType: doc.mime_type, fileName: doc.file_name });
+  if (!detected) {
+    return ctx.reply(t(ctx, 'upload.unsupported', { fileName: doc.file_name ? ` (${doc.file_name})` : '', supported: SUPPORTED_DOCUMENTS }), replyOptions(ctx));
   }
-  registerMediaItem(ctx, 'pdf', doc.file_id, 'application/pdf', ctx.message.caption);
+  // Images sent "as file" keep full resolution; everything else is normalized on download
+  const convert = detected.kind === 'pdf' || detected.kind === 'image'
+    ? null
+    : (buffer) => normalizeDocument(buffer, {
+      ...detected,
+      fileName: doc.file_name,
+      dicom: {
+        maxSlicesPerSeries: CONFIG.DICOM_MAX_SLICES_PER_SERIES,
+        maxImages: CONFIG.DICOM_MAX_IMAGES,
+        maxDimension: CONFIG.DICOM_MAX_DIMENSION,
+        maxZipBytes: CONFIG.DICOM_ZIP_MAX_BYTES,
+        maxZipFiles: CONFIG.DICOM_ZIP_MAX_FILES
+      }
+    });
+  const type = { heic: 'image', 'dicom-zip': 'dicom' }[detected.kind] || detected.kind;
+  registerMediaItem(ctx, type, doc.file_id, detected.mimeType, ctx.message.caption, { convert, fileSize: doc.file_size });
 });
 
 bot.on(message('video'), ctx => {
   const vid = ctx.message.video;
-  registerMediaItem(ctx, 'video', vid.file_id, vid.mime_type || 'video/mp4', ctx.message.caption);
+  registerMediaItem(ctx, 'video', vid.file_id, vid.mime_type || 'video/mp4', ctx.message.caption, { fileSize: vid.file_size, durationSec: vid.duration });
 });
 
 bot.on(message('voice'), ctx => {
   const voice = ctx.message.voice;
-  registerMediaItem(ctx, 'voice', voice.file_id, voice.mime_type || 'audio/ogg', ctx.message.caption);
+  registerMediaItem(ctx, 'voice', voice.file_id, voice.mime_type || 'audio/ogg', ctx.message.caption, { fileSize: voice.file_size });
 });
 
 bot.on(message('audio'), ctx => {
   const audio = ctx.message.audio;
-  registerMediaItem(ctx, 'audio', audio.file_id, audio.mime_type || 'audio/mpeg', ctx.message.caption);
+  registerMediaItem(ctx, 'audio', audio.file_id, audio.mime_type || 'audio/mpeg', ctx.message.caption, { fileSize: audio.file_size });
 });
 
+// Queues a job for the sender behind a status message that follows its queue position and stages
+// (run reports stage ids, labelled by the 'stage.<id>' locale strings).
+// processMedia reports its own outcome, so onCancelled only fires for other jobs or a cancel before start.
+// charged is the quota the job was charged, given back when it is cancelled or fails.
+async function enqueueTrackedJob(ctx, { title, startText, run, onCancelled = null, charged = null }) {
+  const chatId = ctx.chat.id;
+  const threading = replyOptions(ctx);
+  const statusMsg = await ctx.reply(startText || `⏳ ${title}...`, threading);
+  const updateStatus = (stageText) => ctx.telegram
+    .editMessageText(chatId, statusMsg.message_id, undefined, `⏳ ${title}\n${stageText}`)
+    .catch(() => {});
+
+  const job = jobQueue.enqueue({
+    ownerKey: bufferKeyFor(ctx),
+    onPosition: (position) => updateStatus(t(ctx, 'job.waiting', { position })),
+    run: (signal) => run(signal, (stageId) => updateStatus(`▶️ ${t(ctx, `stage.${stageId}`)}...`))
+  });
+
+  job.done.then(
+    () => ctx.telegram.deleteMessage(chatId, statusMsg.message_id).catch(() => {}),
+    async (err) => {
+      if (charged) await refundRun(ctx, charged);
+      if (isAbortError(err)) {
+        await updateStatus(t(ctx, 'job.cancelled'));
+        if (onCancelled) await onCancelled();
+        return;
+      }
+      await ctx.reply(t(ctx, 'job.failed', { error: err.message }), threading);
+    }
+  );
+  return job;
+}
+
 bot.on(message('text'), async (ctx) => {
   await trackAndForward(ctx);
-  const text = ctx.message.text.trim();
+  const text = extractAddressedText(ctx);
   const chatId = ctx.chat.id;
+  const bufferKey = bufferKeyFor(ctx);
+  const threading = replyOptions(ctx);
+
+  // A bare mention carries nothing to queue
+  if (!text) return;
+
+  const trigger = parseTrigger(text);
+  // In groups an unknown "..<suffix>" is chatter as well, and is ignored without a reply
+  if (trigger && isGroupChat(ctx) && !isTriggerText(text)) return;
+
+  // Replying to a profile (or a follow-up answer) asks about that case instead of queuing a note
+  if (!trigger) {
+    const link = await findReplyLink(ctx);
+    if (link) {
+      if (!(await requirePermission(ctx, 'process'))) return;
+      return askFollowUp(ctx, link, text);
+    }
+  }
 
-  const isPrimaryTrigger = /^(\.|(\.[1-3]))$/.test(text);
-  const isSecondaryTrigger = /^(\.\.|(\.\.[1-3]))$/.test(text);
+  if (!(await requirePermission(ctx, trigger ? 'process' : 'submit'))) return;
 
-  if (isPrimaryTrigger || isSecondaryTrigger) {
-    const mediaFiles = clearChatBuffer(chatId);
-    if (mediaFiles.length === 0) {
-      await ctx.reply("ℹ️ Buffer empty. Please upload some files or type some context first!");
+  if (trigger) {
+    const pending = chatMediaBuffers.get(bufferKey) || [];
+    if (pending.length === 0) {
+      // In groups a stray dot from someone without a queue is just chatter
+      if (isGroupChat(ctx)) return;
+      await ctx.reply(t(ctx, 'trigger.emptyQueue'));
       return;
     }
 
-    const lastChar = text.slice(-1);
-    let targetFps = 3;
-    if (!isNaN(parseInt(lastChar))) {
-      targetFps = parseInt(lastChar);
+    let personaId = null;
+    if (trigger.chained) {
+      const persona = trigger.suffix ? personas.fromSuffix(trigger.suffix) : personas.get(getChatPersonaId(chatId));
+      if (!persona) {
+        await ctx.reply(t(ctx, 'trigger.unknownAnalysis', { suffix: trigger.suffix }), threading);
+        return;
+      }
+      personaId = persona.id;
     }
-
-    const mode = isSecondaryTrigger ? 'secondary' : 'primary';
-    const label = isSecondaryTrigger ? 'Chained Secondary Analysis' : 'Clinical Profile';
-
-    const statusMsg = await ctx.reply(`⏳ Running ${label} on ${mediaFiles.length} files (Smart ${targetFps} FPS)...`);
-
-    try {
-      await processMedia(ctx, chatId, mediaFiles, targetFps, isSecondaryTrigger);
-      ctx.telegram.deleteMessage(chatId, statusMsg.message_id).catch(() => {});
-    } catch (err) {
-      await ctx.reply(`❌ Processing Failed: ${err.message}`);
+    // A refused run leaves the queue as it is, so it can be sent once the quota resets
+    const charged = runDemand(pending);
+    const quotaRefusal = await chargeRun(ctx, charged);
+    if (quotaRefusal) {
+      await ctx.reply(quotaRefusal, threading);
+      return;
     }
+    const mediaFiles = detachChatBuffer(bufferKey);
+
+    const { targetFps } = trigger;
+    const mode = personaId ? `secondary (${personaId})` : 'primary';
+    const label = personaId ? t(ctx, 'trigger.chainedLabel', { name: personaName(personaId) }) : t(ctx, 'trigger.profileLabel');
+
+    // Runs in the background so the handler returns immediately; /cancel aborts it
+    await enqueueTrackedJob(ctx, {
+      title: t(ctx, 'trigger.title', { label, count: mediaFiles.length, fps: targetFps }),
+      startText: t(ctx, 'trigger.running', { label, count: mediaFiles.length, fps: targetFps }),
+      // The job owns the spooled files from here on and removes them however it ends
+      run: async (signal, onStage) => {
+        try {
+          await processMedia(ctx, chatId, mediaFiles, targetFps, personaId, { signal, onStage, refresh: trigger.refresh, charged });
+        } finally {
+          await mediaSpool.discard(mediaFiles);
+        }
+      },
+      charged,
+      onCancelled: async () => {
+        await mediaSpool.discard(mediaFiles);
+        await recordAudit(ctx, { action: 'process', mode, targetFps, itemCount: mediaFiles.length, outcome: 'cancelled' });
+      }
+    });
     return;
   }
 
   // Handle clinical text input added to buffer
-  const buffer = getChatBuffer(chatId);
+  const buffer = getChatBuffer(bufferKey);
+  const refusal = bufferLimitMessage(ctx, buffer, Buffer.byteLength(text));
+  if (refusal) {
+    await ctx.reply(refusal, { ...threading, parse_mode: 'Markdown' });
+    return;
+  }
   buffer.push({
     type: 'text',
     content: text
   });
-  resetChatTimeout(chatId, ctx);
-  await ctx.reply(`📝 Text note added to buffer. Queue count: *${buffer.length}*`, { parse_mode: 'Markdown' });
+  resetChatTimeout(bufferKey);
+  await ctx.reply(t(ctx, 'upload.noteAdded', { count: buffer.length }), { ...threading, parse_mode: 'Markdown' });
+  await recordAudit(ctx, { action: 'submit', itemType: 'text', sizeBytes: Buffer.byteLength(text) });
 });
 
+// ======================================================================
+// 🚦 USAGE QUOTAS (Runs per hour, media items and video minutes per day)
+// ======================================================================
+// What a run over these items costs; text notes are free
+function runDemand(items) {
+  const media = items.filter(item => item.type !== 'text');
+  return { runs: 1, mediaItems: media.length, videoSeconds: media.reduce((sum, item) => sum + (item.durationSec || 0), 0) };
+}
+
+// A regenerate reruns the original files; video frames are counted as images, so the kept ones come off again
+function caseDemand(record) {
+  const counts = record.inputCounts || {};
+  const frames = (record.frameStats && record.frameStats.kept) || 0;
+  const mediaItems = (counts.images || 0) - frames + (counts.pdfs || 0) + (counts.audio || 0) + (counts.video || 0) + (counts.dicom || 0);
+  return { runs: 1, mediaItems: Math.max(mediaItems, 0), videoSeconds: counts.videoSeconds || 0 };
+}
+
+const formatLimitValue = (limit, value) => (limit === 'videoMinutesPerDay' ? `${Math.round(value * 10) / 10}` : `${value}`);
+
+// API clients get the English text
+function formatQuotaRefusal(breach, language = DEFAULT_LANGUAGE) {
+  const params = {
+    max: breach.max,
+    label: translate(language, `quota.${breach.limit}`),
+    unit: translate(language, `quota.unit.${breach.limit}`),
+    used: formatLimitValue(breach.limit, breach.used),
+    needed: formatLimitValue(breach.limit, breach.needed),
+    wait: formatWait(breach.resetsInMs)
+  };
+  if (breach.needed > breach.max) return translate(language, 'quota.tooLarge', params);
+  return translate(language, breach.scope === 'global' ? 'quota.reachedGlobal' : 'quota.reachedUser', params);
+}
+
+// Records the run against the sender's quotas; returns the refusal text, or null when it may go ahead
+async function chargeRun(ctx, demand) {
+  const { breach } = await usageQuotas.consume(ctx.from.id, demand);
+  if (!breach) return null;
+  logger.warn({ userId: ctx.from.id, limit: breach.limit, scope: breach.scope }, '🚦 Run refused by quota');
+  return formatQuotaRefusal(breach, senderLanguage(ctx));
+}
+
+// Gives back a charge for a run that never produced a result (cancelled, failed or answered from the cache).
+// processMedia and enqueueTrackedJob can both see the same run fail, so a demand is only refunded once
+async function refundRun(ctx, demand) {
+  if (!ctx.from || demand.refunded) return;
+  demand.refunded = true;
+  await usageQuotas.refund(ctx.from.id, demand);
+}
+
+function formatUsageLine(name, used, limit, language) {
+  return `${name}: ${used}${limit > 0 ? ` / ${limit}` : translate(language, 'usage.noLimit')}`;
+}
+
+function formatUsageReport(title, usage, language = DEFAULT_LANGUAGE) {
+  const { limits, today, week } = usage;
+  const label = (key, params) => translate(language, key, params);
+  return [
+    title,
+    '',
+    formatUsageLine(label('usage.runsThisHour'), usage.hourRuns, limits.runsPerHour, language) + (usage.hourRuns > 0 ? label('usage.oldestExpires', { wait: formatWait(usage.hourResetsInMs) }) : ''),
+    formatUsageLine(label('usage.mediaToday'), today.mediaItems, limits.mediaItemsPerDay, language),
+    formatUsageLine(label('usage.videoToday'), formatLimitValue('videoMinutesPerDay', today.videoSeconds / 60), limits.videoMinutesPerDay, language),
+    label('usage.dailyReset', { wait: formatWait(usage.dayResetsInMs) }),
+    '',
+    label('usage.week', { runs: week.runs, media: week.mediaItems, video: formatLimitValue('videoMinutesPerDay', week.videoSeconds / 60) })
+  ].join('\n');
+}
+
+bot.command('usage', async (ctx) => {
+  if (!(await requirePermission(ctx, 'view'))) return;
+  const target = ctx.payload.trim();
+  const isAdmin = accessControl.can(ctx.from.id, 'manage');
+  if (target && !isAdmin) {
+    return ctx.reply(t(ctx, 'usage.othersDenied'), replyOptions(ctx));
+  }
+  const userId = target || String(ctx.from.id);
+
+  try {
+    const override = usageQuotas.getOverride(userId);
+    const language = senderLanguage(ctx);
+    const title = (target ? t(ctx, 'usage.titleOf', { userId }) : t(ctx, 'usage.title')) + (override ? t(ctx, 'usage.raised') : '');
+    let text = formatUsageReport(title, await usageQuotas.usageOf(userId), language);
+    if (isAdmin) text += `\n\n${formatUsageReport(t(ctx, 'usage.wholeBot'), await usageQuotas.globalUsage(), language)}`;
+    await ctx.reply(text, replyOptions(ctx));
+  } catch (e) {
+    await ctx.reply(t(ctx, 'usage.failed', { error: e.message }), replyOptions(ctx));
+  }
+});
+
+// /quota <userId> [runs|media|video] [n|off|default]; without a limit it shows the user's effective limits
+bot.command('quota', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const [userId, limitArg, valueArg] = ctx.payload.trim().split(/\s+/).filter(Boolean);
+  const aliases = Object.values(QUOTA_LIMITS).map(l => l.alias).join('|');
+  if (!userId || (limitArg && !valueArg)) {
+    return ctx.reply(`Usage: /quota <userId> [${aliases}] [<number>|off|default]`);
+  }
+
+  const describe = (id) => {
+    const limits = usageQuotas.limitsFor(id);
+    return Object.entries(QUOTA_LIMITS)
+      .map(([key, { label }]) => `${label}: ${limits[key] > 0 ? limits[key] : 'no limit'}`)
+      .join('\n');
+  };
+  if (!limitArg) {
+    return ctx.reply(`🚦 Limits of ${userId}${usageQuotas.getOverride(userId) ? ' (raised)' : ''}:\n${describe(userId)}`);
+  }
+
+  const limit = resolveQuotaLimit(limitArg);
+  if (!limit) {
+    return ctx.reply(`⚠️ Unknown limit "${limitArg}". Use ${aliases.split('|').join(', ')}.`);
+  }
+  const value = valueArg === 'default' ? null : valueArg === 'off' ? 0 : Number(valueArg);
+  try {
+    await usageQuotas.setOverride(userId, limit, value, String(ctx.from.id));
+    await ctx.reply(`✅ Limits of ${userId} updated:\n${describe(userId)}`);
+    await recordAudit(ctx, { action: 'access', detail: `set ${QUOTA_LIMITS[limit].alias} quota of ${userId} to ${valueArg}` });
+  } catch (e) {
+    await ctx.reply(`❌ ${e.message}`);
+  }
+});
+
+// ======================================================================
+// 📈 STATS (Admin summary of stored cases and the in-process metrics)
+// ======================================================================
+const formatSeconds = (seconds) => (seconds >= 60 ? `${Math.floor(seconds / 60)}m ${Math.round(seconds % 60)}s` : `${seconds.toFixed(1)}s`);
+
+function countBy(items, keyOf) {
+  const counts = {};
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return Object.entries(counts).map(([key, n]) => `${key} ${n}`).join(', ') || 'none';
+}
+
+// Cases come from storage (any window); the rest from counters that reset on restart
+async function buildStatsReport(days) {
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  const cases = (await storage.list('profiles')).filter(r => Date.parse(r.createdAt) >= since);
+  const completed = cases.filter(r => r.status === 'completed');
+  const usage = cases.reduce((sum, r) => {
+    const u = r.usage || emptyUsage();
+    return { calls: sum.calls + u.calls, inputTokens: sum.inputTokens + u.inputTokens, outputTokens: sum.outputTokens + u.outputTokens, costUsd: sum.costUsd + u.costUsd };
+  }, emptyUsage());
+  const cachedCount = cases.filter(r => r.cachedFrom).length;
+  // Cached answers take no time and would flatten the average
+  const durations = completed.filter(r => !r.cachedFrom).map(r => (Date.parse(r.completedAt) - Date.parse(r.createdAt)) / 1000);
+  const pricesConfigured = Object.keys(CONFIG.MODEL_PRICES).length > 0;
+
+  const snapshot = await metrics.snapshot();
+  const sum = (name, filter = () => true) => (snapshot[name] || []).filter(v => filter(v)).reduce((total, v) => total + v.value, 0);
+  const llmOk = sum('patientbot_llm_requests_total', v => v.labels.outcome === 'success');
+  const llmFailed = sum('patientbot_llm_requests_total', v => v.labels.outcome === 'failure');
+  const keyFailures = (snapshot.patientbot_llm_key_failures_total || [])
+    .map(v => `${v.labels.key} ${v.labels.model} (${v.labels.status}) ×${v.value}`);
+  const jobs = (snapshot.patientbot_jobs_total || []).map(v => `${v.labels.mode} ${v.labels.outcome} ×${v.value}`);
+  const stages = ['prepare', 'profile', 'comparison', 'secondary']
+    .map(stage => {
+      const count = sum('patientbot_pipeline_stage_seconds', v => v.metricName.endsWith('_count') && v.labels.stage === stage);
+      const total = sum('patientbot_pipeline_stage_seconds', v => v.metricName.endsWith('_sum') && v.labels.stage === stage);
+      return count > 0 ? `${stage} ${formatSeconds(total / count)}` : null;
+    })
+    .filter(Boolean);
+  const queue = jobQueue.stats();
+
+  return [
+    `📈 Stats for the last ${days} day(s)`,
+    `Cases: ${cases.length} (${countBy(cases, r => r.status)})`,
+    `By mode: ${countBy(cases, r => r.persona ? `${r.mode} (${r.persona})` : r.mode)}`,
+    `Answered from the result cache: ${cachedCount}`,
+    `Tokens: ${usage.inputTokens.toLocaleString('en-US')} in / ${usage.outputTokens.toLocaleString('en-US')} out over ${usage.calls} model calls`,
+    pricesConfigured
+      ? `Estimated cost: $${usage.costUsd.toFixed(4)}${completed.length > 0 ? ` ($${(usage.costUsd / completed.length).toFixed(4)} per completed case)` : ''}`
+      : 'Estimated cost: set MODEL_PRICES to enable',
+    `Average time to complete: ${durations.length > 0 ? formatSeconds(durations.reduce((a, b) => a + b, 0) / durations.length) : 'n/a'}`,
+    '',
+    `Since restart (${formatSeconds(process.uptime())} ago):`,
+    `Jobs: ${jobs.join(', ') || 'none'}`,
+    `LLM attempts: ${llmOk} ok, ${llmFailed} failed`,
+    `Key failures: ${keyFailures.join(', ') || 'none'}`,
+    `Video frames: ${sum('patientbot_video_frames_total', v => v.labels.phase === 'extracted')} extracted, ${sum('patientbot_video_frames_total', v => v.labels.phase === 'kept')} sent`,
+    `Average stage time: ${stages.join(', ') || 'n/a'}`,
+    `Queue: ${queue.running} running, ${queue.queued} waiting (limit ${queue.concurrency})`
+  ].join('\n');
+}
+
+bot.command('stats', async (ctx) => {
+  if (!(await requirePermission(ctx, 'manage'))) return;
+  const days = Math.min(Math.max(parseInt(ctx.payload, 10) || 1, 1), 90);
+  try {
+    // Plain text: persona ids and model names may contain Markdown control characters
+    await ctx.reply(await buildStatsReport(days));
+  } catch (e) {
+    await ctx.reply(`❌ Could not build stats: ${e.message}`);
+  }
+});
+
+// ======================================================================
+// 🔘 PROFILE ACTIONS (Inline buttons under each profile reply)
+// ======================================================================
+// Concise / brief rewrites become new cases so the original profile stays intact.
+// A concise profile keeps the language of the one it shortens; the brief follows the presser's /lang.
+async function deriveCase(ctx, record, action, signal, onStage) {
+  const languages = record.languages || outputLanguages();
+  const derived = createCaseRecord({
+    source: { channel: 'telegram', chatId: ctx.chat.id, userId: String(ctx.from.id) },
+    targetFps: record.targetFps,
+    sourceCaseId: record.sourceCaseId || record.id,
+    languages: action === 'brief' ? { ...languages, analysis: senderOutputLanguages(ctx).analysis } : languages
+  });
+  Object.assign(derived, { inputCounts: record.inputCounts, frameStats: record.frameStats, profile: record.profile, metadata: record.metadata, comparedWith: record.comparedWith || null });
+  addJobContext({ caseId: derived.id });
+  derived.usage = currentJobUsage() || emptyUsage();
+
+  if (action === 'concise') {
+    await onStage('rewrite');
+    const prompt = [
+      `${CONCISE_REWRITE_PROMPT}\n\n=== CLINICAL PROFILE ===\n${record.profile}\n=== END PROFILE ===`,
+      languagePrompt(PROFILE_LANGUAGE_PROMPT, derived.languages.profile)
+    ].filter(Boolean).join('\n\n');
+    derived.profile = stripMetadataBlock(await generateModelContent([prompt], null, { signal }));
+  } else {
+    await onStage('brief');
+    const prompt = [
+      `${SHORTER_BRIEF_PROMPT}\n\n=== CLINICAL PROFILE ===\n${record.profile}\n=== END PROFILE ===\n\n=== BRIEF ===\n${record.metadata.brief}\n=== END BRIEF ===`,
+      languagePrompt(ANALYSIS_LANGUAGE_PROMPT, derived.languages.analysis)
+    ].filter(Boolean).join('\n\n');
+    const brief = (await generateModelContent([prompt], null, { signal })).trim().replace(/\s+/g, ' ');
+    derived.metadata = { ...record.metadata, brief };
+  }
+
+  derived.status = 'completed';
+  derived.completedAt = new Date().toISOString();
+  await saveProfileRecord(derived);
+  return derived;
+}
+
+// charged is the button's quota charge, handed on so a failed regenerate is refunded once
+async function runProfileAction(ctx, action, record, signal, onStage, charged = null) {
+  const threading = replyOptions(ctx);
+  const auditBase = { action: 'process', mode: `${action} (button)`, targetFps: record.targetFps };
+
+  if (action === 'regen') {
+    const sourceCaseId = record.sourceCaseId || record.id;
+    const mediaFiles = await loadCaseInputs(sourceCaseId);
+    if (!mediaFiles) throw new Error(t(ctx, 'case.inputsGone'));
+    // Regenerate always means a fresh run, never the cached result. A primary case keeps its mode even after
+    // the Secondary button stored a persona on it
+    const personaId = record.mode === 'secondary' ? record.persona || personas.defaultId : null;
+    return processMedia(ctx, ctx.chat.id, mediaFiles, record.targetFps, personaId, { signal, onStage, sourceCaseId, refresh: true, charged });
+  }
+
+  try {
+    if (action === 'secondary') {
+      await onStage('secondary');
+      // The button runs the chat's default persona, in the presser's language
+      const analysisLanguage = senderOutputLanguages(ctx).analysis;
+      record.persona = getChatPersonaId(ctx.chat.id);
+      record.secondary = await generateSecondaryAnalysis(record.profile, record.persona, signal, analysisLanguage);
+      record.languages = { ...(record.languages || outputLanguages()), analysis: analysisLanguage };
+      await saveProfileRecord(record);
+      const sent = await sendSafeMessage(ctx, formatSecondaryMessage(record, senderLanguage(ctx)), { ...threading, ...profileKeyboard(record, senderLanguage(ctx)) });
+      await linkMessageToCase(sent, record.id);
+      await rememberLastCase(ctx, record.id);
+      await recordAudit(ctx, { ...auditBase, outcome: 'success', profileId: record.id });
+      return;
+    }
+
+    const derived = await deriveCase(ctx, record, action, signal, onStage);
+    const language = senderLanguage(ctx);
+    const text = action === 'concise'
+      ? formatProfileMessage(derived, t(ctx, 'profile.concise'), language)
+      : `${t(ctx, 'profile.shorterBrief')}${formatJsonBlock(derived.metadata, language)}`;
+    const sent = await sendSafeMessage(ctx, text, { ...threading, ...profileKeyboard(derived, language) });
+    await linkMessageToCase(sent, derived.id);
+    await rememberLastCase(ctx, derived.id);
+    await recordAudit(ctx, { ...auditBase, outcome: 'success', profileId: derived.id });
+  } catch (error) {
+    if (!isAbortError(error)) {
+      logger.error({ err: error }, 'Profile action error');
+      await recordAudit(ctx, { ...auditBase, outcome: 'error', error: error.message });
+    }
+    throw error;
+  }
+}
+
+bot.action(/^case:(secondary|regen|concise|brief):([\w-]+)$/, async (ctx) => {
+  if (!accessControl.can(ctx.from.id, 'process')) {
+    const role = accessControl.getRole(ctx.from.id) || 'none';
+    return ctx.answerCbQuery(t(ctx, 'access.roleDenied', { role }));
+  }
+  const [, action, caseId] = ctx.match;
+
+  try {
+    const record = await storage.get('profiles', caseId);
+    // Buttons only act inside the chat the case was produced in
+    if (!record || record.status !== 'completed' || !ctx.chat || record.chatId !== ctx.chat.id) {
+      return ctx.answerCbQuery(t(ctx, 'case.unavailable'));
+    }
+    if (action === 'secondary' && record.secondary) {
+      return ctx.answerCbQuery(t(ctx, 'case.secondaryShown'));
+    }
+    if (action === 'brief' && !record.metadata) {
+      return ctx.answerCbQuery(t(ctx, 'case.noBrief'));
+    }
+
+    // Regenerating reruns the original files; the rewrites only cost a run
+    const charged = action === 'regen' ? caseDemand(record) : { runs: 1 };
+    const quotaRefusal = await chargeRun(ctx, charged);
+    if (quotaRefusal) {
+      return ctx.answerCbQuery(quotaRefusal, { show_alert: true });
+    }
+
+    const title = t(ctx, `action.${action}`);
+    await ctx.answerCbQuery(`${title}...`);
+    await enqueueTrackedJob(ctx, {
+      title,
+      run: (signal, onStage) => runProfileAction(ctx, action, record, signal, onStage, charged),
+      charged,
+      onCancelled: () => recordAudit(ctx, { action: 'process', mode: `${action} (button)`, targetFps: record.targetFps, outcome: 'cancelled' })
+    });
+  } catch (e) {
+    logger.error({ err: e }, 'Profile action error');
+    await ctx.answerCbQuery(`❌ ${e.message}`).catch(() => {});
+  }
+});
+
+// ======================================================================
+// 📄 EXPORT (Profile documents for the reporting system)
+// ======================================================================
+async function sendCaseExport(ctx, record, format) {
+  const { buffer, filename } = await renderCaseExport(record, format, { secondaryTitle: personaName(record.persona) });
+  await ctx.replyWithDocument({ source: buffer, filename }, { ...replyOptions(ctx), caption: t(ctx, 'export.caption', { format: format.toUpperCase() }) });
+  await recordAudit(ctx, { action: 'export', format, profileId: record.id });
+}
+
+// Exports only act inside the chat the case was produced in
+async function loadExportableCase(ctx, caseId) {
+  const record = caseId ? await storage.get('profiles', caseId) : null;
+  return record && record.status === 'completed' && record.chatId === ctx.chat.id ? record : null;
+}
+
+bot.command('export', async (ctx) => {
+  if (!(await requirePermission(ctx, 'view'))) return;
+  const format = (ctx.payload.trim().toLowerCase() || 'pdf');
+  if (!EXPORT_FORMATS[format]) {
+    return ctx.reply(t(ctx, 'export.unknownFormat', { format, options: Object.keys(EXPORT_FORMATS).map(f => `/export ${f}`).join(', ') }), replyOptions(ctx));
+  }
+
+  try {
+    // Replying to a profile exports that case; otherwise the sender's latest one
+    const link = ctx.message.reply_to_message ? await findReplyLink(ctx) : null;
+    const last = link ? null : await storage.get('last-cases', bufferKeyFor(ctx));
+    const record = await loadExportableCase(ctx, link ? link.caseId : last && last.caseId);
+    if (!record) {
+      return ctx.reply(t(ctx, 'export.nothing'), replyOptions(ctx));
+    }
+    await sendCaseExport(ctx, record, format);
+  } catch (e) {
+    logger.error({ err: e }, 'Export error');
+    await ctx.reply(t(ctx, 'export.failed', { error: e.message }), replyOptions(ctx));
+  }
+});
+
+bot.action(/^export:(pdf|docx|txt):([\w-]+)$/, async (ctx) => {
+  if (!accessControl.can(ctx.from.id, 'view')) {
+    return ctx.answerCbQuery(t(ctx, 'export.denied'));
+  }
+  const [, format, caseId] = ctx.match;
+  try {
+    const record = await loadExportableCase(ctx, caseId);
+    if (!record) return ctx.answerCbQuery(t(ctx, 'case.unavailable'));
+    await ctx.answerCbQuery(t(ctx, 'export.preparing', { format: format.toUpperCase() }));
+    await sendCaseExport(ctx, record, format);
+  } catch (e) {
+    logger.error({ err: e }, 'Export error');
+    await ctx.reply(t(ctx, 'export.failed', { error: e.message }), replyOptions(ctx)).catch(() => {});
+  }
+});
+
+// ======================================================================
+// 💬 FOLLOW-UP Q&A (Reply to a profile to ask about that case)
+// ======================================================================
+async function findReplyLink(ctx) {
+  const repliedTo = ctx.message.reply_to_message;
+  if (!repliedTo || !ctx.botInfo || !repliedTo.from || repliedTo.from.id !== ctx.botInfo.id) return null;
+  try {
+    const link = await storage.get('message-links', `${ctx.chat.id}:${repliedTo.message_id}`);
+    return link && link.expiresAt > Date.now() ? link : null;
+  } catch (e) {
+    logger.error({ err: e }, '💾 Message link lookup failed');
+    return null;
+  }
+}
+
+// The request that produced a case, rebuilt from its retained inputs on the first question only: its parts are
+// then kept with those inputs, so later questions neither rerun ffmpeg nor re-read the raw files. Null once expired.
+async function loadCaseRequest(record, signal, onStage) {
+  const caseId = record.sourceCaseId || record.id;
+  const saved = await storage.get('case-inputs', caseId);
+  if (!saved || saved.expiresAt <= Date.now()) return null;
+  if (saved.request) {
+    return Promise.all(saved.request.map(async (part) => (part.path
+      ? { inlineData: { data: (await caseInputSpool.read(part.path)).toString('base64'), mimeType: part.mimeType } }
+      : part.text)));
+  }
+
+  await onStage('documents');
+  const { requestContent } = await buildPipelineRequest(await loadSpooledItems(saved.items), record.targetFps, { signal, onStage, languages: record.languages });
+  try {
+    const request = await Promise.all(requestContent.map(async (part) => (typeof part === 'string'
+      ? { text: part }
+      : { mimeType: part.inlineData.mimeType, ...(await caseInputSpool.write(caseId, Buffer.from(part.inlineData.data, 'base64'))) })));
+    await storage.set('case-inputs', caseId, { ...saved, request });
+  } catch (e) {
+    logger.error({ err: e }, '💾 Case request persist failed');
+  }
+  return requestContent;
+}
+
+// The opening turns replay the original request and the profile, so answers come from the same documents
+async function buildFollowUpHistory(record, conversation, signal, onStage) {
+  const opening = (await loadCaseRequest(record, signal, onStage))
+    || ['Generate the Clinical Profile for this case. (The original files are no longer retained; only the profile is available.)'];
+
+  const caseSummary = [
+    record.profile,
+    formatJsonBlock(record.metadata).trim(),
+    record.secondary ? `${personaName(record.persona)}:\n${record.secondary}` : ''
+  ].filter(Boolean).join('\n\n');
+
+  return [
+    { role: 'user', parts: opening },
+    { role: 'model', parts: [caseSummary] },
+    ...conversation.turns.flatMap(turn => [
+      { role: 'user', parts: [turn.question] },
+      { role: 'model', parts: [turn.answer] }
+    ])
+  ];
+}
+
+async function askFollowUp(ctx, link, question) {
+  const threading = replyOptions(ctx);
+  const record = await storage.get('profiles', link.caseId);
+  if (!record || record.status !== 'completed' || record.chatId !== ctx.chat.id) {
+    return ctx.reply(t(ctx, 'followup.unavailable'), threading);
+  }
+
+  let conversation = link.conversationId ? await storage.get('conversations', link.conversationId) : null;
+  if (link.conversationId && (!conversation || conversation.expiresAt <= Date.now())) {
+    return ctx.reply(t(ctx, 'followup.expired'), threading);
+  }
+  if (!conversation) {
+    conversation = { id: randomUUID(), caseId: record.id, chatId: ctx.chat.id, turns: [], createdAt: new Date().toISOString(), expiresAt: 0 };
+  }
+  if (conversation.turns.length >= CONFIG.FOLLOWUP_MAX_TURNS) {
+    return ctx.reply(t(ctx, 'followup.limit', { max: CONFIG.FOLLOWUP_MAX_TURNS }), threading);
+  }
+
+  const quotaRefusal = await chargeRun(ctx, { runs: 1 });
+  if (quotaRefusal) {
+    return ctx.reply(quotaRefusal, threading);
+  }
+
+  const auditBase = { action: 'process', mode: 'follow-up', targetFps: record.targetFps };
+  // Answers come in the asker's language, whatever language the question was typed in
+  const systemInstruction = [FOLLOWUP_SYSTEM_INSTRUCTION, languagePrompt(ANALYSIS_LANGUAGE_PROMPT, senderOutputLanguages(ctx).analysis)].filter(Boolean).join('\n\n');
+  await enqueueTrackedJob(ctx, {
+    title: t(ctx, 'followup.title'),
+    run: async (signal, onStage) => {
+      try {
+        // Another question may have been answered while this one waited in the queue
+        conversation = (await storage.get('conversations', conversation.id)) || conversation;
+        const history = await buildFollowUpHistory(record, conversation, signal, onStage);
+        await onStage('answer');
+        const answer = (await generateModelContent([question], systemInstruction, { signal, history })).trim();
+
+        conversation.turns.push({ question, answer, at: new Date().toISOString() });
+        conversation.expiresAt = Date.now() + CONFIG.FOLLOWUP_EXPIRY_MS;
+        await storage.set('conversations', conversation.id, conversation);
+
+        const sent = await sendSafeMessage(ctx, `${t(ctx, 'followup.answer', { turn: conversation.turns.length, max: CONFIG.FOLLOWUP_MAX_TURNS })}\n\n${answer}`, threading);
+        await linkMessageToCase(sent, record.id, conversation.id);
+        await recordAudit(ctx, { ...auditBase, outcome: 'success', profileId: record.id });
+      } catch (error) {
+        if (!isAbortError(error)) {
+          logger.error({ err: error }, 'Follow-up error');
+          await recordAudit(ctx, { ...auditBase, outcome: 'error', error: error.message });
+        }
+        throw error;
+      }
+    },
+    charged: { runs: 1 },
+    onCancelled: () => recordAudit(ctx, { ...auditBase, outcome: 'cancelled' })
+  });
+}
+
 // ======================================================================
 // 🌐 WEB SERVER & BOT INITIALIZATION
 // ======================================================================
 const app = express();
 const PORT = process.env.PORT || 3000;
 app.get('/', (req, res) => res.send('Telegram Medical Profile Bot Server Running Active'));
-app.get('/health', (req, res) => res.json({ status: 'healthy', database: 'none' }));
-app.listen(PORT, () => console.log(`🌐 Web server active on port ${PORT}`));
+app.get('/health', (req, res) => res.json({ status: 'healthy', database: storage.driver }));
+
+// Prometheus scrape endpoint
+app.get('/metrics', async (req, res) => {
+  if (CONFIG.METRICS_TOKEN && req.get('authorization') !== `Bearer ${CONFIG.METRICS_TOKEN}`) {
+    return res.status(401).send('Unauthorized');
+  }
+  res.set('Content-Type', metrics.contentType);
+  res.send(await metrics.render());
+});
+
+if (CONFIG.CASE_API_TOKENS.length > 0) {
+  app.use('/api', createCaseApiRouter({
+    tokens: parseApiTokens(CONFIG.CASE_API_TOKENS),
+    maxFiles: CONFIG.API_MAX_FILES,
+    maxFileBytes: CONFIG.API_MAX_FILE_BYTES,
+    personaIds: personas.list().map(p => p.id),
+    defaultPersonaId: personas.defaultId,
+    startCase: startApiCase,
+    getCase: (id) => storage.get('profiles', id),
+    spool: mediaSpool,
+    logger
+  }));
+  logger.info('🌐 Case API enabled at /api/cases');
+}
+
+// The instance tag makes the webhook URL unique per process, so a shutting-down
+// instance never deletes the webhook a freshly deployed one just registered.
+const webhookPath = `${CONFIG.WEBHOOK_PATH}/${randomBytes(6).toString('hex')}`;
+if (CONFIG.BOT_MODE === 'webhook') {
+  // Ignores any request whose X-Telegram-Bot-Api-Secret-Token header does not match
+  app.use(bot.webhookCallback(webhookPath, { secretToken: CONFIG.WEBHOOK_SECRET }));
+}
+
+const server = app.listen(PORT, () => logger.info({ port: PORT, provider: llm.provider, models: llm.models }, '🌐 Web server active'));
 
 // ======================================================================
 // 🔄 SELF-PINGING KEEP-ALIVE SYSTEM (Keeps Render Free Tier Awake)
 // ======================================================================
 const RENDER_URL = process.env.RENDER_EXTERNAL_URL;
 if (RENDER_URL) {
-  console.log(`📡 Self-ping Keep-Alive registered for: ${RENDER_URL}`);
+  logger.info({ url: RENDER_URL }, '📡 Self-ping Keep-Alive registered');
   
   // Ping the server's own public URL every 10 minutes to reset Render's 15-minute sleep timer
   setInterval(async () => {
     try {
       const pingUrl = `${RENDER_URL}/health`;
       const response = await axios.get(pingUrl);
-      console.log(`📡 Self-ping complete: Status ${response.status} (Keep-Alive Reset Successful)`);
+      logger.debug({ status: response.status }, '📡 Self-ping complete');
     } catch (error) {
-      console.error(`📡 Self-ping error: ${error.message}`);
+      logger.error({ err: error }, '📡 Self-ping error');
     }
   }, 10 * 60 * 1000); // 10 minutes
 } else {
-  console.log('⚠️ RENDER_EXTERNAL_URL is undefined. Internal self-ping is offline (Local environment).');
+  logger.info('⚠️ RENDER_EXTERNAL_URL is undefined. Internal self-ping is offline (Local environment).');
 }
 
-bot.launch(() => console.log('🚀 Telegram Bot Engine Active (MongoDB and replies disabled)'));
+await restorePersistedState();
+const pruneResultCache = () => resultCache.prune().catch(e => logger.error({ err: e }, '🧹 Result cache pruning failed'));
+const pruneExpiredState = () => Promise.all([pruneCaseInputs(), pruneConversations(), pruneResultCache()]);
+pruneExpiredState();
+setInterval(pruneExpiredState, 60 * 60 * 1000);
+
+// ======================================================================
+// 🤖 BOT TRANSPORT (Long polling or webhook)
+// ======================================================================
+let webhookUrl = null;
 
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+if (CONFIG.BOT_MODE === 'webhook') {
+  if (!CONFIG.WEBHOOK_BASE_URL) {
+    logger.fatal('❌ Webhook mode needs WEBHOOK_URL or RENDER_EXTERNAL_URL defined!');
+    process.exit(1);
+  }
+  webhookUrl = `${CONFIG.WEBHOOK_BASE_URL.replace(/\/+$/, '')}${webhookPath}`;
+  await bot.telegram.setWebhook(webhookUrl, { secret_token: CONFIG.WEBHOOK_SECRET });
+  logger.info({ path: CONFIG.WEBHOOK_PATH, driver: storage.driver }, '🪝 Telegram webhook registered');
+} else {
+  bot.launch(() => logger.info({ driver: storage.driver }, '🚀 Telegram Bot Engine Active'));
+}
+
+async function shutdown(signal) {
+  if (CONFIG.BOT_MODE !== 'webhook') {
+    bot.stop(signal);
+    return;
+  }
+
+  try {
+    const info = await bot.telegram.getWebhookInfo();
+    if (info.url === webhookUrl) {
+      await bot.telegram.deleteWebhook();
+      logger.info('🪝 Telegram webhook removed');
+    }
+  } catch (e) {
+    logger.error({ err: e }, '🪝 Webhook removal failed');
+  }
+  server.close(() => process.exit(0));
+}
+
+// Spooled files of queues (and retained inputs of cases) that will not be restored never outlive the process
+process.on('exit', () => {
+  try {
+    mediaSpool.sweep(persistentSpoolPaths());
+    if (storage.driver !== 'file') caseInputSpool.sweep();
+  } catch (e) {
+    logger.error({ err: e }, '🧹 Spool cleanup on exit failed');
+  }
+});
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
@@ -0,0 +1,125 @@
+// ======================================================================
+// 🔐 ACCESS CONTROL (Allowlist, roles, approval workflow)
+// ======================================================================
+// Records are persisted in the 'access' collection:
+// { id, role, status: 'approved' | 'pending' | 'revoked' | 'denied', name, username, ... }
+
+export const ROLES = ['admin', 'clinician', 'viewer'];
+
+const ROLE_PERMISSIONS = {
+  admin: ['view', 'submit', 'process', 'manage'],
+  clinician: ['view', 'submit', 'process'],
+  viewer: ['view']
+};
+
+export function createAccessControl({ storage, adminId, seedUserIds = [], enabled = true }) {
+  const records = new Map();
+  const bootstrapAdmin = adminId ? String(adminId) : null;
+
+  const persist = async (record) => {
+    records.set(record.id, record);
+    await storage.set('access', record.id, record);
+    return record;
+  };
+
+  const assertRole = (role) => {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Unknown role "${role}". Use one of: ${ROLES.join(', ')}.`);
+    }
+  };
+
+  async function load() {
+    const saved = await storage.list('access');
+    saved.forEach(r => records.set(String(r.id), r));
+
+    // Users listed in the environment start out as clinicians unless already known
+    for (const id of seedUserIds) {
+      if (!records.has(id)) {
+        await persist({ id, role: 'clinician', status: 'approved', updatedAt: new Date().toISOString(), updatedBy: 'env' });
+      }
+    }
+    return records.size;
+  }
+
+  function getRecord(userId) {
+    return records.get(String(userId)) || null;
+  }
+
+  function getRole(userId) {
+    const id = String(userId);
+    if (bootstrapAdmin && id === bootstrapAdmin) return 'admin';
+    const record = records.get(id);
+    return record && record.status === 'approved' ? record.role : null;
+  }
+
+  function isAllowed(userId) {
+    if (!enabled) return true;
+    return getRole(userId) !== null;
+  }
+
+  function can(userId, permission) {
+    if (!enabled) {
+      // Without access control only the management commands stay admin-only
+      return permission !== 'manage' || !bootstrapAdmin || String(userId) === bootstrapAdmin;
+    }
+    const role = getRole(userId);
+    return Boolean(role && ROLE_PERMISSIONS[role].includes(permission));
+  }
+
+  // Returns { record, created } so callers only notify the admin once per user
+  async function requestAccess(user) {
+    const existing = getRecord(user.id);
+    if (existing) return { record: existing, created: false };
+    const record = await persist({
+      id: String(user.id),
+      role: null,
+      status: 'pending',
+      name: user.name,
+      username: user.username,
+      requestedAt: new Date().toISOString()
+    });
+    return { record, created: true };
+  }
+
+  async function approve(userId, role = 'clinician', actorId = null) {
+    assertRole(role);
+    const existing = getRecord(userId) || { id: String(userId) };
+    return persist({ ...existing, role, status: 'approved', updatedAt: new Date().toISOString(), updatedBy: actorId });
+  }
+
+  async function deny(userId, actorId = null) {
+    const existing = getRecord(userId) || { id: String(userId) };
+    return persist({ ...existing, role: null, status: 'denied', updatedAt: new Date().toISOString(), updatedBy: actorId });
+  }
+
+  async function revoke(userId, actorId = null) {
+    const id = String(userId);
+    if (bootstrapAdmin && id === bootstrapAdmin) {
+      throw new Error('The configured ADMIN_ID cannot be revoked.');
+    }
+    const existing = getRecord(id);
+    if (!existing || existing.status !== 'approved') {
+      throw new Error(`User ${id} does not currently have access.`);
+    }
+    return persist({ ...existing, role: null, status: 'revoked', updatedAt: new Date().toISOString(), updatedBy: actorId });
+  }
+
+  async function setRole(userId, role, actorId = null) {
+    assertRole(role);
+    const id = String(userId);
+    if (bootstrapAdmin && id === bootstrapAdmin) {
+      throw new Error('The configured ADMIN_ID is always an admin.');
+    }
+    const existing = getRecord(id);
+    if (!existing || existing.status !== 'approved') {
+      throw new Error(`User ${id} is not approved yet. Use /approve first.`);
+    }
+    return persist({ ...existing, role, updatedAt: new Date().toISOString(), updatedBy: actorId });
+  }
+
+  function list() {
+    return [...records.values()];
+  }
+
+  return { enabled, load, getRecord, getRole, isAllowed, can, requestAccess, approve, deny, revoke, setRole, list };
+}
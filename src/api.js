@@ -0,0 +1,186 @@
+import express from 'express';
+import multer from 'multer';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 🌐 CASE SUBMISSION API (For RIS integrations outside Telegram)
+// ======================================================================
+// POST /api/cases   multipart: files[], notes (repeatable), mode, persona, fps
+//                   (a persona id implies mode "secondary"), compare=true
+//                   rewrites the profile against this client's previous case of the same MRN
+//                   ?wait=true blocks until the profile is ready
+//                   runs count against the client's quotas (429 + Retry-After once used up)
+// GET  /api/cases/:id
+
+const UPLOAD_TYPES = [
+  { type: 'image', test: (mime) => mime.startsWith('image/') },
+  { type: 'pdf', test: (mime) => mime === 'application/pdf' },
+  { type: 'audio', test: (mime) => mime.startsWith('audio/') },
+  { type: 'video', test: (mime) => mime.startsWith('video/') }
+];
+
+// Entries look like "client:token"; a bare token belongs to the client "api"
+export function parseApiTokens(entries) {
+  const tokens = new Map();
+  entries.forEach(entry => {
+    const separator = entry.indexOf(':');
+    if (separator === -1) tokens.set(entry, 'api');
+    else tokens.set(entry.slice(separator + 1), entry.slice(0, separator));
+  });
+  return tokens;
+}
+
+function serializeCase(record) {
+  return {
+    id: record.id,
+    status: record.status,
+    mode: record.mode,
+    persona: record.persona || null,
+    targetFps: record.targetFps,
+    createdAt: record.createdAt,
+    completedAt: record.completedAt || null,
+    inputCounts: record.inputCounts,
+    frameStats: record.frameStats,
+    profile: record.profile,
+    metadata: record.metadata,
+    secondary: record.secondary,
+    comparedWith: record.comparedWith || null,
+    usage: record.usage || null,
+    error: record.error
+  };
+}
+
+// A multer storage engine that streams uploads into the media spool, so a request never holds its files in memory
+function spoolStorage(spool) {
+  return {
+    _handleFile: (req, file, callback) => spool.save(file.stream, `api:${req.apiClient}`).then(saved => callback(null, saved), callback),
+    _removeFile: (req, file, callback) => spool.discard([file]).then(() => callback(null), callback)
+  };
+}
+
+// startCase(mediaFiles, options) gets spooled items ({ path, sizeBytes }) and owns their files once it resolves
+export function createCaseApiRouter({ tokens, maxFiles, maxFileBytes, personaIds, defaultPersonaId, startCase, getCase, spool, logger = createLogger() }) {
+  const router = express.Router();
+  const upload = multer({ storage: spoolStorage(spool), limits: { files: maxFiles, fileSize: maxFileBytes } });
+
+  // Every way out of the handler other than an accepted case removes the uploads again;
+  // Express 4 does not see async errors, so they are handed to next()
+  const discardUnaccepted = (handler) => async (req, res, next) => {
+    try {
+      await handler(req, res);
+    } catch (e) {
+      next(e);
+    } finally {
+      if (!res.locals.accepted) await spool.discard(req.files || []);
+    }
+  };
+
+  router.use((req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+    const client = token ? tokens.get(token) : null;
+    if (!client) {
+      return res.status(401).json({ error: 'Invalid or missing API token' });
+    }
+    req.apiClient = client;
+    next();
+  });
+
+  router.post('/cases', upload.array('files', maxFiles), discardUnaccepted(async (req, res) => {
+    // multer only parses multipart bodies; anything else arrives without req.body
+    if (!req.is('multipart/form-data')) {
+      return res.status(415).json({ error: 'Submit cases as multipart/form-data' });
+    }
+    const body = req.body || {};
+    const persona = body.persona || null;
+    const mode = body.mode || (persona ? 'secondary' : 'primary');
+    if (mode !== 'primary' && mode !== 'secondary') {
+      return res.status(400).json({ error: 'mode must be "primary" or "secondary"' });
+    }
+    if (persona && (mode !== 'secondary' || !personaIds.includes(persona))) {
+      return res.status(400).json({ error: `persona must be one of: ${personaIds.join(', ')} (with mode "secondary")` });
+    }
+
+    const targetFps = parseInt(body.fps || '3', 10);
+    if (!(targetFps >= 1 && targetFps <= 3)) {
+      return res.status(400).json({ error: 'fps must be 1, 2 or 3' });
+    }
+
+    const mediaFiles = [];
+    for (const file of req.files || []) {
+      const match = UPLOAD_TYPES.find(t => t.test(file.mimetype));
+      if (!match) {
+        return res.status(415).json({ error: `Unsupported file type ${file.mimetype} (${file.originalname})` });
+      }
+      mediaFiles.push({
+        type: match.type,
+        mimeType: file.mimetype,
+        caption: file.originalname,
+        path: file.path,
+        sizeBytes: file.sizeBytes
+      });
+    }
+
+    [].concat(body.notes || [])
+      .map(note => String(note).trim())
+      .filter(note => note.length > 0)
+      .forEach(content => mediaFiles.push({ type: 'text', content }));
+
+    if (mediaFiles.length === 0) {
+      return res.status(400).json({ error: 'Provide at least one file or text note' });
+    }
+
+    try {
+      const { id, done } = await startCase(mediaFiles, {
+        client: req.apiClient,
+        targetFps,
+        personaId: mode === 'secondary' ? persona || defaultPersonaId : null,
+        compareWithPrior: body.compare === 'true'
+      });
+      res.locals.accepted = true;
+      // Failures are stored on the case record; this only keeps the rejection observed
+      done.catch(() => {});
+
+      if (req.query.wait !== 'true') {
+        return res.status(202).location(`${req.baseUrl}/cases/${id}`).json({ id, status: 'processing' });
+      }
+
+      try {
+        const record = await done;
+        res.json(serializeCase(record));
+      } catch (e) {
+        const record = await getCase(id).catch(() => null);
+        res.status(502).json(record ? serializeCase(record) : { id, status: 'failed', error: e.message });
+      }
+    } catch (e) {
+      // Quota refusals carry a status and when to retry
+      if (e.retryAfterMs) res.set('Retry-After', String(Math.ceil(e.retryAfterMs / 1000)));
+      if (!e.status || e.status >= 500) logger.error({ err: e }, 'API case submission error');
+      res.status(e.status || 500).json({ error: e.message });
+    }
+  }));
+
+  router.get('/cases/:id', async (req, res) => {
+    try {
+      const record = await getCase(req.params.id);
+      // Clients only see the cases they submitted
+      if (!record || record.channel !== 'api' || record.client !== req.apiClient) {
+        return res.status(404).json({ error: 'Case not found' });
+      }
+      res.json(serializeCase(record));
+    } catch (e) {
+      logger.error({ err: e }, 'API case lookup error');
+      res.status(500).json({ error: e.message });
+    }
+  });
+
+  router.use((err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+      const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: err.message });
+    }
+    next(err);
+  });
+
+  return router;
+}
@@ -0,0 +1,50 @@
+import { formatBytes } from './utils.js';
+
+// ======================================================================
+// 🧾 AUDIT LOG (Append-only, no patient content)
+// ======================================================================
+// Entries record who did what and which profile came back; captions, notes
+// and profile text never enter the log.
+
+export function createAuditLog({ storage, logName = 'audit' }) {
+  async function record(event) {
+    const entry = { at: new Date().toISOString(), ...event };
+    await storage.append(logName, entry);
+    return entry;
+  }
+
+  async function query({ userId = null, action = null, limit = 20 } = {}) {
+    const entries = await storage.readLog(logName);
+    return entries
+      .filter(e => !userId || e.userId === String(userId))
+      .filter(e => !action || e.action === action)
+      .slice(-limit);
+  }
+
+  return { record, query };
+}
+
+export function formatAuditEntry(entry) {
+  const when = new Date(entry.at).toLocaleString();
+  const who = `${entry.name || 'Unknown'} (${entry.userId})`;
+
+  switch (entry.action) {
+    case 'submit':
+      return `${when} • ${who} • queued ${String(entry.itemType).toUpperCase()} (${formatBytes(entry.sizeBytes)})`;
+    case 'process': {
+      let outcome = `❌ ${entry.error || 'failed'}`;
+      if (entry.outcome === 'success') outcome = `${entry.cached ? '♻️ cached' : '✅'} profile ${entry.profileId}`;
+      else if (entry.outcome === 'cancelled') outcome = '🛑 cancelled';
+      const items = entry.itemCount === undefined ? '' : ` on ${entry.itemCount} items`;
+      return `${when} • ${who} • ran ${entry.mode}${items} • ${outcome}`;
+    }
+    case 'export':
+      return `${when} • ${who} • exported profile ${entry.profileId} as ${String(entry.format).toUpperCase()}`;
+    case 'history':
+      return `${when} • ${who} • looked up an MRN history (${entry.resultCount} profiles)`;
+    case 'access':
+      return `${when} • ${who} • ${entry.detail}`;
+    default:
+      return `${when} • ${who} • ${entry.action}`;
+  }
+}
@@ -0,0 +1,104 @@
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// ♻️ RESULT & FRAME CACHES (Skip reruns of identical inputs)
+// ======================================================================
+// The 'result-cache' collection maps a content hash of a run's inputs and
+// settings to the completed case: { id: key, caseId, expiresAt }. It holds no
+// patient content; the profile itself stays in 'profiles'.
+
+const sha256 = (value) => createHash('sha256').update(value).digest('hex');
+
+// Binary items hash their bytes, DICOM items their rendered slices and tags, notes their text
+function itemDigest(item) {
+  const hash = createHash('sha256').update(`${item.type}\0${item.mimeType || ''}\0${item.caption || ''}\0`);
+  if (item.type === 'text') hash.update(item.content);
+  else if (item.type === 'dicom') {
+    hash.update(item.context);
+    item.images.forEach(image => hash.update(image.data));
+  } else hash.update(item.data || '');
+  return hash.digest('hex');
+}
+
+// Items are sorted by digest, so re-sending the same files in another order still hits.
+// scope names who may get the result back (e.g. { chatId, userId }); keys never match across scopes
+export function resultCacheKey(items, settings, scope) {
+  if (!scope) throw new Error('A result cache key needs a scope');
+  const digests = items.map(itemDigest).sort();
+  return sha256(JSON.stringify({ scope, settings, items: digests }));
+}
+
+// Changes whenever a prompt, persona or model list changes, so edited prompts never get stale results
+export const instructionVersion = (...parts) => sha256(parts.map(part => (part === undefined || part === null ? '' : String(part))).join('\0')).slice(0, 16);
+
+export function createResultCache({ storage, ttlMs, now = () => Date.now() }) {
+  async function get(key) {
+    const entry = await storage.get('result-cache', key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      await storage.delete('result-cache', key);
+      return null;
+    }
+    return entry.caseId;
+  }
+
+  const set = (key, caseId) => storage.set('result-cache', key, { id: key, caseId, expiresAt: now() + ttlMs });
+
+  async function prune() {
+    const expired = (await storage.list('result-cache')).filter(entry => entry.expiresAt <= now());
+    for (const entry of expired) await storage.delete('result-cache', entry.id);
+    return expired.length;
+  }
+
+  return { get, set, prune };
+}
+
+// Wraps a video extractor (see video.js) so reruns of the same video, e.g. ".." after ".",
+// reuse its frames and narration. In memory only; the least recently used entries go first.
+export function withFrameCache(video, { maxBytes, ttlMs, logger = createLogger(), now = () => Date.now() }) {
+  const entries = new Map(); // key -> { value, bytes, expiresAt }; insertion order doubles as recency
+  const digests = new WeakMap(); // the pipeline hands the same Buffer to both extractors
+  let totalBytes = 0;
+
+  const digestOf = (buffer) => {
+    if (!digests.has(buffer)) digests.set(buffer, sha256(buffer));
+    return digests.get(buffer);
+  };
+
+  function forget(key) {
+    totalBytes -= entries.get(key).bytes;
+    entries.delete(key);
+  }
+
+  async function cached(key, bytesOf, compute) {
+    const hit = entries.get(key);
+    if (hit && hit.expiresAt > now()) {
+      entries.delete(key);
+      entries.set(key, hit);
+      logger.info({ kind: key.split(':')[0] }, '♻️ Reusing extracted video data');
+      return hit.value;
+    }
+    if (hit) forget(key);
+
+    const value = await compute();
+    const bytes = bytesOf(value);
+    if (bytes > maxBytes) return value;
+    entries.set(key, { value, bytes, expiresAt: now() + ttlMs });
+    totalBytes += bytes;
+    for (const oldest of entries.keys()) {
+      if (totalBytes <= maxBytes) break;
+      forget(oldest);
+    }
+    return value;
+  }
+
+  return {
+    extractFrames: (videoBuffer, targetFps, signal) => cached(`frames:${digestOf(videoBuffer)}:${targetFps}`,
+      (result) => result.frames.reduce((sum, frame) => sum + frame.length, 0),
+      () => video.extractFrames(videoBuffer, targetFps, signal)),
+    extractAudio: (videoBuffer, signal) => cached(`audio:${digestOf(videoBuffer)}`,
+      (audio) => (audio ? audio.length : 0),
+      () => video.extractAudio(videoBuffer, signal))
+  };
+}
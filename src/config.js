@@ -0,0 +1,92 @@
+import { join } from 'path';
+import { randomBytes } from 'crypto';
+
+// ======================================================================
+// 🟢 CONFIGURATION AREA
+// ======================================================================
+// Read from the environment once; shared by the bot (index.js) and the batch CLI (batch.js).
+// The prompts live in prompts.js.
+
+// Helper to parse comma-separated environment lists
+const parseList = (value) => (value || '').split(',').map(v => v.trim()).filter(v => v.length > 0);
+
+const MAX_BUFFER_BYTES = (Number(process.env.MAX_BUFFER_MB) || 60) * 1024 * 1024;
+
+// Numeric limits where an explicit 0 (unlimited) must not fall back to the default
+const parseLimit = (value, fallback) => (value === undefined || value.trim() === '' ? fallback : Number(value));
+
+const LLM_PROVIDER = process.env.LLM_PROVIDER || 'gemini'; // 'gemini' or 'openai' (any OpenAI-compatible server)
+
+// Helper to parse multiple API keys for the active provider
+const getApiKeys = () => {
+  if (LLM_PROVIDER === 'openai') {
+    return parseList(process.env.OPENAI_API_KEYS || process.env.OPENAI_API_KEY);
+  }
+  return parseList(process.env.GEMINI_API_KEYS || process.env.GEMINI_API_KEY);
+};
+
+export const CONFIG = {
+  LLM_PROVIDER,
+  API_KEYS: getApiKeys(),
+  GEMINI_MODEL: 'gemini-3.1-flash-lite', // Fast model locked
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  FALLBACK_MODELS: parseList(process.env.FALLBACK_MODELS), // Tried in order when the primary model is overloaded
+  KEY_COOLDOWN_BASE_MS: 5000, // Doubles on each consecutive 429/5xx for the same key
+  KEY_COOLDOWN_MAX_MS: 300000,
+  TELEGRAM_TOKEN: process.env.TELEGRAM_BOT_TOKEN,
+  BOT_MODE: process.env.BOT_MODE || 'polling', // 'polling' (local development) or 'webhook'
+  WEBHOOK_BASE_URL: process.env.WEBHOOK_URL || process.env.RENDER_EXTERNAL_URL,
+  WEBHOOK_PATH: process.env.WEBHOOK_PATH || '/telegram/webhook',
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || randomBytes(32).toString('hex'), // Checked against Telegram's secret-token header
+  ADMIN_ID: process.env.ADMIN_ID, // Bootstrap admin: approves access requests & receives activity summaries
+  ADMIN_FORWARDING: process.env.ADMIN_FORWARDING || 'metadata', // 'off', 'metadata' (summaries only) or 'full' (raw messages)
+  ACCESS_CONTROL: process.env.ACCESS_CONTROL !== 'off', // Requires ADMIN_ID to take effect
+  ALLOWED_USER_IDS: parseList(process.env.ALLOWED_USER_IDS), // Pre-approved clinicians
+  MEDIA_TIMEOUT_MS: 300000, // 5 minutes
+  BUFFER_EXPIRY_WARNING_MS: 60000, // Warn (with a keep button) this long before an idle queue is cleared
+  MAX_BUFFER_ITEMS: 20,
+  MAX_BUFFER_BYTES, // Per-sender queue size on disk
+  TELEGRAM_MAX_DOWNLOAD_BYTES: 20 * 1024 * 1024, // Bot API getFile limit
+  SPOOL_DIR: process.env.SPOOL_DIR, // Where queued files are written; defaults next to the storage data
+  MAX_CONCURRENT_JOBS: Number(process.env.MAX_CONCURRENT_JOBS) || 2, // Pipeline runs (Gemini + ffmpeg) allowed at once
+  GROUP_REQUIRE_MENTION: process.env.GROUP_REQUIRE_MENTION !== 'off', // In groups, only @mentions, the note prefix and triggers are read
+  GROUP_NOTE_PREFIX: process.env.GROUP_NOTE_PREFIX || '+', // e.g. "+ H/o fever for 3 days" adds a note without a mention
+  VIDEO_AUDIO_EXTRACTION: process.env.VIDEO_AUDIO_EXTRACTION !== 'off', // Send video narration alongside the frames
+  VIDEO_AUDIO_BITRATE: '48k', // Mono MP3, plenty for speech
+  FRAME_SELECTION: process.env.FRAME_SELECTION || 'adaptive', // 'adaptive' (scene change + dedup) or 'fixed'
+  FRAME_SCENE_THRESHOLD: 0.015, // ffmpeg scene score; scroll-throughs change subtly between slices
+  FRAME_DEDUP_THRESHOLD: 4, // Max differing dHash bits (of 64) for a frame to count as a duplicate
+  FRAME_CACHE_BYTES: (Number(process.env.FRAME_CACHE_MB) || 64) * 1024 * 1024, // Extracted frames kept in memory for reruns of the same video
+  FRAME_CACHE_TTL_MS: 60 * 60 * 1000,
+  MAX_FRAMES_PER_REQUEST: 60,
+  MAX_FRAME_BYTES_PER_REQUEST: 12 * 1024 * 1024, // Keeps requests under Gemini's 20 MB inline limit
+  DICOM_MAX_SLICES_PER_SERIES: 8, // Evenly spaced slices rendered from each series
+  DICOM_MAX_IMAGES: 24, // Rendered slices per DICOM upload, shared between its series
+  DICOM_MAX_DIMENSION: 1024, // Longest side of a rendered slice, in pixels
+  DICOM_ZIP_MAX_BYTES: 3 * MAX_BUFFER_BYTES, // Uncompressed size a zipped series may expand to
+  DICOM_ZIP_MAX_FILES: 2000,
+  STORAGE_DRIVER: process.env.STORAGE_DRIVER || 'file', // 'file' (persistent) or 'memory'
+  DATA_DIR: process.env.DATA_DIR || join(process.cwd(), 'data'),
+  CASE_API_TOKENS: parseList(process.env.CASE_API_TOKENS), // "client:token" pairs; the /api routes stay off when empty
+  API_MAX_FILES: 20,
+  API_MAX_FILE_BYTES: 20 * 1024 * 1024,
+  RESULT_CACHE: process.env.RESULT_CACHE !== 'off', // Identical files and settings get the stored profile back instantly
+  RESULT_CACHE_TTL_MS: Number(process.env.RESULT_CACHE_TTL_MS) || 24 * 60 * 60 * 1000,
+  CASE_INPUT_RETENTION_MS: 6 * 60 * 60 * 1000, // Inputs kept for the Regenerate button (6 hours); they contain patient documents
+  INTERVAL_COMPARISON: process.env.INTERVAL_COMPARISON === 'on', // Default for /compare: fold the previous profile of the same MRN into new ones
+  HISTORY_MAX_ENTRIES: 10, // Profiles shown by /history
+  PERSONAS_FILE: process.env.PERSONAS_FILE || join(process.cwd(), 'personas.json'), // Second-step analyses for ".." triggers
+  FOLLOWUP_MAX_TURNS: Number(process.env.FOLLOWUP_MAX_TURNS) || 10, // Questions per conversation started by replying to a profile
+  FOLLOWUP_EXPIRY_MS: Number(process.env.FOLLOWUP_EXPIRY_MS) || 60 * 60 * 1000, // Conversations end after 1 hour without a question
+  RUNS_PER_HOUR: parseLimit(process.env.RUNS_PER_HOUR, 10), // Per user; 0 turns a limit off
+  MEDIA_ITEMS_PER_DAY: parseLimit(process.env.MEDIA_ITEMS_PER_DAY, 200), // Files sent to the model per UTC day, reruns included
+  VIDEO_MINUTES_PER_DAY: parseLimit(process.env.VIDEO_MINUTES_PER_DAY, 60),
+  GLOBAL_RUNS_PER_HOUR: parseLimit(process.env.GLOBAL_RUNS_PER_HOUR, 0), // Whole bot, protects the shared API keys
+  GLOBAL_MEDIA_ITEMS_PER_DAY: parseLimit(process.env.GLOBAL_MEDIA_ITEMS_PER_DAY, 0),
+  GLOBAL_VIDEO_MINUTES_PER_DAY: parseLimit(process.env.GLOBAL_VIDEO_MINUTES_PER_DAY, 0),
+  LOG_LEVEL: process.env.LOG_LEVEL || 'info',
+  METRICS_TOKEN: process.env.METRICS_TOKEN, // When set, /metrics requires "Authorization: Bearer <token>"
+  MODEL_PRICES: process.env.MODEL_PRICES ? JSON.parse(process.env.MODEL_PRICES) : {}, // '{"<model>": {"input": 0.1, "output": 0.4}}' in USD per million tokens
+  COMMANDS: ['.', '.1', '.2', '.3', '..', '..1', '..2', '..3', 'help', 'clear', 'status', 'users', 'approve', 'revoke', 'role', 'audit', 'cancel', 'mode', 'export', 'history', 'compare', 'list', 'remove', 'undo', 'edit', 'stats', 'usage', 'quota', 'lang']
+};
@@ -0,0 +1,367 @@
+import dicomParser from 'dicom-parser';
+import jpeg from 'jpeg-js';
+import { Unzip, UnzipInflate, unzipSync } from 'fflate';
+import { evenlySample } from './frames.js';
+import { formatBytes } from './utils.js';
+
+// ======================================================================
+// 🩻 DICOM INGESTION (Key-image rendering with tag allowlisting)
+// ======================================================================
+// Nothing from the DICOM file reaches the model except rendered pixels and the
+// allowlisted tags below, so names, IDs, birth dates, institutions and UIDs are
+// dropped by construction. Text burned into the pixels cannot be removed here.
+// Files are parsed one at a time and only the sampled ones are read again to be
+// rendered; the work yields to the event loop between files so other chats keep moving.
+
+const TAG = {
+  transferSyntax: 'x00020010',
+  studyDate: 'x00080020',
+  modality: 'x00080060',
+  studyDescription: 'x00081030',
+  seriesDescription: 'x0008103e',
+  patientSex: 'x00100040',
+  patientAge: 'x00101010',
+  contrastAgent: 'x00180010',
+  bodyPart: 'x00180015',
+  sliceThickness: 'x00180050',
+  protocolName: 'x00181030',
+  seriesUid: 'x0020000e',
+  seriesNumber: 'x00200011',
+  instanceNumber: 'x00200013',
+  imagePosition: 'x00200032',
+  samplesPerPixel: 'x00280002',
+  photometric: 'x00280004',
+  planarConfiguration: 'x00280006',
+  numberOfFrames: 'x00280008',
+  rows: 'x00280010',
+  columns: 'x00280011',
+  bitsAllocated: 'x00280100',
+  pixelRepresentation: 'x00280103',
+  windowCenter: 'x00281050',
+  windowWidth: 'x00281051',
+  rescaleIntercept: 'x00281052',
+  rescaleSlope: 'x00281053',
+  pixelData: 'x7fe00010'
+};
+
+const UNCOMPRESSED_SYNTAXES = ['1.2.840.10008.1.2', '1.2.840.10008.1.2.1'];
+const JPEG_BASELINE_SYNTAX = '1.2.840.10008.1.2.4.50';
+const DEFAULT_CT_WINDOW = { center: 40, width: 400 }; // Soft tissue
+
+const AGE_UNITS = { D: 'days', W: 'weeks', M: 'months', Y: 'years' };
+
+const formatDicomDate = (value) => (/^\d{8}$/.test(value || '') ? `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}` : value);
+
+function formatDicomAge(value) {
+  const match = (value || '').match(/^(\d{3})([DWMY])$/);
+  return match ? `${Number(match[1])} ${AGE_UNITS[match[2]]}` : value;
+}
+
+// Only these study-level tags are passed on as text context
+const CONTEXT_TAGS = [
+  { label: 'Modality', tag: TAG.modality },
+  { label: 'Study', tag: TAG.studyDescription },
+  { label: 'Study date', tag: TAG.studyDate, format: formatDicomDate },
+  { label: 'Body part', tag: TAG.bodyPart },
+  { label: 'Protocol', tag: TAG.protocolName },
+  { label: 'Contrast agent', tag: TAG.contrastAgent },
+  { label: 'Sex', tag: TAG.patientSex },
+  { label: 'Age', tag: TAG.patientAge, format: formatDicomAge }
+];
+
+export const isDicomBuffer = (buffer) => buffer.length > 132 && buffer.toString('latin1', 128, 132) === 'DICM';
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+const ZIP_CHUNK_BYTES = 1024 * 1024;
+
+// Streams through a zip, handing each file to onFile(name, buffer) as it is inflated, and refuses
+// archives that expand past the limits (counted from the inflated bytes, not the zip's own claims)
+async function streamZip(buffer, { maxBytes, maxFiles }, onFile) {
+  let totalBytes = 0;
+  let fileCount = 0;
+  let failure = null;
+  const unzip = new Unzip((file) => {
+    if (failure || file.name.endsWith('/') || file.name.startsWith('__MACOSX/')) return;
+    if (++fileCount > maxFiles) {
+      failure = new Error(`The zip holds more than ${maxFiles} files`);
+      return;
+    }
+    const chunks = [];
+    file.ondata = (err, chunk, final) => {
+      if (failure) return;
+      if (err) {
+        failure = err;
+        return;
+      }
+      totalBytes += chunk.length;
+      if (totalBytes > maxBytes) {
+        failure = new Error(`The zip expands beyond ${formatBytes(maxBytes)}`);
+        file.terminate();
+        return;
+      }
+      chunks.push(chunk);
+      if (!final) return;
+      try {
+        onFile(file.name, Buffer.concat(chunks));
+      } catch (e) {
+        failure = e;
+      }
+      chunks.length = 0;
+    };
+    file.start();
+  });
+  unzip.register(UnzipInflate);
+
+  const bytes = new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+  for (let offset = 0; offset < bytes.length && !failure; offset += ZIP_CHUNK_BYTES) {
+    unzip.push(bytes.subarray(offset, offset + ZIP_CHUNK_BYTES), offset + ZIP_CHUNK_BYTES >= bytes.length);
+    await yieldToEventLoop();
+  }
+  if (failure) throw failure;
+}
+
+// Reads one file back out of a zip; only that file is inflated
+function readZipEntry(buffer, name) {
+  const entries = unzipSync(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length), { filter: (file) => file.name === name });
+  const bytes = entries[name];
+  if (!bytes) throw new Error(`${name} is missing from the zip`);
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length);
+}
+
+function parseDataSet(buffer) {
+  return dicomParser.parseDicom(new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length));
+}
+
+const frameCount = (dataSet) => parseInt(dataSet.string(TAG.numberOfFrames) || '1', 10) || 1;
+
+// The study and series tags read after the file itself is dropped (captions and the context line)
+const SUMMARY_TAGS = [...CONTEXT_TAGS.map(c => c.tag), TAG.seriesDescription, TAG.sliceThickness, TAG.seriesNumber];
+
+function sliceOrder(dataSet) {
+  const instance = dataSet.intString(TAG.instanceNumber);
+  if (Number.isFinite(instance)) return instance;
+  const position = dataSet.floatString(TAG.imagePosition, 2);
+  return Number.isFinite(position) ? position : 0;
+}
+
+// Window from the file, else the CT default, else the 1st-99th percentile of the pixels
+function chooseWindow(dataSet, values, slope, intercept) {
+  const center = dataSet.floatString(TAG.windowCenter, 0);
+  const width = dataSet.floatString(TAG.windowWidth, 0);
+  if (Number.isFinite(center) && width > 0) return { center, width };
+  if (dataSet.string(TAG.modality) === 'CT') return DEFAULT_CT_WINDOW;
+
+  const step = Math.max(1, Math.floor(values.length / 10000));
+  const samples = [];
+  for (let i = 0; i < values.length; i += step) samples.push(values[i] * slope + intercept);
+  samples.sort((a, b) => a - b);
+  const low = samples[Math.floor(samples.length * 0.01)];
+  const high = samples[Math.floor(samples.length * 0.99)];
+  return { center: (low + high) / 2, width: Math.max(high - low, 1) };
+}
+
+function encodeJpeg(width, height, readPixel, maxDimension) {
+  // Nearest-neighbour downscale keeps requests small for large radiographs
+  const step = Math.max(1, Math.ceil(Math.max(width, height) / maxDimension));
+  const outWidth = Math.floor(width / step);
+  const outHeight = Math.floor(height / step);
+  const rgba = Buffer.alloc(outWidth * outHeight * 4);
+  for (let y = 0; y < outHeight; y++) {
+    for (let x = 0; x < outWidth; x++) {
+      const [r, g, b] = readPixel(x * step, y * step);
+      const o = (y * outWidth + x) * 4;
+      rgba[o] = r;
+      rgba[o + 1] = g;
+      rgba[o + 2] = b;
+      rgba[o + 3] = 255;
+    }
+  }
+  return jpeg.encode({ data: rgba, width: outWidth, height: outHeight }, 85).data;
+}
+
+function renderUncompressedFrame(dataSet, frameIndex, maxDimension) {
+  const rows = dataSet.uint16(TAG.rows);
+  const columns = dataSet.uint16(TAG.columns);
+  const samplesPerPixel = dataSet.uint16(TAG.samplesPerPixel) || 1;
+  const bitsAllocated = dataSet.uint16(TAG.bitsAllocated);
+  const photometric = (dataSet.string(TAG.photometric) || 'MONOCHROME2').trim();
+  const pixelElement = dataSet.elements[TAG.pixelData];
+
+  const frameBytes = rows * columns * samplesPerPixel * (bitsAllocated / 8);
+  const start = pixelElement.dataOffset + frameIndex * frameBytes;
+  if (start + frameBytes > dataSet.byteArray.length) throw new Error('pixel data is truncated');
+  // slice() copies into a fresh, aligned buffer for the typed-array views below
+  const bytes = dataSet.byteArray.slice(start, start + frameBytes);
+
+  if (samplesPerPixel === 3 && bitsAllocated === 8 && photometric === 'RGB') {
+    const planar = dataSet.uint16(TAG.planarConfiguration) === 1;
+    const plane = rows * columns;
+    return encodeJpeg(columns, rows, (x, y) => {
+      const i = y * columns + x;
+      return planar ? [bytes[i], bytes[plane + i], bytes[2 * plane + i]] : [bytes[i * 3], bytes[i * 3 + 1], bytes[i * 3 + 2]];
+    }, maxDimension);
+  }
+
+  if (samplesPerPixel !== 1 || !photometric.startsWith('MONOCHROME')) {
+    throw new Error(`${photometric} images are not supported yet`);
+  }
+
+  let values;
+  if (bitsAllocated === 8) values = bytes;
+  else if (bitsAllocated === 16) values = dataSet.uint16(TAG.pixelRepresentation) === 1 ? new Int16Array(bytes.buffer) : new Uint16Array(bytes.buffer);
+  else throw new Error(`${bitsAllocated}-bit pixels are not supported`);
+
+  const slope = dataSet.floatString(TAG.rescaleSlope) || 1;
+  const intercept = dataSet.floatString(TAG.rescaleIntercept) || 0;
+  const { center, width } = chooseWindow(dataSet, values, slope, intercept);
+  const lower = center - width / 2;
+  const invert = photometric === 'MONOCHROME1';
+
+  return encodeJpeg(columns, rows, (x, y) => {
+    const value = values[y * columns + x] * slope + intercept;
+    let gray = Math.round(((value - lower) / width) * 255);
+    gray = Math.min(255, Math.max(0, gray));
+    if (invert) gray = 255 - gray;
+    return [gray, gray, gray];
+  }, maxDimension);
+}
+
+function renderFrame(dataSet, frameIndex, maxDimension) {
+  const syntax = (dataSet.string(TAG.transferSyntax) || UNCOMPRESSED_SYNTAXES[1]).trim();
+  const pixelElement = dataSet.elements[TAG.pixelData];
+
+  // Baseline JPEG frames are already JPEG files
+  if (syntax === JPEG_BASELINE_SYNTAX) {
+    const frame = frameCount(dataSet) === 1
+      ? dicomParser.readEncapsulatedPixelDataFromFragments(dataSet, pixelElement, 0, pixelElement.fragments.length)
+      : dicomParser.readEncapsulatedImageFrame(dataSet, pixelElement, frameIndex, dicomParser.createJPEGBasicOffsetTable(dataSet, pixelElement));
+    return Buffer.from(frame);
+  }
+  if (!UNCOMPRESSED_SYNTAXES.includes(syntax)) {
+    throw new Error(`compressed DICOM (transfer syntax ${syntax}) is not supported yet`);
+  }
+  return renderUncompressedFrame(dataSet, frameIndex, maxDimension);
+}
+
+// What the study needs to know about an instance once its file is no longer held: null when it has no pixels
+function summarizeInstance(key, dataSet) {
+  if (!dataSet.elements[TAG.pixelData]) return null;
+  return {
+    key,
+    seriesUid: dataSet.string(TAG.seriesUid) || 'unknown',
+    order: sliceOrder(dataSet),
+    frames: frameCount(dataSet),
+    tags: Object.fromEntries(SUMMARY_TAGS.map(tag => [tag, (dataSet.string(tag) || '').trim()]))
+  };
+}
+
+// Summarizes a file, skipping DICOMDIR indexes and damaged files
+function tryParseInstance(key, buffer) {
+  try {
+    return summarizeInstance(key, parseDataSet(buffer));
+  } catch (e) {
+    return null;
+  }
+}
+
+function describeContext(first, seriesList) {
+  const study = CONTEXT_TAGS
+    .map(({ label, tag, format }) => {
+      const value = first.tags[tag];
+      return value ? `${label}: ${format ? format(value) : value}` : null;
+    })
+    .filter(Boolean);
+
+  const series = seriesList.map(s => {
+    const description = s.first.tags[TAG.seriesDescription] || 'Unnamed series';
+    const thickness = parseFloat(s.first.tags[TAG.sliceThickness]);
+    return `Series ${s.number}: ${description} (${s.frames.length} image${s.frames.length === 1 ? '' : 's'}${thickness ? `, ${thickness} mm slices` : ''})`;
+  });
+
+  return [...study, ...series].join('; ');
+}
+
+// instances are summaries (see summarizeInstance); load(key) returns the file of an instance, which is
+// only called for instances with a sampled frame.
+// Returns { images: [{ data, caption }], context, instanceCount, seriesCount } with base64 JPEG data
+async function renderInstances(instances, load, { maxSlicesPerSeries = 8, maxImages = 24, maxDimension = 1024 } = {}) {
+  if (instances.length === 0) throw new Error('No readable DICOM images found');
+
+  const bySeries = new Map();
+  instances.forEach(instance => {
+    if (!bySeries.has(instance.seriesUid)) bySeries.set(instance.seriesUid, []);
+    bySeries.get(instance.seriesUid).push(instance);
+  });
+
+  const seriesList = [...bySeries.values()].map((members, i) => {
+    members.sort((a, b) => a.order - b.order);
+    const frames = members
+      .flatMap(instance => Array.from({ length: instance.frames }, (_, frame) => ({ instance, frame })))
+      .map((entry, index) => ({ ...entry, position: index + 1 }));
+    return { number: parseInt(members[0].tags[TAG.seriesNumber], 10) || i + 1, first: members[0], frames };
+  });
+
+  // Every series gets an equal share of the image budget
+  const perSeries = Math.max(1, Math.min(maxSlicesPerSeries, Math.floor(maxImages / seriesList.length)));
+  const sampled = seriesList.slice(0, maxImages).flatMap(series => {
+    const modality = series.first.tags[TAG.modality] || 'DICOM';
+    const description = series.first.tags[TAG.seriesDescription];
+    return evenlySample(series.frames, perSeries).map(({ instance, frame, position }) => ({
+      instance,
+      frame,
+      caption: `${modality}${description ? ` ${description}` : ''}, series ${series.number}, image ${position}/${series.frames.length}`
+    }));
+  });
+
+  // Each file is read and parsed once, however many of its frames were sampled
+  const byInstance = new Map();
+  sampled.forEach(entry => {
+    if (!byInstance.has(entry.instance.key)) byInstance.set(entry.instance.key, []);
+    byInstance.get(entry.instance.key).push(entry);
+  });
+
+  const rendered = new Map(); // sampled entry -> base64 JPEG
+  let lastError = null;
+  for (const [key, entries] of byInstance) {
+    let dataSet;
+    try {
+      dataSet = parseDataSet(await load(key));
+    } catch (e) {
+      lastError = e;
+      continue;
+    }
+    for (const entry of entries) {
+      try {
+        rendered.set(entry, renderFrame(dataSet, entry.frame, maxDimension).toString('base64'));
+      } catch (e) {
+        lastError = e;
+      }
+      await yieldToEventLoop();
+    }
+  }
+
+  const images = sampled.filter(entry => rendered.has(entry)).map(entry => ({ data: rendered.get(entry), caption: entry.caption }));
+  if (images.length === 0) throw new Error(`Could not render the DICOM images: ${lastError ? lastError.message : 'unknown error'}`);
+
+  return { images, context: describeContext(seriesList[0].first, seriesList), instanceCount: instances.length, seriesCount: seriesList.length };
+}
+
+export async function renderDicomFile(buffer, options) {
+  const instance = tryParseInstance(0, buffer);
+  return renderInstances(instance ? [instance] : [], () => buffer, options);
+}
+
+// Each file in the zip is parsed as it streams past and then dropped; the sampled ones are read back to be rendered
+export async function renderDicomZip(buffer, { maxZipBytes, maxZipFiles, ...options }) {
+  const instances = [];
+  let dicomFiles = 0;
+  await streamZip(buffer, { maxBytes: maxZipBytes, maxFiles: maxZipFiles }, (name, file) => {
+    if (!isDicomBuffer(file)) return;
+    dicomFiles++;
+    const instance = tryParseInstance(name, file);
+    if (instance) instances.push(instance);
+  });
+  if (dicomFiles === 0) return null;
+  return renderInstances(instances, (name) => readZipEntry(buffer, name), options);
+}
@@ -0,0 +1,86 @@
+import mammoth from 'mammoth';
+import heicConvert from 'heic-convert';
+import { renderDicomFile, renderDicomZip } from './dicom.js';
+
+// ======================================================================
+// 📑 DOCUMENT NORMALIZATION (Files sent "as document" → buffer items)
+// ======================================================================
+// Telegram often reports application/octet-stream for HEIC and DOCX, so the
+// file extension is checked when the MIME type is not recognized.
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const MAX_TEXT_CHARS = 20000; // Keeps one long letter from crowding out the rest of the prompt
+
+export const DOCUMENT_TYPES = [
+  { kind: 'pdf', label: 'PDF', mimeTypes: ['application/pdf'], extensions: { pdf: 'application/pdf' } },
+  {
+    kind: 'image',
+    label: 'JPEG/PNG/WEBP',
+    mimeTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    extensions: { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' }
+  },
+  { kind: 'heic', label: 'HEIC/HEIF', mimeTypes: ['image/heic', 'image/heif'], extensions: { heic: 'image/heic', heif: 'image/heif' } },
+  { kind: 'docx', label: 'DOCX', mimeTypes: [DOCX_MIME], extensions: { docx: DOCX_MIME } },
+  { kind: 'txt', label: 'TXT', mimeTypes: ['text/plain'], extensions: { txt: 'text/plain' } },
+  { kind: 'dicom', label: 'DICOM', mimeTypes: ['application/dicom'], extensions: { dcm: 'application/dicom', dicom: 'application/dicom' } },
+  {
+    kind: 'dicom-zip',
+    label: 'ZIP of DICOM files',
+    mimeTypes: ['application/zip', 'application/x-zip-compressed'],
+    extensions: { zip: 'application/zip' }
+  }
+];
+
+export const SUPPORTED_DOCUMENTS = DOCUMENT_TYPES.map(t => t.label).join(', ');
+
+// Returns { kind, mimeType } or null when the file is not supported
+export function classifyDocument({ mimeType, fileName }) {
+  const mime = (mimeType || '').toLowerCase();
+  const byMime = DOCUMENT_TYPES.find(t => t.mimeTypes.includes(mime));
+  if (byMime) return { kind: byMime.kind, mimeType: mime };
+
+  const extension = (fileName || '').toLowerCase().split('.').pop();
+  const byExtension = DOCUMENT_TYPES.find(t => t.extensions[extension]);
+  return byExtension ? { kind: byExtension.kind, mimeType: byExtension.extensions[extension] } : null;
+}
+
+function toTextNote(text, fileName) {
+  const clean = text.replace(/\r\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (!clean) throw new Error(`${fileName || 'The document'} contains no readable text`);
+  const truncated = clean.length > MAX_TEXT_CHARS ? `${clean.slice(0, MAX_TEXT_CHARS)}\n[...truncated]` : clean;
+  return { type: 'text', content: `[From ${fileName || 'document'}]\n${truncated}` };
+}
+
+// File names often carry the patient's name, so the DICOM item does not keep them
+function toDicomItem(study) {
+  return { type: 'dicom', images: study.images, context: study.context, instanceCount: study.instanceCount, seriesCount: study.seriesCount };
+}
+
+// Converts a downloaded document into the buffer item the pipeline expects;
+// dicom options are { maxSlicesPerSeries, maxImages, maxDimension, maxZipBytes, maxZipFiles }
+export async function normalizeDocument(buffer, { kind, mimeType, fileName, dicom = {} }) {
+  switch (kind) {
+    case 'pdf':
+    case 'image':
+      return { type: kind, data: buffer.toString('base64'), mimeType };
+    case 'heic': {
+      const jpeg = await heicConvert({ buffer, format: 'JPEG', quality: 0.9 });
+      return { type: 'image', data: Buffer.from(jpeg).toString('base64'), mimeType: 'image/jpeg' };
+    }
+    case 'docx': {
+      const { value } = await mammoth.extractRawText({ buffer });
+      return toTextNote(value, fileName);
+    }
+    case 'txt':
+      return toTextNote(buffer.toString('utf8').replace(/^\uFEFF/, ''), fileName);
+    case 'dicom':
+      return toDicomItem(await renderDicomFile(buffer, dicom));
+    case 'dicom-zip': {
+      const study = await renderDicomZip(buffer, dicom);
+      if (!study) throw new Error(`${fileName || 'The zip'} contains no DICOM files`);
+      return toDicomItem(study);
+    }
+    default:
+      throw new Error(`Unsupported document kind "${kind}"`);
+  }
+}
@@ -0,0 +1,165 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import { Document, HeadingLevel, Packer, Paragraph, TextRun } from 'docx';
+import { formatAge } from './metadata.js';
+
+// ======================================================================
+// 📄 CASE EXPORT (PDF, DOCX and plain-text documents)
+// ======================================================================
+// Every format renders the same sections: the profile, the Quick Reference
+// metadata and, when present, the second-step analysis.
+
+export const EXPORT_FORMATS = {
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+  docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  txt: { extension: 'txt', mimeType: 'text/plain' }
+};
+
+const DISCLAIMER = 'AI-generated summary. Verify against the source documents before clinical use.';
+
+// Chat replies use Telegram Markdown; documents get the plain text
+function stripMarkdown(text) {
+  return String(text || '')
+    .replace(/^#{1,6}\s*/gm, '')
+    .replace(/\*\*?|__|`/g, '')
+    .trim();
+}
+
+// The built-in PDF fonts only cover Latin-1, so common symbols are spelled out
+const PDF_REPLACEMENTS = { '≥': '>=', '≤': '<=', '→': '->', '←': '<-', '–': '-', '—': '-', '‘': "'", '’': "'", '“': '"', '”': '"', '•': '-', '…': '...' };
+const OUTSIDE_LATIN_1 = /[^\x09\x0A\x0D\x20-\x7E\xA0-\xFF]/g;
+function toPdfText(text) {
+  return text.replace(/[≥≤→←–—‘’“”•…]/g, ch => PDF_REPLACEMENTS[ch]).replace(OUTSIDE_LATIN_1, '');
+}
+
+// Hindi and Tamil text is drawn with embedded Noto Sans subsets; everything else stays in Helvetica
+const require = createRequire(import.meta.url);
+const notoFile = (family, subset, weight) => require.resolve(`@fontsource/${family}/files/${family}-${subset}-${weight}-normal.woff`);
+const PDF_SCRIPTS = [
+  { name: 'Devanagari', pattern: /[\u0900-\u097F\u1CD0-\u1CFF\uA8E0-\uA8FF]/, regular: notoFile('noto-sans-devanagari', 'devanagari', 400), bold: notoFile('noto-sans-devanagari', 'devanagari', 700) },
+  { name: 'Tamil', pattern: /[\u0B80-\u0BFF]/, regular: notoFile('noto-sans-tamil', 'tamil', 400), bold: notoFile('noto-sans-tamil', 'tamil', 700) }
+];
+const LATIN_FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', italic: 'Helvetica-Oblique' };
+const JOINERS = /[\u200C\u200D]/; // Shape the Indic text around them, so they stay in its run
+
+// Splits text into runs of one script each: [{ script, text }], script null for Latin
+function scriptRuns(text) {
+  const runs = [];
+  for (const ch of text) {
+    const last = runs[runs.length - 1];
+    const script = JOINERS.test(ch) && last ? last.script : PDF_SCRIPTS.find(s => s.pattern.test(ch)) || null;
+    if (last && last.script === script) last.text += ch;
+    else runs.push({ script, text: ch });
+  }
+  return runs;
+}
+
+function registerPdfFonts(doc) {
+  PDF_SCRIPTS.forEach(s => {
+    doc.registerFont(`${s.name}-regular`, s.regular);
+    doc.registerFont(`${s.name}-bold`, s.bold);
+  });
+}
+
+// style is 'regular', 'bold' or 'italic' (the Indic fonts have no italic, so it draws upright there)
+function writePdfText(doc, text, style = 'regular') {
+  const runs = scriptRuns(text)
+    .map(run => (run.script ? run : { ...run, text: toPdfText(run.text) }))
+    .filter(run => run.text.length > 0);
+  if (runs.length === 0) runs.push({ script: null, text: '' });
+  runs.forEach((run, i) => {
+    doc.font(run.script ? `${run.script.name}-${style === 'bold' ? 'bold' : 'regular'}` : LATIN_FONTS[style]);
+    doc.text(run.text, { continued: i < runs.length - 1 });
+  });
+}
+
+function buildSections(record, secondaryTitle) {
+  const sections = [{
+    heading: 'Clinical Profile',
+    lines: [stripMarkdown(record.profile).replace(/^Clinical Profile:\s*/i, '')]
+  }];
+
+  if (record.metadata) {
+    const m = record.metadata;
+    sections.push({
+      heading: 'Quick Reference',
+      lines: [
+        `MRN/Reg No: ${m.mrn || 'Not mentioned'}`,
+        `Age: ${formatAge(m.age)}`,
+        `Sex: ${m.sex || 'unknown'}`,
+        `Study: ${m.study || 'Not mentioned'}`,
+        `Brief: ${m.brief || ''}`
+      ]
+    });
+  }
+
+  if (record.secondary) {
+    sections.push({ heading: secondaryTitle, lines: stripMarkdown(record.secondary).split('\n') });
+  }
+  return sections;
+}
+
+function renderTxt(title, subtitle, sections) {
+  const body = sections.map(s => `${s.heading}\n${'-'.repeat(s.heading.length)}\n${s.lines.join('\n')}`);
+  return Buffer.from([title, subtitle, '', ...body.flatMap(b => [b, '']), DISCLAIMER, ''].join('\n'), 'utf8');
+}
+
+function renderPdf(title, subtitle, sections) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    registerPdfFonts(doc);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title);
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(subtitle).fillColor('black').moveDown();
+    sections.forEach(s => {
+      doc.fontSize(13);
+      writePdfText(doc, s.heading, 'bold');
+      doc.moveDown(0.3).fontSize(11);
+      s.lines.forEach(line => writePdfText(doc, line));
+      doc.moveDown();
+    });
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#666666').text(DISCLAIMER);
+    doc.end();
+  });
+}
+
+function renderDocx(title, subtitle, sections) {
+  const doc = new Document({
+    title,
+    sections: [{
+      children: [
+        new Paragraph({ text: title, heading: HeadingLevel.TITLE }),
+        new Paragraph({ children: [new TextRun({ text: subtitle, italics: true, size: 18 })] }),
+        ...sections.flatMap(s => [
+          new Paragraph({ text: s.heading, heading: HeadingLevel.HEADING_1 }),
+          ...s.lines.map(line => new Paragraph({ text: line }))
+        ]),
+        new Paragraph({ children: [new TextRun({ text: DISCLAIMER, italics: true, size: 16 })] })
+      ]
+    }]
+  });
+  return Packer.toBuffer(doc);
+}
+
+// Returns { buffer, filename, mimeType }; the filename carries no patient identifiers
+export async function renderCaseExport(record, format, { secondaryTitle = 'Secondary Analysis' } = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}.`);
+  if (!record.profile) throw new Error('This case has no profile to export');
+
+  const title = 'Clinical Profile';
+  const generated = new Date(record.completedAt || record.createdAt).toLocaleString('en-GB');
+  const subtitle = `Case ${record.id} • Generated ${generated}`;
+  const sections = buildSections(record, secondaryTitle);
+
+  let buffer;
+  if (format === 'pdf') buffer = await renderPdf(title, toPdfText(subtitle), sections);
+  else if (format === 'docx') buffer = await renderDocx(title, subtitle, sections);
+  else buffer = renderTxt(title, subtitle, sections);
+
+  return { buffer, filename: `clinical-profile-${record.id.slice(0, 8)}.${spec.extension}`, mimeType: spec.mimeType };
+}
@@ -0,0 +1,88 @@
+// ======================================================================
+// 🎞️ FRAME SELECTION (Perceptual-hash dedup & per-request frame budget)
+// ======================================================================
+// Hashes are difference hashes (dHash) built from 9x8 grayscale thumbnails
+// that ffmpeg writes alongside the JPEG frames as a raw byte stream.
+
+export const HASH_WIDTH = 9;
+export const HASH_HEIGHT = 8;
+const HASH_FRAME_BYTES = HASH_WIDTH * HASH_HEIGHT;
+
+// 64 bits: each pixel compared with its right-hand neighbour
+export function differenceHash(pixels) {
+  const bits = new Uint8Array((HASH_WIDTH - 1) * HASH_HEIGHT);
+  let bit = 0;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      bits[bit++] = pixels[y * HASH_WIDTH + x] > pixels[y * HASH_WIDTH + x + 1] ? 1 : 0;
+    }
+  }
+  return bits;
+}
+
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+export function countRawHashFrames(rawBuffer) {
+  return Math.floor(rawBuffer.length / HASH_FRAME_BYTES);
+}
+
+export function splitRawHashes(rawBuffer) {
+  const hashes = [];
+  for (let i = 0; i < countRawHashFrames(rawBuffer); i++) {
+    hashes.push(differenceHash(rawBuffer.subarray(i * HASH_FRAME_BYTES, (i + 1) * HASH_FRAME_BYTES)));
+  }
+  return hashes;
+}
+
+// Compares with the last kept frame (not the previous one) so slow drift is still captured
+export function dedupeFrames(frames, hashes, threshold) {
+  if (hashes.length !== frames.length) return frames;
+  const kept = [];
+  let lastHash = null;
+  frames.forEach((frame, i) => {
+    if (lastHash && hammingDistance(lastHash, hashes[i]) <= threshold) return;
+    kept.push(frame);
+    lastHash = hashes[i];
+  });
+  return kept;
+}
+
+export function evenlySample(items, count) {
+  if (count >= items.length) return items;
+  if (count <= 0) return [];
+  if (count === 1) return [items[Math.floor(items.length / 2)]];
+  const step = (items.length - 1) / (count - 1);
+  return Array.from({ length: count }, (_, i) => items[Math.round(i * step)]);
+}
+
+const base64Bytes = (data) => Math.floor(data.length * 3 / 4);
+
+// Shrinks every video's frames proportionally so the whole request fits the count and byte budget
+export function applyFrameBudget(groups, { maxFrames, maxBytes }) {
+  const all = groups.flat();
+  if (all.length === 0) return groups;
+
+  const totalBytes = all.reduce((sum, frame) => sum + base64Bytes(frame), 0);
+  const averageBytes = totalBytes / all.length;
+  const allowed = Math.min(maxFrames, Math.floor(maxBytes / averageBytes));
+  if (all.length <= allowed) return groups;
+
+  const ratio = allowed / all.length;
+  const sampled = groups.map(frames => evenlySample(frames, Math.max(1, Math.floor(frames.length * ratio))));
+
+  // The one-frame floor per video overshoots with many videos, so the later videos go once the budget is spent
+  let count = 0;
+  let bytes = 0;
+  return sampled.map(frames => frames.filter(frame => {
+    if (count >= maxFrames || bytes + base64Bytes(frame) > maxBytes) return false;
+    count++;
+    bytes += base64Bytes(frame);
+    return true;
+  }));
+}
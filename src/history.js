@@ -0,0 +1,73 @@
+// ======================================================================
+// 🗂️ PATIENT HISTORY (Completed cases indexed by MRN)
+// ======================================================================
+// The 'mrn-index' collection maps a normalized MRN to its cases:
+// { id: key, mrn, cases: [{ caseId, createdAt, study, chatId, userId, channel, client }] }
+// Profiles stay in the 'profiles' collection; the index only points at them.
+// Only original studies are indexed: reruns and rewrites (sourceCaseId) and cache copies (cachedFrom) are not.
+
+const NO_MRN = /^(|not mentioned|unknown|n\/?a|none)$/i;
+
+// "MRN 12 345" and "mrn12345" are the same patient
+export function mrnKey(mrn) {
+  if (typeof mrn !== 'string' || NO_MRN.test(mrn.trim())) return null;
+  return mrn.toUpperCase().replace(/^(MRN|UHID|UID|REG(ISTRATION)?\s*NO\.?)[\s:#.-]*/, '').replace(/[\s:#.-]/g, '') || null;
+}
+
+export function createCaseHistory({ storage }) {
+  const updates = new Map(); // key -> tail of its update chain, so concurrent cases of one MRN never drop an entry
+
+  function serialized(key, task) {
+    const next = (updates.get(key) || Promise.resolve()).catch(() => {}).then(task);
+    updates.set(key, next);
+    next.finally(() => {
+      if (updates.get(key) === next) updates.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  async function record(caseRecord) {
+    if (caseRecord.sourceCaseId || caseRecord.cachedFrom) return null;
+    const key = caseRecord.metadata ? mrnKey(caseRecord.metadata.mrn) : null;
+    if (!key) return null;
+    return serialized(key, () => addEntry(key, caseRecord));
+  }
+
+  async function addEntry(key, caseRecord) {
+    const index = (await storage.get('mrn-index', key)) || { id: key, mrn: caseRecord.metadata.mrn, cases: [] };
+    if (index.cases.some(c => c.caseId === caseRecord.id)) return index;
+    index.cases.push({
+      caseId: caseRecord.id,
+      createdAt: caseRecord.createdAt,
+      study: caseRecord.metadata.study,
+      chatId: caseRecord.chatId,
+      userId: caseRecord.userId,
+      channel: caseRecord.channel,
+      client: caseRecord.client
+    });
+    index.cases.sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    await storage.set('mrn-index', key, index);
+    return index;
+  }
+
+  // Newest first; canSee decides which entries the requester may read
+  async function list(mrn, { canSee = () => true, excludeIds = [] } = {}) {
+    const key = mrnKey(mrn);
+    if (!key) return [];
+    const index = await storage.get('mrn-index', key);
+    if (!index) return [];
+    return index.cases
+      .filter(entry => !excludeIds.includes(entry.caseId) && canSee(entry))
+      .reverse();
+  }
+
+  async function findPrior(mrn, options = {}) {
+    for (const entry of await list(mrn, options)) {
+      const prior = await storage.get('profiles', entry.caseId);
+      if (prior && prior.status === 'completed' && prior.profile) return prior;
+    }
+    return null;
+  }
+
+  return { record, list, findPrior };
+}
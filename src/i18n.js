@@ -0,0 +1,52 @@
+import { en } from './locales/en.js';
+import { hi } from './locales/hi.js';
+import { ta } from './locales/ta.js';
+
+// ======================================================================
+// 🌐 LOCALIZATION (Bot UI strings and the languages the model writes in)
+// ======================================================================
+// Each user picks a UI language with /lang; catalogs live in locales/<code>.js and
+// fall back to English per key. Admin tooling (/users, /audit, /stats, /quota and
+// access requests) stays in English, as does everything the API and batch CLI return.
+
+export const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', promptName: 'English', locale: 'en-GB', catalog: en },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', promptName: 'Hindi (Devanagari script)', locale: 'hi-IN', catalog: hi },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்', promptName: 'Tamil (Tamil script)', locale: 'ta-IN', catalog: ta }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// Which parts of a case the model writes in the user's language ("mixed" is the default)
+export const OUTPUT_MODES = ['english', 'mixed', 'all'];
+
+// Accepts the code ("hi"), the English name ("hindi") or the native name ("हिन्दी")
+export function resolveLanguage(value) {
+  const wanted = String(value || '').trim().toLowerCase();
+  return Object.keys(LANGUAGES).find(code =>
+    code === wanted || LANGUAGES[code].name.toLowerCase() === wanted || LANGUAGES[code].nativeName.toLowerCase() === wanted) || null;
+}
+
+// Fills {name} placeholders; an unknown key comes back as itself so a gap is visible, not fatal
+export function translate(language, key, params = {}) {
+  const catalog = (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).catalog;
+  const template = catalog[key] ?? en[key];
+  if (template === undefined) return key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+export const localeOf = (language) => (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).locale;
+
+// { profile, analysis }: the language of the Clinical Profile, and of the brief, secondary analysis and follow-ups
+export function outputLanguages({ language = DEFAULT_LANGUAGE, output = null } = {}) {
+  const mode = output || 'mixed';
+  if (!LANGUAGES[language] || language === DEFAULT_LANGUAGE || mode === 'english') {
+    return { profile: DEFAULT_LANGUAGE, analysis: DEFAULT_LANGUAGE };
+  }
+  return { profile: mode === 'all' ? language : DEFAULT_LANGUAGE, analysis: language };
+}
+
+// Fills a language instruction from prompts.js, or returns null when the output stays in English
+export const languagePrompt = (template, language) => (language && language !== DEFAULT_LANGUAGE && LANGUAGES[language]
+  ? template.replace('{language}', LANGUAGES[language].promptName)
+  : null);
@@ -0,0 +1,86 @@
+import { randomUUID } from 'crypto';
+
+// ======================================================================
+// ⏱️ JOB QUEUE (Global concurrency limit, queue positions, cancellation)
+// ======================================================================
+// Jobs receive an AbortSignal; cancelling a queued job rejects its `done`
+// promise with the signal's AbortError, a running job must honour the signal.
+// runInContext(job, fn) wraps each run, e.g. to tag its log lines with the job id.
+
+export const isAbortError = (error) => Boolean(error) && error.name === 'AbortError';
+
+export function createJobQueue({ concurrency = 2, runInContext = (job, fn) => fn() } = {}) {
+  const pending = [];
+  const running = new Set();
+
+  // Only reports positions that actually changed, so status messages are not re-edited needlessly
+  const notifyPositions = () => {
+    pending.forEach((job, i) => {
+      if (job.lastPosition === i + 1) return;
+      job.lastPosition = i + 1;
+      if (job.onPosition) Promise.resolve(job.onPosition(i + 1)).catch(() => {});
+    });
+  };
+
+  function start(job) {
+    running.add(job);
+    job.status = 'running';
+    Promise.resolve()
+      .then(() => runInContext(job, () => job.run(job.controller.signal)))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        running.delete(job);
+        job.status = job.controller.signal.aborted ? 'cancelled' : 'finished';
+        pump();
+      });
+  }
+
+  function pump() {
+    while (running.size < concurrency && pending.length > 0) {
+      start(pending.shift());
+    }
+    notifyPositions();
+  }
+
+  function enqueue({ ownerKey, run, onPosition = null }) {
+    const job = { id: randomUUID(), ownerKey, run, onPosition, status: 'queued', controller: new AbortController(), lastPosition: null };
+    job.done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    pending.push(job);
+    pump();
+    return job;
+  }
+
+  // Aborts every queued and running job of an owner; returns how many of each were hit
+  function cancel(ownerKey) {
+    let queued = 0;
+    let active = 0;
+
+    for (let i = pending.length - 1; i >= 0; i--) {
+      if (pending[i].ownerKey !== ownerKey) continue;
+      const [job] = pending.splice(i, 1);
+      job.status = 'cancelled';
+      job.controller.abort();
+      job.reject(job.controller.signal.reason);
+      queued++;
+    }
+
+    running.forEach(job => {
+      if (job.ownerKey === ownerKey && !job.controller.signal.aborted) {
+        job.controller.abort();
+        active++;
+      }
+    });
+
+    if (queued > 0) notifyPositions();
+    return { queued, running: active };
+  }
+
+  function stats() {
+    return { running: running.size, queued: pending.length, concurrency };
+  }
+
+  return { enqueue, cancel, stats };
+}
@@ -0,0 +1,201 @@
+import axios from 'axios';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 🧠 LLM BACKENDS (Gemini + OpenAI-compatible, key health, model fallback)
+// ======================================================================
+// Request content uses the Gemini-style array shared across the bot: plain
+// strings for text and { inlineData: { data, mimeType } } for binary parts.
+// Chat history is a list of { role: 'user' | 'model', parts } turns in the same format.
+// onAttempt({ provider, model, keyIndex, ok, status, usage }) is called after every key tried.
+
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+const isRetryableStatus = (status) => status === 429 || (status >= 500 && status < 600);
+
+function getErrorStatus(error) {
+  return error.status || (error.response && error.response.status) || null;
+}
+
+const toGeminiPart = (part) => (typeof part === 'string' ? { text: part } : part);
+
+function createGeminiProvider() {
+  return {
+    name: 'gemini',
+    async generate({ apiKey, model, requestContent, systemInstruction, history, signal }) {
+      const genAI = new GoogleGenerativeAI(apiKey);
+      const modelConfig = { model };
+      if (systemInstruction) {
+        modelConfig.systemInstruction = systemInstruction;
+      }
+
+      const generativeModel = genAI.getGenerativeModel(modelConfig);
+      const result = history && history.length > 0
+        ? await generativeModel
+          .startChat({ history: history.map(turn => ({ role: turn.role, parts: turn.parts.map(toGeminiPart) })) })
+          .sendMessage(requestContent, { signal })
+        : await generativeModel.generateContent(requestContent, { signal });
+      const usage = result.response.usageMetadata;
+      return {
+        text: result.response.text(),
+        usage: usage ? { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 } : null
+      };
+    }
+  };
+}
+
+const OPENAI_AUDIO_FORMATS = { 'audio/mpeg': 'mp3', 'audio/mp3': 'mp3', 'audio/wav': 'wav', 'audio/x-wav': 'wav' };
+
+function toOpenAiPart(part) {
+  if (typeof part === 'string') return { type: 'text', text: part };
+
+  const { data, mimeType } = part.inlineData;
+  if (mimeType.startsWith('image/')) {
+    return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data}` } };
+  }
+  if (OPENAI_AUDIO_FORMATS[mimeType]) {
+    return { type: 'input_audio', input_audio: { data, format: OPENAI_AUDIO_FORMATS[mimeType] } };
+  }
+  return {
+    type: 'file',
+    file: { filename: `attachment.${mimeType.split('/')[1] || 'bin'}`, file_data: `data:${mimeType};base64,${data}` }
+  };
+}
+
+function createOpenAiProvider({ baseUrl, timeoutMs }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'openai',
+    async generate({ apiKey, model, requestContent, systemInstruction, history, signal }) {
+      const messages = [];
+      if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+      (history || []).forEach(turn => {
+        if (turn.role === 'model') {
+          messages.push({ role: 'assistant', content: turn.parts.filter(p => typeof p === 'string').join('\n') });
+        } else {
+          messages.push({ role: 'user', content: turn.parts.map(toOpenAiPart) });
+        }
+      });
+      messages.push({ role: 'user', content: requestContent.map(toOpenAiPart) });
+
+      const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+      const response = await axios.post(endpoint, { model, messages }, { headers, timeout: timeoutMs, signal });
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      const usage = response.data && response.data.usage;
+      return {
+        text: (choice && choice.message && choice.message.content) || '',
+        usage: usage ? { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 } : null
+      };
+    }
+  };
+}
+
+// Where each provider's keys come from (see getApiKeys in config.js)
+const KEY_VARIABLES = { gemini: 'GEMINI_API_KEYS', openai: 'OPENAI_API_KEYS' };
+
+export function createLlmBackend({
+  provider = 'gemini',
+  apiKeys = [],
+  models = [],
+  baseUrl = '',
+  requestTimeoutMs = 180000,
+  cooldownBaseMs = 5000,
+  cooldownMaxMs = 300000,
+  maxWaitMs = 5000,
+  logger = createLogger(),
+  onAttempt = null
+}) {
+  let impl;
+  if (provider === 'gemini') impl = createGeminiProvider();
+  else if (provider === 'openai') impl = createOpenAiProvider({ baseUrl, timeoutMs: requestTimeoutMs });
+  else throw new Error(`Unknown LLM provider "${provider}". Use 'gemini' or 'openai'.`);
+
+  // Local OpenAI-compatible servers usually run without a key
+  const keys = apiKeys.length === 0 && provider === 'openai' ? [''] : apiKeys;
+
+  // Health is tracked per key and model because rate limits are per-model quotas
+  const health = new Map();
+  const healthOf = (keyIndex, model) => {
+    const id = `${keyIndex}|${model}`;
+    if (!health.has(id)) health.set(id, { failures: 0, cooldownUntil: 0 });
+    return health.get(id);
+  };
+
+  const markFailure = (state, status) => {
+    state.failures++;
+    if (isRetryableStatus(status)) {
+      state.cooldownUntil = Date.now() + Math.min(cooldownBaseMs * 2 ** (state.failures - 1), cooldownMaxMs);
+    }
+  };
+
+  const markSuccess = (state) => {
+    state.failures = 0;
+    state.cooldownUntil = 0;
+  };
+
+  async function generate(requestContent, systemInstruction, { signal, history = null } = {}) {
+    if (keys.length === 0) {
+      throw new Error(`No API keys configured! Check the ${KEY_VARIABLES[provider]} variable.`);
+    }
+
+    let lastErrorMsg = '';
+
+    for (let m = 0; m < models.length; m++) {
+      const model = models[m];
+      if (m > 0) {
+        logger.warn({ model }, `⚠️ Model fallback: Trying ${model}...`);
+      }
+
+      let candidates = keys.map((_, i) => i).filter(i => healthOf(i, model).cooldownUntil <= Date.now());
+
+      if (candidates.length === 0) {
+        // Every key is cooling down: move on to the next model, or wait briefly if this is the last one
+        const soonest = keys.map((_, i) => i).sort((a, b) => healthOf(a, model).cooldownUntil - healthOf(b, model).cooldownUntil)[0];
+        const waitMs = healthOf(soonest, model).cooldownUntil - Date.now();
+        if (waitMs > maxWaitMs || m < models.length - 1) {
+          lastErrorMsg = `All keys for ${model} are cooling down (${Math.ceil(waitMs / 1000)}s left)`;
+          logger.warn({ model, waitMs }, `⏸️ ${lastErrorMsg}`);
+          continue;
+        }
+        await sleep(Math.max(waitMs, 0));
+        if (signal) signal.throwIfAborted();
+        candidates = [soonest];
+      }
+
+      for (const i of candidates) {
+        const state = healthOf(i, model);
+        if (signal) signal.throwIfAborted();
+        try {
+          const result = await impl.generate({ apiKey: keys[i], model, requestContent, systemInstruction, history, signal });
+          if (!result.text) {
+            throw new Error('Received empty response from API');
+          }
+          markSuccess(state);
+          if (onAttempt) onAttempt({ provider: impl.name, model, keyIndex: i, ok: true, status: null, usage: result.usage });
+          return { ...result, model, provider: impl.name };
+        } catch (error) {
+          // A cancelled job is not the key's fault
+          if (signal && signal.aborted) throw signal.reason;
+          const status = getErrorStatus(error);
+          markFailure(state, status);
+          lastErrorMsg = error.message;
+          if (onAttempt) onAttempt({ provider: impl.name, model, keyIndex: i, ok: false, status, usage: null });
+          logger.error({ key: i + 1, model, status, err: error.message }, `❌ Key #${i + 1} failed on ${model}${status ? ` (HTTP ${status})` : ''}`);
+        }
+      }
+    }
+
+    throw new Error(`All API keys failed. Last error: ${lastErrorMsg}`);
+  }
+
+  // Snapshot of key/model health for status reporting
+  function getHealth() {
+    return [...health.entries()].map(([id, state]) => {
+      const [keyIndex, model] = id.split('|');
+      return { key: Number(keyIndex) + 1, model, failures: state.failures, coolingDownMs: Math.max(state.cooldownUntil - Date.now(), 0) };
+    });
+  }
+
+  return { provider: impl.name, models, keyCount: keys.length, generate, getHealth };
+}
@@ -0,0 +1,293 @@
+// ======================================================================
+// 🇬🇧 ENGLISH (Reference catalog; every key used by the bot is defined here)
+// ======================================================================
+// {name} placeholders are filled by translate() in i18n.js. Strings sent with
+// parse_mode Markdown keep their *bold* and `code` markers in every language.
+
+export const en = {
+  // Start / help
+  'help': `Step 1: Upload Your Clinical Context
+
+Simply send your patient documents directly to the bot. You can upload multiple
+items one after the other:
+
+  - Images: Photos of clinical sheets, handwritten notes, or prior scan results.
+  - PDFs: Typed lab reports, pathology findings, or prior imaging reports.
+  - Other documents: DOCX letters and TXT exports (read as text notes), scans
+    sent "as file" (JPEG/PNG/WEBP) and iPhone HEIC photos.
+  - DICOM: Single .dcm files or a .zip of a series. Patient identifiers are
+    removed; a few representative slices are rendered along with the modality,
+    study description and date.
+  - Audio/Voice Notes: Voice dictations explaining the clinical background.
+  - Videos: Video recordings of CT/MRI scan scroll-throughs (any spoken
+    narration is transcribed too).
+  - Text: Typed notes containing clinical history or indications.
+
+Notes and voice dictations may be in English, Hindi, Tamil or a mix of them.
+
+The bot will acknowledge each item and add it to your temporary queue. Telegram
+lets bots download files up to {maxDownload}, and a queue holds up to {maxItems} items
+or {maxBytes} in total (see /status).
+
+/list shows each queued item; /remove <n> or /undo drops one and /edit <n> <text>
+rewrites a text note. Before an idle queue is cleared, the bot offers to keep it
+for another {keepMinutes} minutes.
+
+ Step 2: Trigger the Analysis
+
+Once your files are uploaded, send one of the following short commands as a text
+message to initiate processing:
+
+  - Send a single dot (.)
+    Generates a Standard Clinical Profile (Step 1) along with the Quick
+    Reference Metadata card. (Extracts video frames at a default of 3 frames per
+    second).
+
+  - Send a double dot (..)
+    Generates a Chained Secondary Analysis. The bot first generates the clinical
+    profile, then automatically passes that profile to this chat's analysis
+    persona (an expert radiologist by default; change it with /mode).
+
+  - Pick the analysis with a suffix ({suffixes})
+    For example, ..mri plans the MRI protocol and ..ddx lists differentials.
+    Send /mode to see every analysis.
+
+  - Adjust Video Frame Rates (.1, .2, .3 or ..1, ..mri2, ...)
+    If your queue contains video files, you can modify the frame extraction
+    density. For example, sending .1 extracts 1 frame per second (better for
+    slow-scrolling videos), while .3 extracts 3 frames per second (best for
+    fast-scrolling videos).
+
+  - Force a fresh run (.!, ..!, ..mri2!)
+    Sending the same files with the same settings again returns the stored
+    profile instantly, marked as cached. Add ! to the trigger to run it anew.
+
+ Step 3: Refine the Result
+
+Every profile comes with buttons: Secondary analysis, Regenerate, More concise and
+Shorter brief. They reuse that case's files and profile, so nothing has to be
+uploaded again (files are kept for {retentionHours} hours).
+
+The PDF, DOCX and TXT buttons (or /export pdf, /export docx, /export txt, also as
+a reply to a profile) send the profile, Quick Reference and analysis as a document.
+
+ Step 4: Ask Follow-up Questions
+
+Reply to a profile message with a question (e.g. "what MRI sequences for this?").
+The bot answers from that case's files and profile; reply to its answer to keep
+the conversation going (up to {followupTurns} questions).
+
+ Patient History
+
+Profiles are filed under the MRN found in the documents. /history <MRN> lists the
+earlier profiles, and /compare on makes new profiles for a known MRN call out the
+interval changes since the previous one.
+
+ Group Chats
+
+Each member has their own queue, and a dot only processes the sender's files.
+Mention the bot or start a note with {notePrefix} so ordinary chatter is not queued.
+
+ Usage Limits
+
+Every run (dot commands, profile buttons and follow-up questions) counts toward
+your hourly run limit, and the files it sends count toward the daily media item
+and video minute limits. /usage shows what you have used and when it resets.
+
+ Language
+
+/lang hi or /lang ta shows the bot's messages in Hindi or Tamil (/lang en for
+English). With /lang output mixed (the default) the Clinical Profile stays in
+English while the brief, secondary analysis and follow-up answers are written in
+your language; /lang output all translates the profile too, and /lang output
+english keeps everything the model writes in English.
+
+
+ `,
+
+  // Access
+  'access.denied': '⛔ Access denied.',
+  'access.roleDenied': '⛔ Your role ({role}) does not allow this action.',
+  'access.requested': '🔒 This bot is restricted. Your access request has been sent to the administrator.',
+  'access.pending': '⏳ Your access request is still pending approval.',
+  'access.none': '⛔ You do not have access to this bot. Please contact the administrator.',
+  'access.approved': '✅ Your access has been approved (role: {role}). Send /start to begin.',
+  'access.roleChanged': '🔁 Your role has been changed to {role}.',
+  'access.rejected': '❌ Your access request was denied.',
+
+  // Queue
+  'queue.yours': 'Your',
+  'queue.expiryWarning': '⏳ {owner} queue of {count} item(s) will be cleared in {seconds} seconds due to inactivity.',
+  'queue.keepButton': 'Keep for {minutes} more minutes',
+  'queue.timeout': '⏰ *Buffer Timeout:* {owner} pending {count} files were cleared due to inactivity. Please upload them again.',
+  'queue.kept': '✅ Queue of {count} item(s) kept for {minutes} more minutes.',
+  'queue.keepNotOwner': '⛔ Only the owner of this queue can keep it.',
+  'queue.keepGone': 'ℹ️ This queue was already cleared or processed.',
+  'queue.full': '⚠️ Buffer is full ({max} items). Clear using /clear or process using *.*',
+  'queue.noRoom': '⚠️ This file does not fit: your queue holds {used} of {max}. Process the current files with *.* or /clear them first.',
+  'queue.cleared': '🗑️ Cleared {count} items from your buffer.',
+  'queue.empty': 'ℹ️ Your queue is empty.',
+  'queue.emptyShort': 'Your queue is empty.',
+  'queue.listHeader': '🗂️ Your queue ({count} items, {size}):',
+  'queue.listFooter': '/remove <n> or /undo drops an item, /edit <n> <text> rewrites a text note.',
+  'queue.dicomImages': '{count} key images',
+  'queue.pickItem': 'Pick an item between 1 and {max} (see /list).',
+  'queue.removed': '🗑️ Removed item {number} ({type}). Queue count: {count}',
+  'queue.removeUsage': 'Usage: /remove <n>',
+  'queue.undoEmpty': 'ℹ️ Your queue is empty, nothing to undo.',
+  'queue.undone': '↩️ Removed the last item ({type}). Queue count: {count}',
+  'queue.editNotText': 'Item {number} is a {type}; only text notes can be edited.',
+  'queue.editNoText': 'Give the new text after the item number.',
+  'queue.edited': '✏️ Text note {number} updated.',
+  'queue.editUsage': 'Usage: /edit <n> <new text>',
+
+  // Status
+  'status.report': `📊 *Buffer Status:*
+📷 Images: {images}
+🩻 DICOM Studies: {dicom}
+📄 PDFs: {pdfs}
+🎵 Audio/Voice: {audio}
+🎬 Videos: {video}{videoNote}
+📝 Text Notes: {texts}
+━━━━━━━━━━
+📦 Total buffered: {count} / {maxItems} items, {size} / {maxSize}
+🎭 \`..\` runs: {persona}
+🌐 Language: {language}`,
+  'status.videoAudio': ' (frames + narration audio)',
+
+  // Uploads
+  'upload.downloading': '📥 Downloading file...',
+  'upload.tooBig': '⚠️ Telegram only lets bots download files up to {limit}. Please send a smaller version: trim or compress the video, send a PDF\'s pages as photos, or zip fewer DICOM files.',
+  'upload.thisOne': '(This one is {size}.)',
+  'upload.unsupported': '⚠️ Unsupported file type{fileName}. Supported documents: {supported}.',
+  'upload.asTextNote': '{type} as a text note',
+  'upload.dicom': 'DICOM ({images} key image(s) from {series} series, identifiers removed)',
+  'upload.added': '📎 Added {item} to queue. Queue count: *{count}*',
+  'upload.noteAdded': '📝 Text note added to buffer. Queue count: *{count}*',
+  'upload.failed': '❌ Failed to buffer file: {error}',
+
+  // Jobs and pipeline stages
+  'job.waiting': '🕒 Waiting in queue (position {position}). Send /cancel to abort.',
+  'job.cancelled': '🛑 Cancelled.',
+  'job.failed': '❌ Processing Failed: {error}',
+  'job.none': 'ℹ️ You have no queued or running jobs.',
+  'job.cancelling': '🛑 Cancelling {running} running and {queued} queued job(s).',
+  'stage.frames': 'Extracting video frames',
+  'stage.profile': 'Step 1: Compiling clinical profile',
+  'stage.comparison': 'Comparing with the previous study',
+  'stage.secondary': 'Step 2: Secondary analysis',
+  'stage.rewrite': 'Rewriting clinical profile',
+  'stage.brief': 'Shortening brief',
+  'stage.documents': 'Loading case documents',
+  'stage.answer': 'Answering',
+
+  // Triggers
+  'trigger.unknownAnalysis': '⚠️ Unknown analysis "..{suffix}". Send /mode to see the available ones.',
+  'trigger.emptyQueue': 'ℹ️ Buffer empty. Please upload some files or type some context first!',
+  'trigger.profileLabel': 'Clinical Profile',
+  'trigger.chainedLabel': 'Chained {name}',
+  'trigger.title': '{label} ({count} files, {fps} FPS)',
+  'trigger.running': '⏳ Running {label} on {count} files (Smart {fps} FPS)...',
+  'process.cancelled': '🛑 Processing cancelled.',
+  'process.failed': '❌ Error processing request: {error}',
+
+  // Profile replies
+  'profile.quickReference': '📋 *Quick Reference:*',
+  'profile.mrn': 'MRN/Reg No',
+  'profile.age': 'Age',
+  'profile.sex': 'Sex',
+  'profile.study': 'Study',
+  'profile.brief': 'Brief',
+  'profile.notMentioned': 'Not mentioned',
+  'profile.videoFrames': '🎞️ Video frames: kept {kept} of {extracted} extracted',
+  'profile.framesDropped': ' ({dropped} near-duplicate or over-budget frames dropped)',
+  'profile.comparedWith': '🔁 Compared with the previous profile from {date}{study}',
+  'profile.cached': '♻️ Cached result: the same files and settings were processed on {date}. Press Regenerate or add ! to the trigger (e.g. .!) for a fresh run.',
+  'profile.stepOne': '📝 *Clinical Profile (Step 1):*',
+  'profile.stepTwo': '🧠 *{name} (Step 2):*',
+  'profile.concise': '✂️ *More Concise Profile:*',
+  'profile.shorterBrief': '📋 *Shorter Brief:*',
+  'profile.footer': `━━━━━━━━━━━━━━━━━━━━━━
+🤖 *Copy-paste the clinical profile here to get suggestions regarding MRI protocols:*
+{protocolAppUrl}
+
+📚 *MRI protocol books*
+{protocolBooksUrl}`,
+
+  // Profile buttons
+  'action.secondary': '🧠 Secondary analysis',
+  'action.regen': '🔄 Regenerate',
+  'action.concise': '✂️ More concise',
+  'action.brief': '📋 Shorter brief',
+  'case.unavailable': '⚠️ This case is no longer available.',
+  'case.secondaryShown': 'ℹ️ The secondary analysis is already above.',
+  'case.noBrief': '⚠️ This profile has no Quick Reference brief.',
+  'case.inputsGone': 'The original files of this case are no longer retained. Please upload them again.',
+
+  // Personas, history and comparison
+  'mode.list': '🎭 *Analysis personas*\n\n{lines}\n\nSend `/mode <id or suffix>` to change this chat\'s default for `..`.',
+  'mode.unknown': '⚠️ Unknown persona "{wanted}". Send /mode to see the available ones.',
+  'mode.set': '🎭 Default analysis for this chat is now *{name}*. Plain `..` will use it.',
+  'mode.saveFailed': '❌ Could not save the chat default: {error}',
+  'history.usage': 'ℹ️ Usage: /history <MRN>',
+  'history.none': '🗂️ No profiles on record for that MRN.',
+  'history.noStudy': 'Study not mentioned',
+  'history.newest': ' (newest {shown} of {total})',
+  'history.header': '🗂️ *History for MRN {mrn}*{more}',
+  'history.failed': '❌ Could not load history: {error}',
+  'compare.on': 'on',
+  'compare.off': 'off',
+  'compare.status': '🔁 Interval comparison is *{state}* in this chat. When on, a new profile for a known MRN is rewritten to call out changes since the previous profile.\n\nUse /compare on or /compare off.',
+  'compare.set': '🔁 Interval comparison turned *{state}* for this chat.',
+  'compare.saveFailed': '❌ Could not save the chat setting: {error}',
+
+  // Export
+  'export.caption': '📄 Clinical profile ({format})',
+  'export.unknownFormat': '⚠️ Unknown format "{format}". Use {options}.',
+  'export.nothing': 'ℹ️ No profile to export. Run a case first, or reply to a profile message with /export.',
+  'export.failed': '❌ Export failed: {error}',
+  'export.denied': '⛔ Your role does not allow exports.',
+  'export.preparing': '📄 Preparing {format}...',
+
+  // Follow-ups
+  'followup.unavailable': '⚠️ This case is no longer available for follow-up questions.',
+  'followup.expired': '⌛ This conversation has expired. Reply to the profile message to start a new one.',
+  'followup.limit': '🔚 This conversation reached its limit of {max} questions. Reply to the profile message to start a new one.',
+  'followup.title': '💬 Follow-up question',
+  'followup.answer': '💬 *Follow-up ({turn}/{max}):*',
+
+  // Quotas
+  'quota.runsPerHour': 'runs per hour',
+  'quota.mediaItemsPerDay': 'media items per day',
+  'quota.videoMinutesPerDay': 'video minutes per day',
+  'quota.unit.runsPerHour': 'runs',
+  'quota.unit.mediaItemsPerDay': 'media items',
+  'quota.unit.videoMinutesPerDay': 'video minutes',
+  'quota.tooLarge': '⚠️ This request needs {needed} {unit}, more than the limit of {max} {label}. Send fewer or shorter files.',
+  'quota.reachedUser': '⏳ You have reached the limit of {max} {label} ({used} used, this request needs {needed} more). It resets in {wait}.',
+  'quota.reachedGlobal': '⏳ The bot has reached the limit of {max} {label} ({used} used, this request needs {needed} more). It resets in {wait}.',
+  'usage.title': '🚦 Usage',
+  'usage.titleOf': '🚦 Usage of {userId}',
+  'usage.raised': ' (raised limits)',
+  'usage.wholeBot': '🌐 Whole bot',
+  'usage.runsThisHour': 'Runs this hour',
+  'usage.mediaToday': 'Media items today',
+  'usage.videoToday': 'Video minutes today',
+  'usage.noLimit': ' (no limit)',
+  'usage.oldestExpires': ' (oldest expires in {wait})',
+  'usage.dailyReset': 'Daily limits reset in {wait} (midnight UTC).',
+  'usage.week': 'Last 7 days: {runs} runs, {media} media items, {video} video minutes',
+  'usage.othersDenied': '⛔ Only admins can see the usage of other users.',
+  'usage.failed': '❌ Could not load usage: {error}',
+
+  // Language
+  'lang.status': '🌐 *Language:* {language}\n📝 *Model output:* {output}\n\n{languages}\n\n/lang output english | mixed | all\n• english: {english}\n• mixed: {mixed}\n• all: {all}',
+  'lang.output.english': 'everything the model writes stays in English',
+  'lang.output.mixed': 'the Clinical Profile stays in English; the brief, secondary analysis and follow-up answers are in your language',
+  'lang.output.all': 'the Clinical Profile is written in your language too',
+  'lang.set': '🌐 Bot messages are now in *{language}*. Model output: {output}.',
+  'lang.outputSet': '📝 Model output is now *{output}*: {description}.',
+  'lang.unknown': '⚠️ Unknown language "{wanted}". Available: {available}.',
+  'lang.unknownOutput': '⚠️ Unknown output mode "{wanted}". Use english, mixed or all.',
+  'lang.saveFailed': '❌ Could not save your language: {error}'
+};
@@ -0,0 +1,289 @@
+// ======================================================================
+// 🇮🇳 HINDI (हिन्दी)
+// ======================================================================
+// Commands, trigger dots, file types and medical abbreviations stay as they are
+// typed. Missing keys fall back to English (see en.js).
+
+export const hi = {
+  // Start / help
+  'help': `चरण 1: अपना क्लिनिकल संदर्भ अपलोड करें
+
+मरीज़ के दस्तावेज़ सीधे बॉट को भेजें। आप एक के बाद एक कई चीज़ें अपलोड कर सकते हैं:
+
+  - Images: क्लिनिकल शीट, हाथ से लिखे नोट्स या पिछली स्कैन रिपोर्ट की फ़ोटो।
+  - PDFs: टाइप की हुई लैब रिपोर्ट, पैथोलॉजी या पिछली इमेजिंग रिपोर्ट।
+  - अन्य दस्तावेज़: DOCX पत्र और TXT फ़ाइलें (टेक्स्ट नोट की तरह पढ़ी जाती हैं),
+    "file" के रूप में भेजे गए स्कैन (JPEG/PNG/WEBP) और iPhone की HEIC फ़ोटो।
+  - DICOM: एक .dcm फ़ाइल या किसी series की .zip। मरीज़ की पहचान हटा दी जाती
+    है; कुछ प्रतिनिधि slices के साथ modality, study का विवरण और तारीख़ भेजी जाती है।
+  - Audio/Voice Notes: क्लिनिकल पृष्ठभूमि बताने वाले वॉइस नोट।
+  - Videos: CT/MRI स्कैन को स्क्रॉल करते हुए रिकॉर्ड किए गए वीडियो (बोली गई
+    बात भी लिखी जाती है)।
+  - Text: क्लिनिकल हिस्ट्री या संकेत वाले टाइप किए नोट्स।
+
+नोट्स और वॉइस नोट अंग्रेज़ी, हिन्दी, तमिल या इनके मिश्रण में हो सकते हैं।
+
+बॉट हर चीज़ की पुष्टि करके उसे आपकी अस्थायी कतार में जोड़ देगा। Telegram बॉट को
+{maxDownload} तक की फ़ाइलें डाउनलोड करने देता है, और एक कतार में {maxItems} चीज़ें
+या कुल {maxBytes} तक आ सकते हैं (देखें /status)।
+
+/list हर चीज़ दिखाता है; /remove <n> या /undo एक चीज़ हटाता है और /edit <n> <text>
+टेक्स्ट नोट बदलता है। निष्क्रिय कतार हटाने से पहले बॉट उसे {keepMinutes} मिनट और
+रखने का विकल्प देता है।
+
+ चरण 2: विश्लेषण शुरू करें
+
+फ़ाइलें अपलोड होने के बाद, प्रोसेसिंग शुरू करने के लिए इनमें से कोई छोटा कमांड
+टेक्स्ट संदेश में भेजें:
+
+  - एक बिंदु (.) भेजें
+    Quick Reference कार्ड के साथ सामान्य Clinical Profile (चरण 1) बनाता है।
+    (वीडियो से डिफ़ॉल्ट रूप से 3 फ़्रेम प्रति सेकंड लिए जाते हैं।)
+
+  - दो बिंदु (..) भेजें
+    जुड़ा हुआ Secondary Analysis बनाता है। बॉट पहले clinical profile बनाता है,
+    फिर उसे इस चैट के analysis persona को देता है (डिफ़ॉल्ट रूप से एक विशेषज्ञ
+    रेडियोलॉजिस्ट; /mode से बदलें)।
+
+  - suffix से analysis चुनें ({suffixes})
+    उदाहरण: ..mri MRI protocol बनाता है और ..ddx differentials बताता है।
+    सभी analysis देखने के लिए /mode भेजें।
+
+  - वीडियो फ़्रेम रेट बदलें (.1, .2, .3 या ..1, ..mri2, ...)
+    कतार में वीडियो हो तो फ़्रेम की संख्या बदली जा सकती है। जैसे .1 हर सेकंड
+    1 फ़्रेम लेता है (धीमे स्क्रॉल के लिए बेहतर) और .3 हर सेकंड 3 फ़्रेम
+    (तेज़ स्क्रॉल के लिए सबसे अच्छा)।
+
+  - नया रन ज़बरदस्ती करें (.!, ..!, ..mri2!)
+    वही फ़ाइलें उन्हीं सेटिंग्स के साथ दोबारा भेजने पर सहेजा हुआ profile तुरंत
+    मिलता है, cached चिह्न के साथ। नए सिरे से चलाने के लिए trigger में ! जोड़ें।
+
+ चरण 3: परिणाम सुधारें
+
+हर profile के साथ बटन आते हैं: Secondary analysis, Regenerate, More concise और
+Shorter brief। ये उसी केस की फ़ाइलें और profile इस्तेमाल करते हैं, इसलिए कुछ भी
+दोबारा अपलोड नहीं करना पड़ता (फ़ाइलें {retentionHours} घंटे रखी जाती हैं)।
+
+PDF, DOCX और TXT बटन (या /export pdf, /export docx, /export txt, profile के जवाब
+में भी) profile, Quick Reference और analysis को दस्तावेज़ के रूप में भेजते हैं।
+
+ चरण 4: आगे के सवाल पूछें
+
+किसी profile संदेश का जवाब सवाल के साथ दें (जैसे "इसके लिए कौन से MRI sequences?")।
+बॉट उस केस की फ़ाइलों और profile से जवाब देता है; बातचीत जारी रखने के लिए उसके
+जवाब पर reply करें ({followupTurns} सवालों तक)।
+
+ मरीज़ का इतिहास
+
+Profiles दस्तावेज़ों में मिले MRN के अंतर्गत सहेजे जाते हैं। /history <MRN> पिछले
+profiles दिखाता है, और /compare on से किसी ज्ञात MRN के नए profile में पिछले
+profile के बाद हुए बदलाव बताए जाते हैं।
+
+ ग्रुप चैट
+
+हर सदस्य की अपनी कतार होती है, और बिंदु केवल भेजने वाले की फ़ाइलें प्रोसेस करता
+है। बॉट को mention करें या नोट को {notePrefix} से शुरू करें ताकि आम बातचीत कतार में न जाए।
+
+ उपयोग सीमाएँ
+
+हर रन (बिंदु कमांड, profile बटन और आगे के सवाल) आपकी प्रति घंटा रन सीमा में गिना
+जाता है, और उसमें भेजी गई फ़ाइलें दैनिक media item और video minute सीमाओं में।
+/usage बताता है कि आपने कितना इस्तेमाल किया और सीमा कब रीसेट होगी।
+
+ भाषा
+
+/lang hi या /lang ta से बॉट के संदेश हिन्दी या तमिल में आते हैं (अंग्रेज़ी के लिए
+/lang en)। /lang output mixed (डिफ़ॉल्ट) में Clinical Profile अंग्रेज़ी में रहता है
+और brief, secondary analysis व आगे के सवालों के जवाब आपकी भाषा में लिखे जाते हैं;
+/lang output all से profile भी अनुवादित होता है, और /lang output english से मॉडल
+सब कुछ अंग्रेज़ी में लिखता है।
+
+
+ `,
+
+  // Access
+  'access.denied': '⛔ पहुँच अस्वीकृत।',
+  'access.roleDenied': '⛔ आपकी भूमिका ({role}) यह कार्य करने की अनुमति नहीं देती।',
+  'access.requested': '🔒 यह बॉट प्रतिबंधित है। आपका पहुँच अनुरोध व्यवस्थापक को भेज दिया गया है।',
+  'access.pending': '⏳ आपका पहुँच अनुरोध अभी स्वीकृति की प्रतीक्षा में है।',
+  'access.none': '⛔ आपको इस बॉट की पहुँच नहीं है। कृपया व्यवस्थापक से संपर्क करें।',
+  'access.approved': '✅ आपकी पहुँच स्वीकृत हो गई है (भूमिका: {role})। शुरू करने के लिए /start भेजें।',
+  'access.roleChanged': '🔁 आपकी भूमिका बदलकर {role} कर दी गई है।',
+  'access.rejected': '❌ आपका पहुँच अनुरोध अस्वीकार कर दिया गया।',
+
+  // Queue
+  'queue.yours': 'आपकी',
+  'queue.expiryWarning': '⏳ {owner} कतार की {count} चीज़ें निष्क्रियता के कारण {seconds} सेकंड में हटा दी जाएँगी।',
+  'queue.keepButton': '{minutes} मिनट और रखें',
+  'queue.timeout': '⏰ *कतार का समय समाप्त:* {owner} कतार की {count} फ़ाइलें निष्क्रियता के कारण हटा दी गईं। कृपया उन्हें फिर से अपलोड करें।',
+  'queue.kept': '✅ {count} चीज़ों की कतार {minutes} मिनट और रखी जाएगी।',
+  'queue.keepNotOwner': '⛔ केवल इस कतार का मालिक ही इसे रख सकता है।',
+  'queue.keepGone': 'ℹ️ यह कतार पहले ही हटाई या प्रोसेस की जा चुकी है।',
+  'queue.full': '⚠️ कतार भरी हुई है ({max} चीज़ें)। /clear से खाली करें या *.* से प्रोसेस करें',
+  'queue.noRoom': '⚠️ यह फ़ाइल नहीं समाएगी: आपकी कतार में {max} में से {used} भरा है। पहले मौजूदा फ़ाइलों को *.* से प्रोसेस करें या /clear करें।',
+  'queue.cleared': '🗑️ आपकी कतार से {count} चीज़ें हटा दी गईं।',
+  'queue.empty': 'ℹ️ आपकी कतार खाली है।',
+  'queue.emptyShort': 'आपकी कतार खाली है।',
+  'queue.listHeader': '🗂️ आपकी कतार ({count} चीज़ें, {size}):',
+  'queue.listFooter': '/remove <n> या /undo एक चीज़ हटाता है, /edit <n> <text> टेक्स्ट नोट बदलता है।',
+  'queue.dicomImages': '{count} मुख्य images',
+  'queue.pickItem': '1 से {max} के बीच कोई चीज़ चुनें (देखें /list)।',
+  'queue.removed': '🗑️ चीज़ {number} ({type}) हटा दी गई। कतार में: {count}',
+  'queue.removeUsage': 'उपयोग: /remove <n>',
+  'queue.undoEmpty': 'ℹ️ आपकी कतार खाली है, हटाने को कुछ नहीं है।',
+  'queue.undone': '↩️ आख़िरी चीज़ ({type}) हटा दी गई। कतार में: {count}',
+  'queue.editNotText': 'चीज़ {number} एक {type} है; केवल टेक्स्ट नोट बदले जा सकते हैं।',
+  'queue.editNoText': 'चीज़ की संख्या के बाद नया टेक्स्ट लिखें।',
+  'queue.edited': '✏️ टेक्स्ट नोट {number} बदल दिया गया।',
+  'queue.editUsage': 'उपयोग: /edit <n> <नया टेक्स्ट>',
+
+  // Status
+  'status.report': `📊 *कतार की स्थिति:*
+📷 Images: {images}
+🩻 DICOM Studies: {dicom}
+📄 PDFs: {pdfs}
+🎵 Audio/Voice: {audio}
+🎬 Videos: {video}{videoNote}
+📝 टेक्स्ट नोट: {texts}
+━━━━━━━━━━
+📦 कुल: {count} / {maxItems} चीज़ें, {size} / {maxSize}
+🎭 \`..\` चलाता है: {persona}
+🌐 भाषा: {language}`,
+  'status.videoAudio': ' (फ़्रेम + आवाज़)',
+
+  // Uploads
+  'upload.downloading': '📥 फ़ाइल डाउनलोड हो रही है...',
+  'upload.tooBig': '⚠️ Telegram बॉट को केवल {limit} तक की फ़ाइलें डाउनलोड करने देता है। कृपया छोटा संस्करण भेजें: वीडियो को छोटा या compress करें, PDF के पन्ने फ़ोटो के रूप में भेजें, या कम DICOM फ़ाइलों की zip बनाएँ।',
+  'upload.thisOne': '(यह फ़ाइल {size} की है।)',
+  'upload.unsupported': '⚠️ असमर्थित फ़ाइल प्रकार{fileName}। समर्थित दस्तावेज़: {supported}।',
+  'upload.asTextNote': '{type} टेक्स्ट नोट के रूप में',
+  'upload.dicom': 'DICOM ({series} series से {images} मुख्य image, पहचान हटाई गई)',
+  'upload.added': '📎 {item} कतार में जोड़ा गया। कतार में: *{count}*',
+  'upload.noteAdded': '📝 टेक्स्ट नोट कतार में जोड़ा गया। कतार में: *{count}*',
+  'upload.failed': '❌ फ़ाइल कतार में नहीं जुड़ सकी: {error}',
+
+  // Jobs and pipeline stages
+  'job.waiting': '🕒 कतार में प्रतीक्षा (स्थान {position})। रोकने के लिए /cancel भेजें।',
+  'job.cancelled': '🛑 रद्द किया गया।',
+  'job.failed': '❌ प्रोसेसिंग विफल: {error}',
+  'job.none': 'ℹ️ आपका कोई काम कतार में या चालू नहीं है।',
+  'job.cancelling': '🛑 {running} चालू और {queued} प्रतीक्षारत काम रद्द किए जा रहे हैं।',
+  'stage.frames': 'वीडियो फ़्रेम निकाले जा रहे हैं',
+  'stage.profile': 'चरण 1: clinical profile बनाया जा रहा है',
+  'stage.comparison': 'पिछली study से तुलना',
+  'stage.secondary': 'चरण 2: Secondary analysis',
+  'stage.rewrite': 'clinical profile दोबारा लिखा जा रहा है',
+  'stage.brief': 'brief छोटा किया जा रहा है',
+  'stage.documents': 'केस के दस्तावेज़ लोड हो रहे हैं',
+  'stage.answer': 'जवाब तैयार हो रहा है',
+
+  // Triggers
+  'trigger.unknownAnalysis': '⚠️ अज्ञात analysis "..{suffix}"। उपलब्ध विकल्प देखने के लिए /mode भेजें।',
+  'trigger.emptyQueue': 'ℹ️ कतार खाली है। पहले कुछ फ़ाइलें अपलोड करें या संदर्भ लिखें!',
+  'trigger.profileLabel': 'Clinical Profile',
+  'trigger.chainedLabel': 'जुड़ा हुआ {name}',
+  'trigger.title': '{label} ({count} फ़ाइलें, {fps} FPS)',
+  'trigger.running': '⏳ {count} फ़ाइलों पर {label} चल रहा है (Smart {fps} FPS)...',
+  'process.cancelled': '🛑 प्रोसेसिंग रद्द की गई।',
+  'process.failed': '❌ अनुरोध प्रोसेस करने में त्रुटि: {error}',
+
+  // Profile replies
+  'profile.quickReference': '📋 *Quick Reference:*',
+  'profile.mrn': 'MRN/पंजीकरण संख्या',
+  'profile.age': 'आयु',
+  'profile.sex': 'लिंग',
+  'profile.study': 'Study',
+  'profile.brief': 'संक्षेप',
+  'profile.notMentioned': 'उल्लेख नहीं',
+  'profile.videoFrames': '🎞️ वीडियो फ़्रेम: {extracted} में से {kept} रखे गए',
+  'profile.framesDropped': ' ({dropped} लगभग-एक-जैसे या सीमा से अधिक फ़्रेम हटाए गए)',
+  'profile.comparedWith': '🔁 {date} के पिछले profile से तुलना की गई{study}',
+  'profile.cached': '♻️ Cached परिणाम: यही फ़ाइलें और सेटिंग्स {date} को प्रोसेस की गई थीं। नए रन के लिए Regenerate दबाएँ या trigger में ! जोड़ें (जैसे .!)।',
+  'profile.stepOne': '📝 *Clinical Profile (चरण 1):*',
+  'profile.stepTwo': '🧠 *{name} (चरण 2):*',
+  'profile.concise': '✂️ *अधिक संक्षिप्त Profile:*',
+  'profile.shorterBrief': '📋 *छोटा Brief:*',
+  'profile.footer': `━━━━━━━━━━━━━━━━━━━━━━
+🤖 *MRI protocol के सुझाव पाने के लिए clinical profile यहाँ copy-paste करें:*
+{protocolAppUrl}
+
+📚 *MRI protocol पुस्तकें*
+{protocolBooksUrl}`,
+
+  // Profile buttons
+  'action.secondary': '🧠 Secondary analysis',
+  'action.regen': '🔄 फिर से बनाएँ',
+  'action.concise': '✂️ अधिक संक्षिप्त',
+  'action.brief': '📋 छोटा brief',
+  'case.unavailable': '⚠️ यह केस अब उपलब्ध नहीं है।',
+  'case.secondaryShown': 'ℹ️ Secondary analysis ऊपर पहले से है।',
+  'case.noBrief': '⚠️ इस profile में Quick Reference brief नहीं है।',
+  'case.inputsGone': 'इस केस की मूल फ़ाइलें अब सहेजी नहीं हैं। कृपया उन्हें फिर से अपलोड करें।',
+
+  // Personas, history and comparison
+  'mode.list': '🎭 *Analysis personas*\n\n{lines}\n\n`..` के लिए इस चैट का डिफ़ॉल्ट बदलने के लिए `/mode <id या suffix>` भेजें।',
+  'mode.unknown': '⚠️ अज्ञात persona "{wanted}"। उपलब्ध विकल्प देखने के लिए /mode भेजें।',
+  'mode.set': '🎭 इस चैट का डिफ़ॉल्ट analysis अब *{name}* है। सादा `..` इसी का उपयोग करेगा।',
+  'mode.saveFailed': '❌ चैट का डिफ़ॉल्ट सहेजा नहीं जा सका: {error}',
+  'history.usage': 'ℹ️ उपयोग: /history <MRN>',
+  'history.none': '🗂️ इस MRN का कोई profile रिकॉर्ड में नहीं है।',
+  'history.noStudy': 'Study का उल्लेख नहीं',
+  'history.newest': ' ({total} में से नवीनतम {shown})',
+  'history.header': '🗂️ *MRN {mrn} का इतिहास*{more}',
+  'history.failed': '❌ इतिहास लोड नहीं हो सका: {error}',
+  'compare.on': 'चालू',
+  'compare.off': 'बंद',
+  'compare.status': '🔁 इस चैट में interval comparison *{state}* है। चालू होने पर, किसी ज्ञात MRN का नया profile पिछले profile के बाद हुए बदलाव बताने के लिए दोबारा लिखा जाता है।\n\n/compare on या /compare off का उपयोग करें।',
+  'compare.set': '🔁 इस चैट के लिए interval comparison *{state}* किया गया।',
+  'compare.saveFailed': '❌ चैट की सेटिंग सहेजी नहीं जा सकी: {error}',
+
+  // Export
+  'export.caption': '📄 Clinical profile ({format})',
+  'export.unknownFormat': '⚠️ अज्ञात फ़ॉर्मेट "{format}"। {options} का उपयोग करें।',
+  'export.nothing': 'ℹ️ export करने के लिए कोई profile नहीं है। पहले कोई केस चलाएँ, या किसी profile संदेश के जवाब में /export भेजें।',
+  'export.failed': '❌ Export विफल: {error}',
+  'export.denied': '⛔ आपकी भूमिका export की अनुमति नहीं देती।',
+  'export.preparing': '📄 {format} तैयार हो रहा है...',
+
+  // Follow-ups
+  'followup.unavailable': '⚠️ यह केस अब आगे के सवालों के लिए उपलब्ध नहीं है।',
+  'followup.expired': '⌛ यह बातचीत समाप्त हो चुकी है। नई बातचीत शुरू करने के लिए profile संदेश का जवाब दें।',
+  'followup.limit': '🔚 यह बातचीत {max} सवालों की सीमा तक पहुँच गई है। नई बातचीत शुरू करने के लिए profile संदेश का जवाब दें।',
+  'followup.title': '💬 आगे का सवाल',
+  'followup.answer': '💬 *आगे का सवाल ({turn}/{max}):*',
+
+  // Quotas
+  'quota.runsPerHour': 'रन प्रति घंटा',
+  'quota.mediaItemsPerDay': 'media items प्रति दिन',
+  'quota.videoMinutesPerDay': 'वीडियो मिनट प्रति दिन',
+  'quota.unit.runsPerHour': 'रन',
+  'quota.unit.mediaItemsPerDay': 'media items',
+  'quota.unit.videoMinutesPerDay': 'वीडियो मिनट',
+  'quota.tooLarge': '⚠️ इस अनुरोध को {needed} {unit} चाहिए, जो {max} {label} की सीमा से अधिक है। कम या छोटी फ़ाइलें भेजें।',
+  'quota.reachedUser': '⏳ आप {max} {label} की सीमा तक पहुँच गए हैं ({used} उपयोग हुए, इस अनुरोध को {needed} और चाहिए)। यह {wait} में रीसेट होगी।',
+  'quota.reachedGlobal': '⏳ बॉट {max} {label} की सीमा तक पहुँच गया है ({used} उपयोग हुए, इस अनुरोध को {needed} और चाहिए)। यह {wait} में रीसेट होगी।',
+  'usage.title': '🚦 उपयोग',
+  'usage.titleOf': '🚦 {userId} का उपयोग',
+  'usage.raised': ' (बढ़ी हुई सीमाएँ)',
+  'usage.wholeBot': '🌐 पूरा बॉट',
+  'usage.runsThisHour': 'इस घंटे के रन',
+  'usage.mediaToday': 'आज के media items',
+  'usage.videoToday': 'आज के वीडियो मिनट',
+  'usage.noLimit': ' (कोई सीमा नहीं)',
+  'usage.oldestExpires': ' (सबसे पुराना {wait} में हटेगा)',
+  'usage.dailyReset': 'दैनिक सीमाएँ {wait} में रीसेट होंगी (मध्यरात्रि UTC)।',
+  'usage.week': 'पिछले 7 दिन: {runs} रन, {media} media items, {video} वीडियो मिनट',
+  'usage.othersDenied': '⛔ दूसरे उपयोगकर्ताओं का उपयोग केवल व्यवस्थापक देख सकते हैं।',
+  'usage.failed': '❌ उपयोग लोड नहीं हो सका: {error}',
+
+  // Language
+  'lang.status': '🌐 *भाषा:* {language}\n📝 *मॉडल का आउटपुट:* {output}\n\n{languages}\n\n/lang output english | mixed | all\n• english: {english}\n• mixed: {mixed}\n• all: {all}',
+  'lang.output.english': 'मॉडल सब कुछ अंग्रेज़ी में लिखता है',
+  'lang.output.mixed': 'Clinical Profile अंग्रेज़ी में रहता है; brief, secondary analysis और आगे के सवालों के जवाब आपकी भाषा में',
+  'lang.output.all': 'Clinical Profile भी आपकी भाषा में लिखा जाता है',
+  'lang.set': '🌐 बॉट के संदेश अब *{language}* में हैं। मॉडल का आउटपुट: {output}।',
+  'lang.outputSet': '📝 मॉडल का आउटपुट अब *{output}* है: {description}।',
+  'lang.unknown': '⚠️ अज्ञात भाषा "{wanted}"। उपलब्ध: {available}।',
+  'lang.unknownOutput': '⚠️ अज्ञात आउटपुट मोड "{wanted}"। english, mixed या all का उपयोग करें।',
+  'lang.saveFailed': '❌ आपकी भाषा सहेजी नहीं जा सकी: {error}'
+};
@@ -0,0 +1,292 @@
+// ======================================================================
+// 🇮🇳 TAMIL (தமிழ்)
+// ======================================================================
+// Commands, trigger dots, file types and medical abbreviations stay as they are
+// typed. Missing keys fall back to English (see en.js).
+
+export const ta = {
+  // Start / help
+  'help': `படி 1: உங்கள் மருத்துவச் சூழலைப் பதிவேற்றுங்கள்
+
+நோயாளியின் ஆவணங்களை நேரடியாக பாட்டுக்கு அனுப்புங்கள். பல கோப்புகளை ஒன்றன்பின்
+ஒன்றாகப் பதிவேற்றலாம்:
+
+  - Images: மருத்துவத் தாள்கள், கையால் எழுதிய குறிப்புகள் அல்லது முந்தைய ஸ்கேன்
+    முடிவுகளின் புகைப்படங்கள்.
+  - PDFs: தட்டச்சு செய்த ஆய்வக அறிக்கைகள், நோயியல் அல்லது முந்தைய இமேஜிங் அறிக்கைகள்.
+  - பிற ஆவணங்கள்: DOCX கடிதங்கள் மற்றும் TXT கோப்புகள் (உரைக் குறிப்புகளாகப்
+    படிக்கப்படும்), "file" ஆக அனுப்பிய ஸ்கேன்கள் (JPEG/PNG/WEBP), iPhone HEIC படங்கள்.
+  - DICOM: ஒரு .dcm கோப்பு அல்லது ஒரு series-இன் .zip. நோயாளி அடையாளங்கள்
+    நீக்கப்படும்; சில மாதிரி slices உடன் modality, study விவரம், தேதி அனுப்பப்படும்.
+  - Audio/Voice Notes: மருத்துவப் பின்னணியை விளக்கும் குரல் குறிப்புகள்.
+  - Videos: CT/MRI ஸ்கேனை உருட்டிப் பதிவு செய்த வீடியோக்கள் (பேசிய விளக்கமும்
+    எழுத்தாக்கப்படும்).
+  - Text: மருத்துவ வரலாறு அல்லது காரணங்கள் கொண்ட தட்டச்சுக் குறிப்புகள்.
+
+குறிப்புகளும் குரல் பதிவுகளும் ஆங்கிலம், இந்தி, தமிழ் அல்லது இவற்றின் கலவையில் இருக்கலாம்.
+
+பாட் ஒவ்வொன்றையும் உறுதிசெய்து உங்கள் தற்காலிக வரிசையில் சேர்க்கும். Telegram
+பாட்டுகளை {maxDownload} வரையிலான கோப்புகளைப் பதிவிறக்க அனுமதிக்கிறது; ஒரு வரிசையில்
+{maxItems} உருப்படிகள் அல்லது மொத்தம் {maxBytes} வரை இருக்கலாம் (/status பார்க்கவும்).
+
+/list ஒவ்வொரு உருப்படியையும் காட்டும்; /remove <n> அல்லது /undo ஒன்றை நீக்கும்,
+/edit <n> <text> ஒரு உரைக் குறிப்பை மாற்றும். செயலற்ற வரிசை அழிக்கப்படும் முன்,
+அதை இன்னும் {keepMinutes} நிமிடங்கள் வைத்திருக்க பாட் வாய்ப்பளிக்கும்.
+
+ படி 2: பகுப்பாய்வைத் தொடங்குங்கள்
+
+கோப்புகள் பதிவேற்றப்பட்டதும், செயலாக்கத்தைத் தொடங்க பின்வரும் குறுகிய
+கட்டளைகளில் ஒன்றை உரைச் செய்தியாக அனுப்புங்கள்:
+
+  - ஒரு புள்ளி (.) அனுப்புங்கள்
+    Quick Reference அட்டையுடன் வழக்கமான Clinical Profile (படி 1) உருவாக்கும்.
+    (வீடியோவிலிருந்து இயல்பாக ஒரு நொடிக்கு 3 frames எடுக்கப்படும்.)
+
+  - இரண்டு புள்ளிகள் (..) அனுப்புங்கள்
+    இணைந்த Secondary Analysis உருவாக்கும். பாட் முதலில் clinical profile-ஐ
+    உருவாக்கி, பின் அதை இந்த அரட்டையின் analysis persona-விடம் அனுப்பும்
+    (இயல்பாக ஒரு நிபுணர் கதிரியக்க மருத்துவர்; /mode மூலம் மாற்றலாம்).
+
+  - suffix மூலம் analysis-ஐத் தேர்ந்தெடுங்கள் ({suffixes})
+    எடுத்துக்காட்டு: ..mri MRI protocol திட்டமிடும், ..ddx differentials பட்டியலிடும்.
+    எல்லா analysis-ஐயும் பார்க்க /mode அனுப்புங்கள்.
+
+  - வீடியோ frame வீதத்தை மாற்றுங்கள் (.1, .2, .3 அல்லது ..1, ..mri2, ...)
+    வரிசையில் வீடியோ இருந்தால் frames எண்ணிக்கையை மாற்றலாம். எ.கா. .1 நொடிக்கு
+    1 frame எடுக்கும் (மெதுவாக உருட்டிய வீடியோக்களுக்கு), .3 நொடிக்கு 3 frames
+    (வேகமாக உருட்டிய வீடியோக்களுக்குச் சிறந்தது).
+
+  - புதிய ஓட்டத்தைக் கட்டாயப்படுத்துங்கள் (.!, ..!, ..mri2!)
+    அதே கோப்புகளை அதே அமைப்புகளுடன் மீண்டும் அனுப்பினால், சேமித்த profile
+    cached குறியுடன் உடனே கிடைக்கும். புதிதாக இயக்க trigger-இல் ! சேர்க்கவும்.
+
+ படி 3: முடிவைச் செம்மைப்படுத்துங்கள்
+
+ஒவ்வொரு profile-உடனும் பொத்தான்கள் வரும்: Secondary analysis, Regenerate, More
+concise, Shorter brief. அவை அதே case-இன் கோப்புகளையும் profile-ஐயும் பயன்படுத்துவதால்
+எதையும் மீண்டும் பதிவேற்ற வேண்டியதில்லை (கோப்புகள் {retentionHours} மணி நேரம் வைக்கப்படும்).
+
+PDF, DOCX, TXT பொத்தான்கள் (அல்லது /export pdf, /export docx, /export txt,
+profile-க்கான பதிலாகவும்) profile, Quick Reference, analysis-ஐ ஆவணமாக அனுப்பும்.
+
+ படி 4: தொடர் கேள்விகள் கேளுங்கள்
+
+ஒரு profile செய்திக்கு கேள்வியுடன் பதிலளியுங்கள் (எ.கா. "இதற்கு எந்த MRI sequences?").
+பாட் அந்த case-இன் கோப்புகள் மற்றும் profile-இலிருந்து பதிலளிக்கும்; உரையாடலைத் தொடர
+அதன் பதிலுக்குப் பதிலளியுங்கள் ({followupTurns} கேள்விகள் வரை).
+
+ நோயாளி வரலாறு
+
+ஆவணங்களில் காணப்படும் MRN-இன் கீழ் profiles சேமிக்கப்படும். /history <MRN> முந்தைய
+profiles-ஐப் பட்டியலிடும்; /compare on இருந்தால், தெரிந்த MRN-இன் புதிய profile
+முந்தையதிலிருந்து ஏற்பட்ட மாற்றங்களைக் குறிப்பிடும்.
+
+ குழு அரட்டைகள்
+
+ஒவ்வொரு உறுப்பினருக்கும் தனி வரிசை உண்டு; ஒரு புள்ளி அனுப்பியவரின் கோப்புகளை
+மட்டுமே செயலாக்கும். சாதாரண உரையாடல் வரிசையில் சேராமல் இருக்க பாட்டை mention
+செய்யுங்கள் அல்லது குறிப்பை {notePrefix} உடன் தொடங்குங்கள்.
+
+ பயன்பாட்டு வரம்புகள்
+
+ஒவ்வொரு ஓட்டமும் (புள்ளி கட்டளைகள், profile பொத்தான்கள், தொடர் கேள்விகள்) உங்கள்
+மணிநேர ஓட்ட வரம்பில் கணக்கிடப்படும்; அனுப்பப்படும் கோப்புகள் தினசரி media item
+மற்றும் video minute வரம்புகளில் கணக்கிடப்படும். /usage நீங்கள் பயன்படுத்தியதையும்
+வரம்பு எப்போது மீட்டமைக்கப்படும் என்பதையும் காட்டும்.
+
+ மொழி
+
+/lang hi அல்லது /lang ta பாட்டின் செய்திகளை இந்தி அல்லது தமிழில் காட்டும் (ஆங்கிலத்துக்கு
+/lang en). /lang output mixed (இயல்பு) அமைப்பில் Clinical Profile ஆங்கிலத்தில் இருக்கும்;
+brief, secondary analysis, தொடர் பதில்கள் உங்கள் மொழியில் எழுதப்படும். /lang output all
+profile-ஐயும் மொழிபெயர்க்கும்; /lang output english மாடல் எழுதும் அனைத்தையும் ஆங்கிலத்தில் வைக்கும்.
+
+
+ `,
+
+  // Access
+  'access.denied': '⛔ அணுகல் மறுக்கப்பட்டது.',
+  'access.roleDenied': '⛔ உங்கள் பங்கு ({role}) இந்தச் செயலை அனுமதிக்கவில்லை.',
+  'access.requested': '🔒 இந்த பாட் கட்டுப்படுத்தப்பட்டது. உங்கள் அணுகல் கோரிக்கை நிர்வாகிக்கு அனுப்பப்பட்டது.',
+  'access.pending': '⏳ உங்கள் அணுகல் கோரிக்கை இன்னும் ஒப்புதலுக்காகக் காத்திருக்கிறது.',
+  'access.none': '⛔ இந்த பாட்டை அணுக உங்களுக்கு அனுமதி இல்லை. நிர்வாகியைத் தொடர்பு கொள்ளவும்.',
+  'access.approved': '✅ உங்கள் அணுகல் ஒப்புதல் பெற்றது (பங்கு: {role}). தொடங்க /start அனுப்பவும்.',
+  'access.roleChanged': '🔁 உங்கள் பங்கு {role} ஆக மாற்றப்பட்டது.',
+  'access.rejected': '❌ உங்கள் அணுகல் கோரிக்கை நிராகரிக்கப்பட்டது.',
+
+  // Queue
+  'queue.yours': 'உங்கள்',
+  'queue.expiryWarning': '⏳ {owner} வரிசையின் {count} உருப்படிகள் செயலற்ற நிலையால் {seconds} விநாடிகளில் அழிக்கப்படும்.',
+  'queue.keepButton': 'இன்னும் {minutes} நிமிடங்கள் வைத்திரு',
+  'queue.timeout': '⏰ *வரிசை நேரம் முடிந்தது:* {owner} வரிசையின் {count} கோப்புகள் செயலற்ற நிலையால் அழிக்கப்பட்டன. மீண்டும் பதிவேற்றவும்.',
+  'queue.kept': '✅ {count} உருப்படிகள் கொண்ட வரிசை இன்னும் {minutes} நிமிடங்கள் வைக்கப்படும்.',
+  'queue.keepNotOwner': '⛔ இந்த வரிசையின் உரிமையாளர் மட்டுமே இதை வைத்திருக்க முடியும்.',
+  'queue.keepGone': 'ℹ️ இந்த வரிசை ஏற்கனவே அழிக்கப்பட்டது அல்லது செயலாக்கப்பட்டது.',
+  'queue.full': '⚠️ வரிசை நிறைந்துள்ளது ({max} உருப்படிகள்). /clear மூலம் அழிக்கவும் அல்லது *.* மூலம் செயலாக்கவும்',
+  'queue.noRoom': '⚠️ இந்தக் கோப்பு பொருந்தாது: உங்கள் வரிசையில் {max} இல் {used} நிரம்பியுள்ளது. முதலில் உள்ள கோப்புகளை *.* மூலம் செயலாக்கவும் அல்லது /clear செய்யவும்.',
+  'queue.cleared': '🗑️ உங்கள் வரிசையிலிருந்து {count} உருப்படிகள் அழிக்கப்பட்டன.',
+  'queue.empty': 'ℹ️ உங்கள் வரிசை காலியாக உள்ளது.',
+  'queue.emptyShort': 'உங்கள் வரிசை காலியாக உள்ளது.',
+  'queue.listHeader': '🗂️ உங்கள் வரிசை ({count} உருப்படிகள், {size}):',
+  'queue.listFooter': '/remove <n> அல்லது /undo ஒரு உருப்படியை நீக்கும், /edit <n> <text> உரைக் குறிப்பை மாற்றும்.',
+  'queue.dicomImages': '{count} முக்கிய images',
+  'queue.pickItem': '1 முதல் {max} வரை ஒரு உருப்படியைத் தேர்ந்தெடுக்கவும் (/list பார்க்கவும்).',
+  'queue.removed': '🗑️ உருப்படி {number} ({type}) நீக்கப்பட்டது. வரிசையில்: {count}',
+  'queue.removeUsage': 'பயன்பாடு: /remove <n>',
+  'queue.undoEmpty': 'ℹ️ உங்கள் வரிசை காலியாக உள்ளது, நீக்க எதுவும் இல்லை.',
+  'queue.undone': '↩️ கடைசி உருப்படி ({type}) நீக்கப்பட்டது. வரிசையில்: {count}',
+  'queue.editNotText': 'உருப்படி {number} ஒரு {type}; உரைக் குறிப்புகளை மட்டுமே மாற்ற முடியும்.',
+  'queue.editNoText': 'உருப்படி எண்ணுக்குப் பின் புதிய உரையைக் கொடுக்கவும்.',
+  'queue.edited': '✏️ உரைக் குறிப்பு {number} புதுப்பிக்கப்பட்டது.',
+  'queue.editUsage': 'பயன்பாடு: /edit <n> <புதிய உரை>',
+
+  // Status
+  'status.report': `📊 *வரிசை நிலை:*
+📷 Images: {images}
+🩻 DICOM Studies: {dicom}
+📄 PDFs: {pdfs}
+🎵 Audio/Voice: {audio}
+🎬 Videos: {video}{videoNote}
+📝 உரைக் குறிப்புகள்: {texts}
+━━━━━━━━━━
+📦 மொத்தம்: {count} / {maxItems} உருப்படிகள், {size} / {maxSize}
+🎭 \`..\` இயக்குவது: {persona}
+🌐 மொழி: {language}`,
+  'status.videoAudio': ' (frames + குரல்)',
+
+  // Uploads
+  'upload.downloading': '📥 கோப்பு பதிவிறக்கப்படுகிறது...',
+  'upload.tooBig': '⚠️ Telegram பாட்டுகளை {limit} வரையிலான கோப்புகளை மட்டுமே பதிவிறக்க அனுமதிக்கிறது. சிறிய பதிப்பை அனுப்பவும்: வீடியோவைக் குறைக்கவும் அல்லது compress செய்யவும், PDF பக்கங்களைப் புகைப்படங்களாக அனுப்பவும், அல்லது குறைவான DICOM கோப்புகளை zip செய்யவும்.',
+  'upload.thisOne': '(இந்தக் கோப்பு {size}.)',
+  'upload.unsupported': '⚠️ ஆதரிக்கப்படாத கோப்பு வகை{fileName}. ஆதரிக்கப்படும் ஆவணங்கள்: {supported}.',
+  'upload.asTextNote': '{type} உரைக் குறிப்பாக',
+  'upload.dicom': 'DICOM ({series} series-இலிருந்து {images} முக்கிய image, அடையாளங்கள் நீக்கப்பட்டன)',
+  'upload.added': '📎 {item} வரிசையில் சேர்க்கப்பட்டது. வரிசையில்: *{count}*',
+  'upload.noteAdded': '📝 உரைக் குறிப்பு வரிசையில் சேர்க்கப்பட்டது. வரிசையில்: *{count}*',
+  'upload.failed': '❌ கோப்பை வரிசையில் சேர்க்க முடியவில்லை: {error}',
+
+  // Jobs and pipeline stages
+  'job.waiting': '🕒 வரிசையில் காத்திருக்கிறது (இடம் {position}). நிறுத்த /cancel அனுப்பவும்.',
+  'job.cancelled': '🛑 ரத்து செய்யப்பட்டது.',
+  'job.failed': '❌ செயலாக்கம் தோல்வியடைந்தது: {error}',
+  'job.none': 'ℹ️ உங்களுக்கு வரிசையில் அல்லது இயங்கும் பணிகள் எதுவும் இல்லை.',
+  'job.cancelling': '🛑 இயங்கும் {running} மற்றும் காத்திருக்கும் {queued} பணிகள் ரத்து செய்யப்படுகின்றன.',
+  'stage.frames': 'வீடியோ frames பிரித்தெடுக்கப்படுகின்றன',
+  'stage.profile': 'படி 1: clinical profile தொகுக்கப்படுகிறது',
+  'stage.comparison': 'முந்தைய study-உடன் ஒப்பிடப்படுகிறது',
+  'stage.secondary': 'படி 2: Secondary analysis',
+  'stage.rewrite': 'clinical profile மீண்டும் எழுதப்படுகிறது',
+  'stage.brief': 'brief சுருக்கப்படுகிறது',
+  'stage.documents': 'case ஆவணங்கள் ஏற்றப்படுகின்றன',
+  'stage.answer': 'பதில் தயாராகிறது',
+
+  // Triggers
+  'trigger.unknownAnalysis': '⚠️ தெரியாத analysis "..{suffix}". கிடைப்பவற்றைப் பார்க்க /mode அனுப்பவும்.',
+  'trigger.emptyQueue': 'ℹ️ வரிசை காலியாக உள்ளது. முதலில் சில கோப்புகளைப் பதிவேற்றவும் அல்லது சூழலைத் தட்டச்சு செய்யவும்!',
+  'trigger.profileLabel': 'Clinical Profile',
+  'trigger.chainedLabel': 'இணைந்த {name}',
+  'trigger.title': '{label} ({count} கோப்புகள், {fps} FPS)',
+  'trigger.running': '⏳ {count} கோப்புகளில் {label} இயங்குகிறது (Smart {fps} FPS)...',
+  'process.cancelled': '🛑 செயலாக்கம் ரத்து செய்யப்பட்டது.',
+  'process.failed': '❌ கோரிக்கையைச் செயலாக்குவதில் பிழை: {error}',
+
+  // Profile replies
+  'profile.quickReference': '📋 *Quick Reference:*',
+  'profile.mrn': 'MRN/பதிவு எண்',
+  'profile.age': 'வயது',
+  'profile.sex': 'பாலினம்',
+  'profile.study': 'Study',
+  'profile.brief': 'சுருக்கம்',
+  'profile.notMentioned': 'குறிப்பிடப்படவில்லை',
+  'profile.videoFrames': '🎞️ வீடியோ frames: பிரித்தெடுத்த {extracted} இல் {kept} வைக்கப்பட்டன',
+  'profile.framesDropped': ' (கிட்டத்தட்ட ஒரே மாதிரியான அல்லது வரம்பை மீறிய {dropped} frames நீக்கப்பட்டன)',
+  'profile.comparedWith': '🔁 {date} தேதியிட்ட முந்தைய profile-உடன் ஒப்பிடப்பட்டது{study}',
+  'profile.cached': '♻️ Cached முடிவு: இதே கோப்புகளும் அமைப்புகளும் {date} அன்று செயலாக்கப்பட்டன. புதிய ஓட்டத்துக்கு Regenerate அழுத்தவும் அல்லது trigger-இல் ! சேர்க்கவும் (எ.கா. .!).',
+  'profile.stepOne': '📝 *Clinical Profile (படி 1):*',
+  'profile.stepTwo': '🧠 *{name} (படி 2):*',
+  'profile.concise': '✂️ *மேலும் சுருக்கமான Profile:*',
+  'profile.shorterBrief': '📋 *குறுகிய Brief:*',
+  'profile.footer': `━━━━━━━━━━━━━━━━━━━━━━
+🤖 *MRI protocol பரிந்துரைகளுக்கு clinical profile-ஐ இங்கே copy-paste செய்யவும்:*
+{protocolAppUrl}
+
+📚 *MRI protocol நூல்கள்*
+{protocolBooksUrl}`,
+
+  // Profile buttons
+  'action.secondary': '🧠 Secondary analysis',
+  'action.regen': '🔄 மீண்டும் உருவாக்கு',
+  'action.concise': '✂️ மேலும் சுருக்கமாக',
+  'action.brief': '📋 குறுகிய brief',
+  'case.unavailable': '⚠️ இந்த case இனி கிடைக்காது.',
+  'case.secondaryShown': 'ℹ️ Secondary analysis ஏற்கனவே மேலே உள்ளது.',
+  'case.noBrief': '⚠️ இந்த profile-இல் Quick Reference brief இல்லை.',
+  'case.inputsGone': 'இந்த case-இன் அசல் கோப்புகள் இனி வைக்கப்படவில்லை. மீண்டும் பதிவேற்றவும்.',
+
+  // Personas, history and comparison
+  'mode.list': '🎭 *Analysis personas*\n\n{lines}\n\n`..`-க்கான இந்த அரட்டையின் இயல்பை மாற்ற `/mode <id அல்லது suffix>` அனுப்பவும்.',
+  'mode.unknown': '⚠️ தெரியாத persona "{wanted}". கிடைப்பவற்றைப் பார்க்க /mode அனுப்பவும்.',
+  'mode.set': '🎭 இந்த அரட்டையின் இயல்பு analysis இப்போது *{name}*. வெறும் `..` இதைப் பயன்படுத்தும்.',
+  'mode.saveFailed': '❌ அரட்டையின் இயல்பைச் சேமிக்க முடியவில்லை: {error}',
+  'history.usage': 'ℹ️ பயன்பாடு: /history <MRN>',
+  'history.none': '🗂️ அந்த MRN-க்கு பதிவில் profiles இல்லை.',
+  'history.noStudy': 'Study குறிப்பிடப்படவில்லை',
+  'history.newest': ' ({total} இல் சமீபத்திய {shown})',
+  'history.header': '🗂️ *MRN {mrn} வரலாறு*{more}',
+  'history.failed': '❌ வரலாற்றை ஏற்ற முடியவில்லை: {error}',
+  'compare.on': 'இயக்கத்தில்',
+  'compare.off': 'அணைக்கப்பட்டது',
+  'compare.status': '🔁 இந்த அரட்டையில் interval comparison *{state}* உள்ளது. இயக்கத்தில் இருந்தால், தெரிந்த MRN-இன் புதிய profile முந்தைய profile-இலிருந்து ஏற்பட்ட மாற்றங்களைக் குறிப்பிடும்படி மீண்டும் எழுதப்படும்.\n\n/compare on அல்லது /compare off பயன்படுத்தவும்.',
+  'compare.set': '🔁 இந்த அரட்டைக்கு interval comparison *{state}*.',
+  'compare.saveFailed': '❌ அரட்டை அமைப்பைச் சேமிக்க முடியவில்லை: {error}',
+
+  // Export
+  'export.caption': '📄 Clinical profile ({format})',
+  'export.unknownFormat': '⚠️ தெரியாத வடிவம் "{format}". {options} பயன்படுத்தவும்.',
+  'export.nothing': 'ℹ️ ஏற்றுமதி செய்ய profile இல்லை. முதலில் ஒரு case-ஐ இயக்கவும், அல்லது ஒரு profile செய்திக்கு /export உடன் பதிலளிக்கவும்.',
+  'export.failed': '❌ ஏற்றுமதி தோல்வியடைந்தது: {error}',
+  'export.denied': '⛔ உங்கள் பங்கு ஏற்றுமதியை அனுமதிக்கவில்லை.',
+  'export.preparing': '📄 {format} தயாராகிறது...',
+
+  // Follow-ups
+  'followup.unavailable': '⚠️ இந்த case தொடர் கேள்விகளுக்கு இனி கிடைக்காது.',
+  'followup.expired': '⌛ இந்த உரையாடல் காலாவதியானது. புதியதைத் தொடங்க profile செய்திக்குப் பதிலளிக்கவும்.',
+  'followup.limit': '🔚 இந்த உரையாடல் {max} கேள்விகளின் வரம்பை அடைந்தது. புதியதைத் தொடங்க profile செய்திக்குப் பதிலளிக்கவும்.',
+  'followup.title': '💬 தொடர் கேள்வி',
+  'followup.answer': '💬 *தொடர் கேள்வி ({turn}/{max}):*',
+
+  // Quotas
+  'quota.runsPerHour': 'மணிக்கு ஓட்டங்கள்',
+  'quota.mediaItemsPerDay': 'நாளுக்கு media items',
+  'quota.videoMinutesPerDay': 'நாளுக்கு வீடியோ நிமிடங்கள்',
+  'quota.unit.runsPerHour': 'ஓட்டங்கள்',
+  'quota.unit.mediaItemsPerDay': 'media items',
+  'quota.unit.videoMinutesPerDay': 'வீடியோ நிமிடங்கள்',
+  'quota.tooLarge': '⚠️ இந்தக் கோரிக்கைக்கு {needed} {unit} தேவை, இது {max} {label} என்ற வரம்பை விட அதிகம். குறைவான அல்லது சிறிய கோப்புகளை அனுப்பவும்.',
+  'quota.reachedUser': '⏳ நீங்கள் {max} {label} என்ற வரம்பை அடைந்துவிட்டீர்கள் ({used} பயன்படுத்தப்பட்டது, இந்தக் கோரிக்கைக்கு இன்னும் {needed} தேவை). {wait} இல் மீட்டமைக்கப்படும்.',
+  'quota.reachedGlobal': '⏳ பாட் {max} {label} என்ற வரம்பை அடைந்துவிட்டது ({used} பயன்படுத்தப்பட்டது, இந்தக் கோரிக்கைக்கு இன்னும் {needed} தேவை). {wait} இல் மீட்டமைக்கப்படும்.',
+  'usage.title': '🚦 பயன்பாடு',
+  'usage.titleOf': '🚦 {userId} பயன்பாடு',
+  'usage.raised': ' (உயர்த்தப்பட்ட வரம்புகள்)',
+  'usage.wholeBot': '🌐 முழு பாட்',
+  'usage.runsThisHour': 'இந்த மணி நேர ஓட்டங்கள்',
+  'usage.mediaToday': 'இன்றைய media items',
+  'usage.videoToday': 'இன்றைய வீடியோ நிமிடங்கள்',
+  'usage.noLimit': ' (வரம்பு இல்லை)',
+  'usage.oldestExpires': ' (பழையது {wait} இல் காலாவதியாகும்)',
+  'usage.dailyReset': 'தினசரி வரம்புகள் {wait} இல் மீட்டமைக்கப்படும் (நள்ளிரவு UTC).',
+  'usage.week': 'கடந்த 7 நாட்கள்: {runs} ஓட்டங்கள், {media} media items, {video} வீடியோ நிமிடங்கள்',
+  'usage.othersDenied': '⛔ மற்ற பயனர்களின் பயன்பாட்டை நிர்வாகிகள் மட்டுமே பார்க்க முடியும்.',
+  'usage.failed': '❌ பயன்பாட்டை ஏற்ற முடியவில்லை: {error}',
+
+  // Language
+  'lang.status': '🌐 *மொழி:* {language}\n📝 *மாடல் வெளியீடு:* {output}\n\n{languages}\n\n/lang output english | mixed | all\n• english: {english}\n• mixed: {mixed}\n• all: {all}',
+  'lang.output.english': 'மாடல் எழுதும் அனைத்தும் ஆங்கிலத்தில்',
+  'lang.output.mixed': 'Clinical Profile ஆங்கிலத்தில்; brief, secondary analysis, தொடர் பதில்கள் உங்கள் மொழியில்',
+  'lang.output.all': 'Clinical Profile-உம் உங்கள் மொழியில் எழுதப்படும்',
+  'lang.set': '🌐 பாட்டின் செய்திகள் இப்போது *{language}* மொழியில். மாடல் வெளியீடு: {output}.',
+  'lang.outputSet': '📝 மாடல் வெளியீடு இப்போது *{output}*: {description}.',
+  'lang.unknown': '⚠️ தெரியாத மொழி "{wanted}". கிடைப்பவை: {available}.',
+  'lang.unknownOutput': '⚠️ தெரியாத வெளியீட்டு முறை "{wanted}". english, mixed அல்லது all பயன்படுத்தவும்.',
+  'lang.saveFailed': '❌ உங்கள் மொழியைச் சேமிக்க முடியவில்லை: {error}'
+};
@@ -0,0 +1,43 @@
+import pino from 'pino';
+import { AsyncLocalStorage } from 'async_hooks';
+
+// ======================================================================
+// 🪵 STRUCTURED LOGGING (pino + per-job correlation context)
+// ======================================================================
+// Every job runs inside withJobContext({ jobId, ... }); log lines written
+// anywhere below it (pipeline, ffmpeg, LLM key rotation) carry those fields.
+// The context also collects the job's token usage for cost accounting.
+
+const jobContext = new AsyncLocalStorage();
+
+export const emptyUsage = () => ({ calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+export function createLogger({ level = 'info' } = {}) {
+  return pino({
+    level,
+    base: { service: 'patient-bot' },
+    // Only the correlation fields are logged; the usage accumulator stays out of log lines
+    mixin: () => {
+      const context = jobContext.getStore();
+      if (!context) return {};
+      const { usage, ...fields } = context;
+      return fields;
+    }
+  });
+}
+
+export function withJobContext(fields, fn) {
+  return jobContext.run({ ...fields, usage: emptyUsage() }, fn);
+}
+
+// Adds fields (e.g. the case id once it exists) to the running job's context
+export function addJobContext(fields) {
+  const context = jobContext.getStore();
+  if (context) Object.assign(context, fields);
+}
+
+// The running job's usage accumulator, or null outside a job
+export function currentJobUsage() {
+  const context = jobContext.getStore();
+  return context ? context.usage : null;
+}
@@ -0,0 +1,191 @@
+// ======================================================================
+// 📋 STRUCTURED METADATA (<<JSON>> block schema, repair & normalization)
+// ======================================================================
+// The model appends <<JSON>>{...}<<JSON>> after the Clinical Profile. The block
+// is repaired leniently, validated against METADATA_SCHEMA and normalized to
+// { mrn, age: { value, unit } | null, sex, study, modality, brief }.
+
+const NOT_MENTIONED = 'Not mentioned';
+const EMPTY_VALUES = /^(|not mentioned|not available|unknown|n\/?a|none|nil|-)$/i;
+
+// Order matters: PET-CT must win over CT
+export const STUDY_MODALITIES = [
+  { name: 'PET-CT', pattern: /\b(pet|pet-ct|petct)\b/i },
+  { name: 'CT', pattern: /\b(ct|cect|ncct|hrct|ctpa|cta|computed tomography)\b/i },
+  { name: 'MRI', pattern: /\b(mri|mr|mra|mrv|mrcp|magnetic resonance)\b/i },
+  { name: 'USG', pattern: /\b(usg|us|ultrasound|ultrasonography|sonography|doppler|echocardiography)\b/i },
+  { name: 'X-Ray', pattern: /\b(x-?ray|xr|radiograph|cxr)\b/i },
+  { name: 'Mammography', pattern: /\b(mammo\w*|tomosynthesis)\b/i },
+  { name: 'Fluoroscopy', pattern: /\b(fluoro\w*|barium|hsg|mcu|rgu|ivp)\b/i },
+  { name: 'Nuclear Medicine', pattern: /\b(scinti\w*|spect|bone scan|dtpa|dmsa|hida|mibi)\b/i },
+  { name: 'DEXA', pattern: /\b(dexa|dxa|bone densitometry)\b/i },
+  { name: 'Angiography', pattern: /\b(dsa|angiogra\w*)\b/i }
+];
+
+const AGE_UNITS = [
+  { unit: 'years', pattern: /^(y|yr|yrs|year|years|yo|y\/o)$/i },
+  { unit: 'months', pattern: /^(m|mo|mos|mon|month|months)$/i },
+  { unit: 'weeks', pattern: /^(w|wk|wks|week|weeks)$/i },
+  { unit: 'days', pattern: /^(d|day|days)$/i }
+];
+
+// Each normalizer returns { value } or { value, error } (value is the best-effort fallback)
+function normalizeMrn(raw) {
+  if (typeof raw === 'number') return { value: String(raw) };
+  if (typeof raw !== 'string') return { value: NOT_MENTIONED, error: 'mrn must be a string' };
+  const value = raw.trim();
+  return { value: EMPTY_VALUES.test(value) ? NOT_MENTIONED : value };
+}
+
+function normalizeAge(raw) {
+  if (typeof raw === 'number' && raw >= 0) return { value: { value: raw, unit: 'years' } };
+  if (typeof raw !== 'string') return { value: null, error: 'age must be a string like "45 years"' };
+
+  // "45Y/M", "45/F" and "45 years/male" carry the sex after a slash; the age is what comes before it
+  const text = raw.trim().replace(/\s*\/\s*(m|f|male|female)\s*$/i, '');
+  if (EMPTY_VALUES.test(text)) return { value: null };
+
+  const match = text.match(/^(\d+(?:\.\d+)?)\s*([a-z/]*)/i);
+  if (!match) return { value: null, error: `age "${text}" is not a number with a unit` };
+
+  const unitText = match[2].replace(/\/$/, '');
+  const unit = unitText ? AGE_UNITS.find(u => u.pattern.test(unitText)) : AGE_UNITS[0];
+  if (!unit) return { value: null, error: `age unit "${unitText}" is not recognized` };
+  return { value: { value: Number(match[1]), unit: unit.unit } };
+}
+
+function normalizeSex(raw) {
+  if (typeof raw !== 'string') return { value: 'unknown', error: 'sex must be "M", "F" or "unknown"' };
+  const text = raw.trim();
+  if (/^(m|male|man|boy)$/i.test(text)) return { value: 'M' };
+  if (/^(f|female|woman|girl)$/i.test(text)) return { value: 'F' };
+  return { value: 'unknown' };
+}
+
+function normalizeStudy(raw) {
+  if (typeof raw !== 'string') return { value: { study: NOT_MENTIONED, modality: null }, error: 'study must be a string' };
+  const study = raw.trim().replace(/\s+/g, ' ');
+  if (EMPTY_VALUES.test(study)) return { value: { study: NOT_MENTIONED, modality: null } };
+  const modality = STUDY_MODALITIES.find(m => m.pattern.test(study));
+  return { value: { study, modality: modality ? modality.name : 'Other' } };
+}
+
+function normalizeBrief(raw) {
+  if (typeof raw !== 'string' || raw.trim().length === 0) return { value: '', error: 'brief must be a non-empty string' };
+  return { value: raw.trim().replace(/\s+/g, ' ') };
+}
+
+export const METADATA_SCHEMA = {
+  mrn: normalizeMrn,
+  age: normalizeAge,
+  sex: normalizeSex,
+  study: normalizeStudy,
+  brief: normalizeBrief
+};
+
+// Applies fix to the text between string literals only, so values like "K/c/o HTN, DM: on meds" stay intact
+function outsideStrings(text, fix) {
+  return text.split(/("(?:[^"\\]|\\.)*")/).map((part, i) => (i % 2 === 1 ? part : fix(part))).join('');
+}
+
+// Fixes the usual model slips: code fences, smart quotes, trailing commas, raw newlines and,
+// only when the text still does not parse, unquoted keys
+export function repairJsonText(text) {
+  let repaired = text.trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '')
+    .replace(/[“”„‟″]/g, '"')
+    .replace(/[‘’‚‛′]/g, "'");
+
+  const start = repaired.indexOf('{');
+  const end = repaired.lastIndexOf('}');
+  if (start !== -1 && end > start) repaired = repaired.slice(start, end + 1);
+
+  repaired = outsideStrings(repaired.replace(/[\r\n\t]+/g, ' '), part => part.replace(/,\s*([}\]])/g, '$1'));
+  try {
+    JSON.parse(repaired);
+    return repaired;
+  } catch (e) {
+    return outsideStrings(repaired, part => part.replace(/([{,]\s*)([A-Za-z_]\w*)\s*:/g, '$1"$2":'));
+  }
+}
+
+function extractBlockText(responseText) {
+  const strict = responseText.match(/<<JSON>>(.*?)<<JSON>>/s);
+  if (strict) return strict[1];
+  const unterminated = responseText.match(/<<JSON>>\s*(\{.*\})/s);
+  if (unterminated) return unterminated[1];
+  // Marker dropped entirely: accept a trailing object that looks like ours
+  const bare = responseText.match(/(\{[^{}]*"?mrn"?\s*:[^{}]*\})\s*$/s);
+  return bare ? bare[1] : null;
+}
+
+export function validateMetadata(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { data: null, errors: ['metadata must be a JSON object'] };
+  }
+
+  const errors = [];
+  const normalized = {};
+  for (const [field, normalize] of Object.entries(METADATA_SCHEMA)) {
+    if (!(field in raw)) {
+      errors.push(`missing field "${field}"`);
+    }
+    const result = normalize(field in raw ? raw[field] : '');
+    if (result.error && field in raw) errors.push(result.error);
+    normalized[field] = result.value;
+  }
+
+  const { study, modality } = normalized.study;
+  return { data: { ...normalized, study, modality }, errors };
+}
+
+// Returns { data, errors }: data is the best-effort normalized block (null if unusable)
+export function parseMetadataBlock(responseText) {
+  const blockText = extractBlockText(responseText);
+  if (!blockText) {
+    return { data: null, errors: ['the <<JSON>> block is missing'] };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(blockText.trim());
+  } catch (e) {
+    try {
+      raw = JSON.parse(repairJsonText(blockText));
+    } catch (repairError) {
+      return { data: null, errors: [`the <<JSON>> block is not valid JSON (${repairError.message})`] };
+    }
+  }
+
+  return validateMetadata(raw);
+}
+
+export function stripMetadataBlock(responseText) {
+  return responseText
+    .replace(/\n*<<JSON>>.*?<<JSON>>\n*/s, '')
+    .replace(/\n*<<JSON>>.*$/s, '')
+    .replace(/\n*\{[^{}]*"?mrn"?\s*:[^{}]*\}\s*$/s, '')
+    .trim();
+}
+
+// Carries only the profile and the rejected line, so the re-ask never resends the case's files
+export function buildMetadataRepairPrompt(previousResponse, errors) {
+  const rejected = extractBlockText(previousResponse);
+  return `You wrote this Clinical Profile:
+=== CLINICAL PROFILE ===
+${stripMetadataBlock(previousResponse)}
+=== END PROFILE ===
+
+=== REJECTED METADATA LINE ===
+${rejected ? `<<JSON>>${rejected.trim()}<<JSON>>` : '(missing)'}
+=== END REJECTED LINE ===
+
+The <<JSON>> metadata line was rejected because: ${errors.join('; ')}.
+Using only the profile and the rejected line above, output ONLY the corrected line in EXACTLY this format, with straight double quotes and no trailing commas:
+<<JSON>>{"mrn":"...","age":"<number and unit, e.g. 45 years, or unknown>","sex":"<M/F/unknown>","study":"<imaging study or Not mentioned>","brief":"..."}<<JSON>>`;
+}
+
+export function formatAge(age) {
+  return age ? `${age.value} ${age.unit}` : 'unknown';
+}
@@ -0,0 +1,125 @@
+import client from 'prom-client';
+
+// ======================================================================
+// 📈 METRICS (Prometheus counters for jobs, stages, LLM calls and tokens)
+// ======================================================================
+// Counters reset on restart; /stats combines them with the persisted case
+// records for longer windows. Labels never carry patient data.
+
+// prices: { [model]: { input, output } } in USD per million tokens
+export function estimateCostUsd(model, usage, prices = {}) {
+  const price = prices[model];
+  if (!price || !usage) return 0;
+  return ((usage.inputTokens * (price.input || 0)) + (usage.outputTokens * (price.output || 0))) / 1e6;
+}
+
+export function createMetrics({ getQueueStats = null } = {}) {
+  const registry = new client.Registry();
+  client.collectDefaultMetrics({ register: registry, prefix: 'patientbot_' });
+
+  const jobs = new client.Counter({
+    name: 'patientbot_jobs_total',
+    help: 'Finished jobs by channel, mode and outcome',
+    labelNames: ['channel', 'mode', 'outcome'],
+    registers: [registry]
+  });
+  const stageSeconds = new client.Histogram({
+    name: 'patientbot_pipeline_stage_seconds',
+    help: 'Duration of each pipeline stage',
+    labelNames: ['stage'],
+    buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120, 300],
+    registers: [registry]
+  });
+  const llmRequests = new client.Counter({
+    name: 'patientbot_llm_requests_total',
+    help: 'LLM attempts per model and outcome (each key tried counts once)',
+    labelNames: ['provider', 'model', 'outcome'],
+    registers: [registry]
+  });
+  const keyFailures = new client.Counter({
+    name: 'patientbot_llm_key_failures_total',
+    help: 'Failed LLM attempts per API key slot, model and HTTP status',
+    labelNames: ['key', 'model', 'status'],
+    registers: [registry]
+  });
+  const tokens = new client.Counter({
+    name: 'patientbot_llm_tokens_total',
+    help: 'Tokens reported in the response usage metadata',
+    labelNames: ['model', 'direction'],
+    registers: [registry]
+  });
+  const costUsd = new client.Counter({
+    name: 'patientbot_llm_cost_usd_total',
+    help: 'Estimated LLM spend from the configured model prices',
+    labelNames: ['model'],
+    registers: [registry]
+  });
+  const frames = new client.Counter({
+    name: 'patientbot_video_frames_total',
+    help: 'Video frames extracted and kept after selection and the request budget',
+    labelNames: ['phase'],
+    registers: [registry]
+  });
+
+  if (getQueueStats) {
+    new client.Gauge({
+      name: 'patientbot_job_queue',
+      help: 'Jobs currently running or waiting in the queue',
+      labelNames: ['state'],
+      registers: [registry],
+      collect() {
+        const stats = getQueueStats();
+        this.set({ state: 'running' }, stats.running);
+        this.set({ state: 'queued' }, stats.queued);
+      }
+    });
+  }
+
+  // Runs fn and records how long it took under the given stage label
+  async function timeStage(stage, fn) {
+    const end = stageSeconds.startTimer({ stage });
+    try {
+      return await fn();
+    } finally {
+      end();
+    }
+  }
+
+  function recordLlmAttempt({ provider, model, keyIndex, ok, status = null, usage = null, cost = 0 }) {
+    llmRequests.inc({ provider, model, outcome: ok ? 'success' : 'failure' });
+    if (!ok) keyFailures.inc({ key: `#${keyIndex + 1}`, model, status: status ? String(status) : 'error' });
+    if (usage) {
+      tokens.inc({ model, direction: 'input' }, usage.inputTokens);
+      tokens.inc({ model, direction: 'output' }, usage.outputTokens);
+    }
+    if (cost > 0) costUsd.inc({ model }, cost);
+  }
+
+  function recordFrames({ extracted = 0, kept = 0 } = {}) {
+    if (extracted > 0) frames.inc({ phase: 'extracted' }, extracted);
+    if (kept > 0) frames.inc({ phase: 'kept' }, kept);
+  }
+
+  const recordJob = ({ channel, mode, outcome }) => jobs.inc({ channel: channel || 'unknown', mode, outcome });
+
+  // Plain { name: [{ labels, value }] } view of the counters for /stats
+  async function snapshot() {
+    const result = {};
+    for (const metric of [jobs, stageSeconds, llmRequests, keyFailures, tokens, costUsd, frames]) {
+      const { name, values } = await metric.get();
+      result[name] = values.map(({ labels, value, metricName }) => ({ labels, value, metricName: metricName || name }));
+    }
+    return result;
+  }
+
+  return {
+    registry,
+    contentType: registry.contentType,
+    render: () => registry.metrics(),
+    timeStage,
+    recordLlmAttempt,
+    recordFrames,
+    recordJob,
+    snapshot
+  };
+}
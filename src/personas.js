@@ -0,0 +1,68 @@
+import fs from 'fs';
+
+// ======================================================================
+// 🎭 ANALYSIS PERSONAS (Second-step analyses loaded from a config file)
+// ======================================================================
+// The file looks like { "default": "<id>", "personas": [{ id, name, suffix,
+// description, systemInstruction, prompt }] }. The suffix selects a persona
+// from a chained trigger, e.g. "..mri" or "..mri2".
+
+const ID_PATTERN = /^[a-z][a-z0-9-]*$/;
+const SUFFIX_PATTERN = /^[a-z]+$/;
+const REQUIRED_FIELDS = ['id', 'name', 'suffix', 'systemInstruction', 'prompt'];
+
+function validatePersona(persona, index) {
+  const where = `persona #${index + 1}${persona && persona.id ? ` (${persona.id})` : ''}`;
+  if (!persona || typeof persona !== 'object') throw new Error(`${where} must be an object`);
+  for (const field of REQUIRED_FIELDS) {
+    if (typeof persona[field] !== 'string' || persona[field].trim().length === 0) {
+      throw new Error(`${where} is missing "${field}"`);
+    }
+  }
+  if (!ID_PATTERN.test(persona.id)) throw new Error(`${where}: id must be lowercase letters, digits or dashes`);
+  if (!SUFFIX_PATTERN.test(persona.suffix)) throw new Error(`${where}: suffix must be lowercase letters only`);
+  return {
+    id: persona.id,
+    name: persona.name.trim(),
+    suffix: persona.suffix,
+    description: (persona.description || '').trim(),
+    systemInstruction: persona.systemInstruction.trim(),
+    prompt: persona.prompt.trim()
+  };
+}
+
+export function createPersonaRegistry(config) {
+  if (!config || !Array.isArray(config.personas) || config.personas.length === 0) {
+    throw new Error('Persona config must contain a non-empty "personas" array');
+  }
+
+  const personas = config.personas.map(validatePersona);
+  const byId = new Map();
+  const bySuffix = new Map();
+  personas.forEach(p => {
+    if (byId.has(p.id)) throw new Error(`Duplicate persona id "${p.id}"`);
+    if (bySuffix.has(p.suffix)) throw new Error(`Persona suffix "${p.suffix}" is used by both ${bySuffix.get(p.suffix).id} and ${p.id}`);
+    byId.set(p.id, p);
+    bySuffix.set(p.suffix, p);
+  });
+
+  const defaultId = config.default || personas[0].id;
+  if (!byId.has(defaultId)) throw new Error(`Default persona "${defaultId}" is not defined`);
+
+  return {
+    defaultId,
+    list: () => [...personas],
+    get: (id) => byId.get(id) || null,
+    fromSuffix: (suffix) => bySuffix.get(String(suffix).toLowerCase()) || null
+  };
+}
+
+export function loadPersonaRegistry(path) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (e) {
+    throw new Error(`Could not read persona config ${path}: ${e.message}`);
+  }
+  return createPersonaRegistry(config);
+}
@@ -0,0 +1,308 @@
+import { randomUUID } from 'crypto';
+import { createLogger, addJobContext, currentJobUsage, emptyUsage } from './logger.js';
+import { estimateCostUsd } from './metrics.js';
+import { isAbortError } from './jobs.js';
+import { applyFrameBudget } from './frames.js';
+import { parseMetadataBlock, stripMetadataBlock, buildMetadataRepairPrompt } from './metadata.js';
+import { PRIMARY_SYSTEM_INSTRUCTION, INTERVAL_COMPARISON_PROMPT, PROFILE_LANGUAGE_PROMPT, BRIEF_LANGUAGE_PROMPT, ANALYSIS_LANGUAGE_PROMPT } from './prompts.js';
+import { DEFAULT_LANGUAGE, languagePrompt } from './i18n.js';
+
+// ======================================================================
+// 🚀 PIPELINE PROCESSOR (Buffered items → Clinical Profile → secondary analysis)
+// ======================================================================
+// Knows nothing about Telegram: the bot, the API and the batch CLI all run cases
+// through it. saveRecord(record) persists each stage; onCompleted(record) runs
+// once a case completes. metrics is optional (the CLI runs without one).
+
+// sourceCaseId points derived cases (Regenerate, More concise, ...) at the case whose inputs were retained;
+// cachedFrom is set on cases answered from the result cache
+// personaId selects the second-step analysis; without one only the profile is compiled
+// languages: { profile, analysis } codes the model writes in (see outputLanguages in i18n.js)
+export function createCaseRecord({ source, targetFps = 3, personaId = null, caseId = randomUUID(), sourceCaseId = null, languages = null }) {
+  return {
+    id: caseId,
+    channel: source.channel,
+    chatId: source.chatId ?? null,
+    userId: source.userId ?? null,
+    client: source.client ?? null,
+    mode: personaId ? 'secondary' : 'primary',
+    persona: personaId,
+    targetFps,
+    status: 'processing',
+    inputCounts: null,
+    frameStats: null,
+    profile: null,
+    metadata: null,
+    secondary: null,
+    error: null,
+    usage: null,
+    sourceCaseId,
+    cachedFrom: null,
+    languages: languages || { profile: DEFAULT_LANGUAGE, analysis: DEFAULT_LANGUAGE },
+    createdAt: new Date().toISOString()
+  };
+}
+
+export function createPipeline({ llm, personas, video, frameBudget, videoAudio = true, modelPrices = {}, metrics = null, saveRecord = async () => {}, onCompleted = null, logger = createLogger() }) {
+  const timeStage = metrics ? metrics.timeStage : (stage, fn) => fn();
+
+  async function generateModelContent(requestContent, systemInstruction, { signal, history = null } = {}) {
+    const result = await llm.generate(requestContent, systemInstruction, { signal, history });
+    // Charged to the running job, whose case record then shows what the run cost
+    const usage = currentJobUsage();
+    if (usage && result.usage) {
+      usage.calls++;
+      usage.inputTokens += result.usage.inputTokens;
+      usage.outputTokens += result.usage.outputTokens;
+      usage.costUsd += estimateCostUsd(result.model, result.usage, modelPrices);
+    }
+    return result.text;
+  }
+
+  // Rewrites a fresh profile so it calls out what changed since the prior study of the same patient
+  async function generateIntervalProfile(profile, prior, signal = null, language = DEFAULT_LANGUAGE) {
+    const prompt = [
+      `${INTERVAL_COMPARISON_PROMPT}\n\n=== PREVIOUS CLINICAL PROFILE (${prior.createdAt.slice(0, 10)}) ===\n${prior.profile}\n=== END PREVIOUS PROFILE ===\n\n=== NEW CLINICAL PROFILE ===\n${profile}\n=== END NEW PROFILE ===`,
+      languagePrompt(PROFILE_LANGUAGE_PROMPT, language)
+    ].filter(Boolean).join('\n\n');
+    return stripMetadataBlock(await generateModelContent([prompt], null, { signal }));
+  }
+
+  async function generateSecondaryAnalysis(profile, personaId, signal = null, language = DEFAULT_LANGUAGE) {
+    const persona = personas.get(personaId);
+    if (!persona) throw new Error(`Unknown analysis persona "${personaId}"`);
+    const secondaryPrompt = [
+      `${persona.prompt}\n\n=== CLINICAL PROFILE ===\n${profile}\n=== END PROFILE ===`,
+      languagePrompt(ANALYSIS_LANGUAGE_PROMPT, language)
+    ].filter(Boolean).join('\n\n');
+    return generateModelContent([secondaryPrompt], persona.systemInstruction, { signal });
+  }
+
+  // Validates the <<JSON>> block and re-asks the model once, from the profile text alone, when it is missing or invalid
+  async function resolveMetadata(rawResponse, signal = null, briefLanguage = DEFAULT_LANGUAGE) {
+    const parsed = parseMetadataBlock(rawResponse);
+    if (parsed.errors.length === 0) return parsed.data;
+
+    logger.warn({ errors: parsed.errors }, '⚠️ Metadata block rejected, re-asking model once');
+    try {
+      const repairPrompt = [buildMetadataRepairPrompt(rawResponse, parsed.errors), languagePrompt(BRIEF_LANGUAGE_PROMPT, briefLanguage)].filter(Boolean).join('\n\n');
+      const retried = parseMetadataBlock(await generateModelContent([repairPrompt], PRIMARY_SYSTEM_INSTRUCTION, { signal }));
+      if (retried.errors.length === 0 || (retried.data && !parsed.data)) return retried.data;
+      logger.warn({ errors: retried.errors }, '⚠️ Metadata re-ask still invalid');
+    } catch (e) {
+      if (isAbortError(e)) throw e;
+      logger.error({ err: e }, '⚠️ Metadata re-ask failed');
+    }
+    return parsed.data;
+  }
+
+  // Turns buffered items into the model request: video frames and narration, binary parts and the prompt text.
+  // onStage gets stage ids ('frames' here; runPipeline adds profile, comparison and secondary) for the caller to label.
+  async function buildPipelineRequest(mediaFiles, targetFps, { signal = null, onStage = null, languages = null } = {}) {
+    const counts = { images: 0, pdfs: 0, audio: 0, video: 0, videoAudio: 0, videoSeconds: 0, texts: 0, dicom: 0, dicomImages: 0 };
+    const captions = [];
+    const textContents = [];
+    const binaryMedia = [];
+
+    // Smart frame extraction for videos (frame groups are expanded once the request budget is applied)
+    const extractedMedia = [];
+    const frameGroups = [];
+    const frameStats = { extracted: 0, selected: 0, kept: 0 };
+    if (onStage && mediaFiles.some(m => m.type === 'video')) await onStage('frames');
+    for (const m of mediaFiles) {
+      if (signal) signal.throwIfAborted();
+      if (m.type === 'video') {
+        counts.video++;
+        counts.videoSeconds += m.durationSec || 0;
+        const videoBuffer = Buffer.from(m.data, 'base64');
+        try {
+          const { frames, extracted } = await video.extractFrames(videoBuffer, targetFps, signal);
+          frameStats.extracted += extracted;
+          frameStats.selected += frames.length;
+          extractedMedia.push({ type: 'frame-group', index: frameGroups.length, caption: m.caption });
+          frameGroups.push(frames);
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          logger.error({ err }, 'Video extraction failed, treating as standard video');
+          extractedMedia.push(m);
+          continue;
+        }
+
+        // Frames alone drop the narration, so send the audio track as its own part
+        if (videoAudio) {
+          try {
+            const audioData = await video.extractAudio(videoBuffer, signal);
+            if (audioData) {
+              extractedMedia.push({
+                type: 'video-audio',
+                data: audioData,
+                mimeType: 'audio/mpeg',
+                caption: m.caption || ''
+              });
+            }
+          } catch (err) {
+            if (isAbortError(err)) throw err;
+            logger.error({ err }, 'Video audio extraction failed, continuing with frames only');
+          }
+        }
+      } else {
+        extractedMedia.push(m);
+      }
+    }
+
+    const budgetedGroups = applyFrameBudget(frameGroups, frameBudget);
+
+    const processedMedia = [];
+    extractedMedia.forEach(m => {
+      if (m.type !== 'frame-group') {
+        processedMedia.push(m);
+        return;
+      }
+      budgetedGroups[m.index].forEach(frameData => {
+        frameStats.kept++;
+        processedMedia.push({
+          type: 'image',
+          data: frameData,
+          mimeType: 'image/jpeg',
+          caption: m.caption ? `[Frame from video] ${m.caption}` : '[Frame from video]'
+        });
+      });
+    });
+
+    processedMedia.forEach(m => {
+      if (m.type === 'image') {
+        counts.images++;
+        binaryMedia.push(m);
+        if (m.caption) captions.push(`[Image caption]: ${m.caption}`);
+      } else if (m.type === 'pdf') {
+        counts.pdfs++;
+        binaryMedia.push(m);
+        if (m.caption) captions.push(`[PDF caption]: ${m.caption}`);
+      } else if (m.type === 'audio' || m.type === 'voice') {
+        counts.audio++;
+        binaryMedia.push(m);
+        if (m.caption) captions.push(`[Audio caption]: ${m.caption}`);
+      } else if (m.type === 'video-audio') {
+        counts.videoAudio++;
+        binaryMedia.push(m);
+        if (m.caption) captions.push(`[Video narration caption]: ${m.caption}`);
+      } else if (m.type === 'video') {
+        binaryMedia.push(m);
+        if (m.caption) captions.push(`[Video caption]: ${m.caption}`);
+      } else if (m.type === 'dicom') {
+        // Rendered slices go in as images; the allowlisted tags and slice labels become a note
+        counts.dicom++;
+        m.images.forEach(image => {
+          counts.dicomImages++;
+          binaryMedia.push({ type: 'image', data: image.data, mimeType: 'image/jpeg' });
+        });
+        textContents.push(`[DICOM study]: ${m.context}\nKey images, in order: ${m.images.map(image => image.caption).join('; ')}`);
+        if (m.caption) captions.push(`[DICOM caption]: ${m.caption}`);
+      } else if (m.type === 'text') {
+        counts.texts++;
+        textContents.push(`[Text note]: ${m.content}`);
+      }
+    });
+
+    const contentParts = binaryMedia.map(m => ({
+      inlineData: { data: m.data, mimeType: m.mimeType }
+    }));
+
+    const allOriginalText = [...captions, ...textContents];
+    let promptParts = [];
+    if (counts.images > 0) promptParts.push(`${counts.images} image(s)`);
+    if (counts.dicomImages > 0) promptParts.push(`${counts.dicomImages} key image(s) rendered from ${counts.dicom} DICOM upload(s)`);
+    if (counts.pdfs > 0) promptParts.push(`${counts.pdfs} PDF document(s)`);
+    if (counts.audio > 0) promptParts.push(`${counts.audio} audio/voice recording(s)`);
+    if (counts.videoAudio > 0) promptParts.push(`${counts.videoAudio} narration audio track(s) extracted from the video(s)`);
+
+    let promptText = `Analyze these ${promptParts.join(', ')} along with the following additional text notes/context, and generate the Clinical Profile.
+
+  === ADDITIONAL TEXT NOTES ===
+  ${allOriginalText.join('\n\n')}
+  === END OF TEXT NOTES ===
+
+  For audio files, transcribe the content first.${counts.videoAudio > 0 ? ' The narration tracks were recorded while scrolling the scans shown in the video frames; transcribe them as clinical history.' : ''}`;
+
+    const currentDate = new Date().toLocaleDateString('en-GB', {
+      day: 'numeric', month: 'long', year: 'numeric'
+    });
+    promptText += `\n\n⚠️ CRITICAL INSTRUCTION REGARDING DATES: 
+  Today's current date is ${currentDate}. Please pay extremely close attention to the dates printed or handwritten on the medical reports. You MUST extract and transcribe the year EXACTLY as it appears in the images/documents. Do NOT let your training biases replace the current year with past years.`;
+
+    // The metadata fields other than the brief stay English: MRN history, exports and the API read them
+    const languageInstructions = languages
+      ? [languagePrompt(PROFILE_LANGUAGE_PROMPT, languages.profile), languagePrompt(BRIEF_LANGUAGE_PROMPT, languages.analysis)].filter(Boolean)
+      : [];
+    if (languageInstructions.length > 0) promptText += `\n\n${languageInstructions.join('\n')}`;
+
+    const requestContent = contentParts.length > 0 ? [promptText, ...contentParts] : [promptText];
+
+    return { requestContent, counts, frameStats };
+  }
+
+  // Channel-agnostic pipeline: fills in and persists the case record, calling onProfile once Step 1 is ready
+  // and onStage(stageId) before each stage; aborting the signal stops it between (and during) stages.
+  // findPrior(record) returns an earlier case of the same patient to compare against, or null.
+  async function runPipeline(record, mediaFiles, { onProfile = null, onStage = null, signal = null, findPrior = null } = {}) {
+    const stage = async (stageId) => {
+      if (signal) signal.throwIfAborted();
+      if (onStage) await onStage(stageId);
+    };
+    // Records saved before languages existed were all written in English
+    const languages = record.languages || { profile: DEFAULT_LANGUAGE, analysis: DEFAULT_LANGUAGE };
+
+    addJobContext({ caseId: record.id });
+    // The job's live usage accumulator, so every save records the spend so far
+    record.usage = currentJobUsage() || emptyUsage();
+    await saveRecord(record);
+    logger.info({ mode: record.mode, channel: record.channel, items: mediaFiles.length }, '▶️ Pipeline started');
+
+    try {
+      const { requestContent, counts, frameStats } = await timeStage('prepare',
+        () => buildPipelineRequest(mediaFiles, record.targetFps, { signal, onStage: stage, languages }));
+      record.inputCounts = counts;
+      record.frameStats = frameStats;
+      if (metrics) metrics.recordFrames(frameStats);
+
+      // STEP 1: Clinical Profile Compile
+      await stage('profile');
+      await timeStage('profile', async () => {
+        const rawPrimaryResponse = await generateModelContent(requestContent, PRIMARY_SYSTEM_INSTRUCTION, { signal });
+        record.metadata = await resolveMetadata(rawPrimaryResponse, signal, languages.analysis);
+        record.profile = stripMetadataBlock(rawPrimaryResponse);
+      });
+
+      const prior = findPrior ? await findPrior(record) : null;
+      if (prior) {
+        await stage('comparison');
+        record.profile = await timeStage('comparison', () => generateIntervalProfile(record.profile, prior, signal, languages.profile));
+        record.comparedWith = { caseId: prior.id, createdAt: prior.createdAt, study: prior.metadata ? prior.metadata.study : null };
+      }
+
+      await saveRecord(record);
+      if (onProfile) await onProfile(record);
+
+      if (record.mode === 'secondary') {
+        // STEP 2: Secondary modality guidelines
+        await stage('secondary');
+        record.secondary = await timeStage('secondary', () => generateSecondaryAnalysis(record.profile, record.persona, signal, languages.analysis));
+      }
+
+      record.status = 'completed';
+      record.completedAt = new Date().toISOString();
+      await saveRecord(record);
+      logger.info({ durationMs: Date.parse(record.completedAt) - Date.parse(record.createdAt), usage: record.usage }, '✅ Pipeline completed');
+      if (onCompleted) await onCompleted(record);
+      return record;
+    } catch (error) {
+      record.status = isAbortError(error) ? 'cancelled' : 'failed';
+      record.error = error.message;
+      await saveRecord(record);
+      logger.warn({ status: record.status, err: error.message }, '⏹️ Pipeline ended early');
+      throw error;
+    }
+  }
+
+  return { generateModelContent, generateIntervalProfile, generateSecondaryAnalysis, resolveMetadata, buildPipelineRequest, runPipeline };
+}
@@ -0,0 +1,167 @@
+// ======================================================================
+// 🚦 USAGE QUOTAS (Per-user and global run, media and video limits)
+// ======================================================================
+// Usage is persisted in the 'usage' collection, one document per user plus
+// one for the whole bot: { id, runTimes: [epoch ms in the last hour],
+// days: { 'YYYY-MM-DD': { runs, mediaItems, videoSeconds } } }.
+// Days are UTC; runs per hour is a sliding window. A limit of 0 means no limit.
+// Admin overrides live in 'quota-overrides': { id: userId, limits, updatedBy }.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const KEPT_DAYS = 7; // Daily totals kept for /usage
+const GLOBAL_ID = 'global';
+
+export const QUOTA_LIMITS = {
+  runsPerHour: { alias: 'runs', label: 'runs per hour' },
+  mediaItemsPerDay: { alias: 'media', label: 'media items per day' },
+  videoMinutesPerDay: { alias: 'video', label: 'video minutes per day' }
+};
+
+const dayKey = (ms) => new Date(ms).toISOString().slice(0, 10);
+const nextUtcMidnight = (ms) => Date.parse(dayKey(ms)) + DAY_MS;
+const emptyDay = () => ({ runs: 0, mediaItems: 0, videoSeconds: 0 });
+
+export function formatWait(ms) {
+  const minutes = Math.max(Math.ceil(ms / 60000), 1);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+// Accepts the alias ("runs") or the full name ("runsPerHour")
+export function resolveQuotaLimit(name) {
+  const value = String(name || '').trim();
+  return Object.keys(QUOTA_LIMITS).find(key => key === value || QUOTA_LIMITS[key].alias === value.toLowerCase()) || null;
+}
+
+export function createUsageQuotas({ storage, userLimits, globalLimits, now = () => Date.now() }) {
+  const docs = new Map(); // cache, so a check and its update happen without awaiting in between
+  const overrides = new Map();
+
+  async function load() {
+    const saved = await storage.list('quota-overrides');
+    saved.forEach(o => overrides.set(String(o.id), o));
+    return overrides.size;
+  }
+
+  async function getDoc(id) {
+    if (!docs.has(id)) {
+      const saved = await storage.get('usage', id);
+      // Another caller may have filled the cache while this one awaited storage
+      if (!docs.has(id)) docs.set(id, saved || { id, runTimes: [], days: {} });
+    }
+    const doc = docs.get(id);
+    const at = now();
+    doc.runTimes = doc.runTimes.filter(t => t > at - HOUR_MS);
+    const oldestKept = dayKey(at - (KEPT_DAYS - 1) * DAY_MS);
+    Object.keys(doc.days).filter(day => day < oldestKept).forEach(day => delete doc.days[day]);
+    return doc;
+  }
+
+  function limitsFor(userId) {
+    const override = overrides.get(String(userId));
+    return { ...userLimits, ...(override ? override.limits : {}) };
+  }
+
+  // Returns the first limit the demand would break, or null
+  function findBreach(doc, limits, demand, scope) {
+    const at = now();
+    const today = doc.days[dayKey(at)] || emptyDay();
+    const checks = [
+      { limit: 'runsPerHour', used: doc.runTimes.length, needed: demand.runs, resetsAt: (doc.runTimes[0] || at) + HOUR_MS },
+      { limit: 'mediaItemsPerDay', used: today.mediaItems, needed: demand.mediaItems, resetsAt: nextUtcMidnight(at) },
+      { limit: 'videoMinutesPerDay', used: today.videoSeconds / 60, needed: demand.videoSeconds / 60, resetsAt: nextUtcMidnight(at) }
+    ];
+    const breach = checks.find(c => limits[c.limit] > 0 && c.needed > 0 && c.used + c.needed > limits[c.limit]);
+    return breach ? { ...breach, scope, max: limits[breach.limit], label: QUOTA_LIMITS[breach.limit].label, resetsInMs: breach.resetsAt - at } : null;
+  }
+
+  function addUsage(doc, demand) {
+    const at = now();
+    const day = doc.days[dayKey(at)] || (doc.days[dayKey(at)] = emptyDay());
+    for (let i = 0; i < demand.runs; i++) doc.runTimes.push(at);
+    day.runs += demand.runs;
+    day.mediaItems += demand.mediaItems;
+    day.videoSeconds += demand.videoSeconds;
+  }
+
+  // Records the demand if it fits both the user's and the global limits; returns { ok, breach }
+  async function consume(userId, { runs = 1, mediaItems = 0, videoSeconds = 0 } = {}) {
+    const demand = { runs, mediaItems, videoSeconds };
+    const [userDoc, globalDoc] = [await getDoc(String(userId)), await getDoc(GLOBAL_ID)];
+    const breach = findBreach(userDoc, limitsFor(userId), demand, 'user') || findBreach(globalDoc, globalLimits, demand, 'global');
+    if (breach) return { ok: false, breach };
+
+    addUsage(userDoc, demand);
+    addUsage(globalDoc, demand);
+    await storage.set('usage', userDoc.id, userDoc);
+    await storage.set('usage', globalDoc.id, globalDoc);
+    return { ok: true, breach: null };
+  }
+
+  function removeUsage(doc, demand) {
+    doc.runTimes.splice(Math.max(doc.runTimes.length - demand.runs, 0));
+    const day = doc.days[dayKey(now())];
+    if (!day) return;
+    day.runs = Math.max(day.runs - demand.runs, 0);
+    day.mediaItems = Math.max(day.mediaItems - demand.mediaItems, 0);
+    day.videoSeconds = Math.max(day.videoSeconds - demand.videoSeconds, 0);
+  }
+
+  // Gives back what consume() recorded, e.g. for a run answered from the result cache
+  async function refund(userId, { runs = 1, mediaItems = 0, videoSeconds = 0 } = {}) {
+    const demand = { runs, mediaItems, videoSeconds };
+    const [userDoc, globalDoc] = [await getDoc(String(userId)), await getDoc(GLOBAL_ID)];
+    removeUsage(userDoc, demand);
+    removeUsage(globalDoc, demand);
+    await storage.set('usage', userDoc.id, userDoc);
+    await storage.set('usage', globalDoc.id, globalDoc);
+  }
+
+  async function summarize(id, limits) {
+    const doc = await getDoc(id);
+    const at = now();
+    const week = Object.values(doc.days).reduce((sum, d) => ({
+      runs: sum.runs + d.runs,
+      mediaItems: sum.mediaItems + d.mediaItems,
+      videoSeconds: sum.videoSeconds + d.videoSeconds
+    }), emptyDay());
+    return {
+      limits,
+      hourRuns: doc.runTimes.length,
+      hourResetsInMs: doc.runTimes.length > 0 ? doc.runTimes[0] + HOUR_MS - at : 0,
+      today: doc.days[dayKey(at)] || emptyDay(),
+      dayResetsInMs: nextUtcMidnight(at) - at,
+      week
+    };
+  }
+
+  const usageOf = (userId) => summarize(String(userId), limitsFor(userId));
+  const globalUsage = () => summarize(GLOBAL_ID, globalLimits);
+
+  // value: a number (0 = unlimited) or null to fall back to the configured default
+  async function setOverride(userId, limit, value, updatedBy) {
+    if (!QUOTA_LIMITS[limit]) throw new Error(`Unknown limit "${limit}". Use ${Object.values(QUOTA_LIMITS).map(l => l.alias).join(', ')}.`);
+    if (value !== null && !(Number.isFinite(value) && value >= 0)) throw new Error('The limit must be a number of 0 or more (0 = unlimited)');
+
+    const id = String(userId);
+    const existing = overrides.get(id) || { id, limits: {} };
+    const limits = { ...existing.limits };
+    if (value === null) delete limits[limit];
+    else limits[limit] = value;
+
+    if (Object.keys(limits).length === 0) {
+      overrides.delete(id);
+      await storage.delete('quota-overrides', id);
+      return null;
+    }
+    const record = { id, limits, updatedBy: String(updatedBy), updatedAt: new Date(now()).toISOString() };
+    overrides.set(id, record);
+    await storage.set('quota-overrides', id, record);
+    return record;
+  }
+
+  const getOverride = (userId) => overrides.get(String(userId)) || null;
+
+  return { load, consume, refund, usageOf, globalUsage, limitsFor, setOverride, getOverride };
+}
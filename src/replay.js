@@ -0,0 +1,58 @@
+import { createHash } from 'crypto';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 📼 RECORDED RESPONSES (Record live model calls, replay them offline)
+// ======================================================================
+// Both wrap the llm.generate interface. A recording is the ordered list of a
+// case's calls: { instruction, text, usage, model, provider }, where instruction
+// fingerprints the system instruction so a replay can tell when prompts changed.
+
+const fingerprint = (systemInstruction) => (systemInstruction
+  ? createHash('sha256').update(systemInstruction).digest('hex').slice(0, 12)
+  : null);
+
+// take() hands over the calls recorded since the last take()
+export function createRecordingBackend(llm) {
+  let calls = [];
+
+  async function generate(requestContent, systemInstruction, options = {}) {
+    const result = await llm.generate(requestContent, systemInstruction, options);
+    calls.push({ instruction: fingerprint(systemInstruction), text: result.text, usage: result.usage || null, model: result.model, provider: result.provider });
+    return result;
+  }
+
+  function take() {
+    const taken = calls;
+    calls = [];
+    return taken;
+  }
+
+  return { ...llm, generate, take };
+}
+
+// load(calls) queues one case's recording; each generate() answers with the next call in order
+export function createReplayBackend({ logger = createLogger() } = {}) {
+  let queue = [];
+  let position = 0;
+
+  function load(calls) {
+    queue = [...calls];
+    position = 0;
+  }
+
+  async function generate(requestContent, systemInstruction, { signal } = {}) {
+    if (signal) signal.throwIfAborted();
+    const call = queue[position++];
+    if (!call) {
+      throw new Error(`No recorded response for model call #${position}; the pipeline now makes more calls than were recorded`);
+    }
+    if (call.instruction !== fingerprint(systemInstruction)) {
+      logger.warn({ call: position }, '📼 System instruction differs from the recording; replaying the recorded response anyway');
+    }
+    // A replay spends nothing, so it reports no usage
+    return { text: call.text, usage: null, model: call.model, provider: 'replay' };
+  }
+
+  return { provider: 'replay', models: ['replay'], keyCount: 0, load, generate, getHealth: () => [] };
+}
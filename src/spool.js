@@ -0,0 +1,145 @@
+import fs from 'fs';
+import { join, dirname } from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { randomUUID } from 'crypto';
+import axios from 'axios';
+import { formatBytes } from './utils.js';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 💽 MEDIA SPOOL (Disk-backed buffer items, one directory per queue)
+// ======================================================================
+// Downloads are streamed straight to disk and buffered items carry
+// { path, sizeBytes } instead of base64 data until a pipeline run reads them.
+
+const tooLarge = (maxBytes) => new Error(`The file is larger than the ${formatBytes(maxBytes)} allowed`);
+
+export function createMediaSpool({ dir, logger = createLogger() }) {
+  const dirFor = (key) => join(dir, String(key).replace(/[^\w-]/g, '_'));
+  const creating = new Map(); // queue directory -> files being created in it
+
+  // Opens a new empty file under the key. A discard may remove the directory just as it is
+  // created, so that is retried once; while the count is up no further removal is started.
+  async function newFile(key) {
+    const queueDir = dirFor(key);
+    creating.set(queueDir, (creating.get(queueDir) || 0) + 1);
+    try {
+      const path = join(queueDir, randomUUID());
+      for (let attempt = 0; ; attempt++) {
+        await fs.promises.mkdir(queueDir, { recursive: true });
+        try {
+          return { path, handle: await fs.promises.open(path, 'wx') };
+        } catch (e) {
+          if (e.code !== 'ENOENT' || attempt > 0) throw e;
+        }
+      }
+    } finally {
+      const count = creating.get(queueDir) - 1;
+      if (count > 0) creating.set(queueDir, count);
+      else creating.delete(queueDir);
+    }
+  }
+
+  async function removePath(path) {
+    await fs.promises.rm(path, { force: true });
+    // The queue directory goes once its last file does
+    if (!creating.has(dirname(path))) await fs.promises.rmdir(dirname(path)).catch(() => {});
+  }
+
+  // Streams to disk, giving up as soon as the file grows past maxBytes
+  async function save(stream, key, { maxBytes = Infinity } = {}) {
+    const { path, handle } = await newFile(key);
+    let sizeBytes = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        sizeBytes += chunk.length;
+        callback(sizeBytes > maxBytes ? tooLarge(maxBytes) : null, chunk);
+      }
+    });
+    try {
+      await pipeline(stream, limiter, handle.createWriteStream());
+    } catch (e) {
+      await removePath(path);
+      throw e;
+    }
+    return { path, sizeBytes };
+  }
+
+  async function download(url, key, { maxBytes = Infinity } = {}) {
+    const response = await axios.get(url, { responseType: 'stream' });
+    if (Number(response.headers['content-length']) > maxBytes) {
+      response.data.destroy();
+      throw tooLarge(maxBytes);
+    }
+    return save(response.data, key, { maxBytes });
+  }
+
+  async function write(key, buffer) {
+    const { path, handle } = await newFile(key);
+    try {
+      await handle.writeFile(buffer);
+    } finally {
+      await handle.close();
+    }
+    return { path, sizeBytes: buffer.length };
+  }
+
+  // Hard-links a spooled file under another key (copying across filesystems), so it outlives its queue
+  async function link(sourcePath, key) {
+    const { path, handle } = await newFile(key);
+    await handle.close();
+    // The link is made beside the empty file and renamed over it, so the directory is never empty meanwhile
+    try {
+      await fs.promises.link(sourcePath, `${path}.link`);
+      await fs.promises.rename(`${path}.link`, path);
+    } catch (e) {
+      if (e.code !== 'EXDEV' && e.code !== 'EPERM') {
+        await removePath(path);
+        throw e;
+      }
+      await fs.promises.copyFile(sourcePath, path);
+    }
+    return { path, sizeBytes: (await fs.promises.stat(path)).size };
+  }
+
+  const read = (path) => fs.promises.readFile(path);
+
+  // Deletes every file spooled under a key
+  const clear = (key) => fs.promises.rm(dirFor(key), { recursive: true, force: true });
+
+  // Deletes the files behind spooled items and their spooled images (DICOM slices); items without a path are ignored
+  async function discard(items) {
+    for (const item of items.flatMap(item => (item && item.images) || [item])) {
+      if (!item || !item.path) continue;
+      try {
+        await removePath(item.path);
+      } catch (e) {
+        logger.error({ path: item.path, err: e.message }, '💽 Spool cleanup failed');
+      }
+    }
+  }
+
+  // Synchronous so it can run from a process 'exit' handler
+  function sweep(keepPaths = new Set()) {
+    if (!fs.existsSync(dir)) return 0;
+    let removed = 0;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const queueDir = join(dir, entry.name);
+      if (!entry.isDirectory()) {
+        fs.rmSync(queueDir, { force: true });
+        continue;
+      }
+      for (const file of fs.readdirSync(queueDir)) {
+        const path = join(queueDir, file);
+        if (keepPaths.has(path)) continue;
+        fs.rmSync(path, { recursive: true, force: true });
+        removed++;
+      }
+      if (fs.readdirSync(queueDir).length === 0) fs.rmdirSync(queueDir);
+    }
+    return removed;
+  }
+
+  return { dir, save, download, write, link, read, discard, clear, sweep };
+}
@@ -0,0 +1,143 @@
+import fs from 'fs';
+import { join } from 'path';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 💾 PLUGGABLE STORAGE LAYER
+// ======================================================================
+// Documents live in named collections keyed by id; logs are append-only
+// JSON lines. The 'file' driver survives restarts, 'memory' does not.
+
+const clone = (doc) => (doc === null || doc === undefined ? null : JSON.parse(JSON.stringify(doc)));
+
+function createMemoryStorage() {
+  const collections = new Map();
+  const logs = new Map();
+
+  const getCollection = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    driver: 'memory',
+    async get(collection, id) {
+      return clone(getCollection(collection).get(String(id)));
+    },
+    async set(collection, id, doc) {
+      getCollection(collection).set(String(id), clone(doc));
+    },
+    async delete(collection, id) {
+      getCollection(collection).delete(String(id));
+    },
+    async list(collection) {
+      return [...getCollection(collection).values()].map(clone);
+    },
+    async keys(collection) {
+      return [...getCollection(collection).keys()];
+    },
+    async append(logName, entry) {
+      if (!logs.has(logName)) logs.set(logName, []);
+      logs.get(logName).push(clone(entry));
+    },
+    async readLog(logName, { limit = 0 } = {}) {
+      const entries = logs.get(logName) || [];
+      return (limit > 0 ? entries.slice(-limit) : entries).map(clone);
+    }
+  };
+}
+
+function createFileStorage(dir, logger) {
+  fs.mkdirSync(dir, { recursive: true });
+  const writeQueues = new Map();
+
+  const collectionDir = (name) => {
+    const path = join(dir, name);
+    fs.mkdirSync(path, { recursive: true });
+    return path;
+  };
+  const docPath = (collection, id) => join(collectionDir(collection), `${encodeURIComponent(String(id))}.json`);
+  const logPath = (logName) => join(dir, `${logName}.jsonl`);
+
+  // Serializes writes per file so concurrent updates never interleave
+  const enqueue = (path, task) => {
+    const previous = writeQueues.get(path) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    writeQueues.set(path, next);
+    next.finally(() => {
+      if (writeQueues.get(path) === next) writeQueues.delete(path);
+    }).catch(() => {});
+    return next;
+  };
+
+  return {
+    driver: 'file',
+    async get(collection, id) {
+      try {
+        return JSON.parse(await fs.promises.readFile(docPath(collection, id), 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async set(collection, id, doc) {
+      const target = docPath(collection, id);
+      return enqueue(target, async () => {
+        const tempPath = `${target}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(doc));
+        await fs.promises.rename(tempPath, target);
+      });
+    },
+    async delete(collection, id) {
+      const target = docPath(collection, id);
+      return enqueue(target, () => fs.promises.rm(target, { force: true }));
+    },
+    async list(collection) {
+      const path = collectionDir(collection);
+      const files = (await fs.promises.readdir(path)).filter(f => f.endsWith('.json'));
+      const docs = [];
+      for (const file of files) {
+        try {
+          docs.push(JSON.parse(await fs.promises.readFile(join(path, file), 'utf8')));
+        } catch (e) {
+          logger.error({ collection, file, err: e.message }, '💾 Skipping unreadable record');
+        }
+      }
+      return docs;
+    },
+    // Ids only, without reading documents (cheap for collections holding media)
+    async keys(collection) {
+      return (await fs.promises.readdir(collectionDir(collection)))
+        .filter(f => f.endsWith('.json'))
+        .map(f => decodeURIComponent(f.slice(0, -'.json'.length)));
+    },
+    async append(logName, entry) {
+      const target = logPath(logName);
+      return enqueue(target, () => fs.promises.appendFile(target, JSON.stringify(entry) + '\n'));
+    },
+    async readLog(logName, { limit = 0 } = {}) {
+      let raw;
+      try {
+        raw = await fs.promises.readFile(logPath(logName), 'utf8');
+      } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+      }
+      const lines = raw.split('\n').filter(line => line.trim().length > 0);
+      const selected = limit > 0 ? lines.slice(-limit) : lines;
+      return selected.flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (e) {
+          return [];
+        }
+      });
+    }
+  };
+}
+
+export function createStorage({ driver = 'file', dir = './data', logger = createLogger() } = {}) {
+  if (driver === 'memory') return createMemoryStorage();
+  if (driver === 'file') return createFileStorage(dir, logger);
+  throw new Error(`Unknown storage driver "${driver}". Use 'file' or 'memory'.`);
+}
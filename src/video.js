@@ -0,0 +1,151 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import { HASH_WIDTH, HASH_HEIGHT, countRawHashFrames, splitRawHashes, dedupeFrames } from './frames.js';
+import { createLogger } from './logger.js';
+
+// ======================================================================
+// 🎞️ VIDEO EXTRACTION (ffmpeg frames and narration audio)
+// ======================================================================
+// selection: 'adaptive' (scene change + dedup) or 'fixed' (one frame per batch of three)
+
+// Setup FFmpeg path automatically
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+export function createVideoExtractor({ selection = 'adaptive', sceneThreshold, dedupThreshold, audioBitrate = '48k', logger = createLogger() }) {
+  // Returns the narration as base64 MP3, or null when the video has no audio stream
+  async function extractAudio(videoBuffer, signal = null) {
+    return new Promise((resolve, reject) => {
+      const tempId = Math.random().toString(36).substring(7);
+      const tempDir = os.tmpdir();
+      const inputPath = join(tempDir, `input_${tempId}.mp4`);
+      const outputPath = join(tempDir, `audio_${tempId}.mp3`);
+
+      const cleanup = () => {
+        for (const path of [inputPath, outputPath]) {
+          try { if (fs.existsSync(path)) fs.unlinkSync(path); } catch (e) {}
+        }
+      };
+
+      fs.writeFileSync(inputPath, videoBuffer);
+
+      const command = ffmpeg(inputPath);
+      const onAbort = () => command.kill('SIGKILL');
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      command
+        .noVideo()
+        .audioCodec('libmp3lame')
+        .audioChannels(1)
+        .audioBitrate(audioBitrate)
+        .output(outputPath)
+        .on('end', () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          try {
+            const audio = fs.existsSync(outputPath) ? fs.readFileSync(outputPath) : null;
+            cleanup();
+            resolve(audio && audio.length > 0 ? audio.toString('base64') : null);
+          } catch (err) {
+            cleanup();
+            reject(err);
+          }
+        })
+        .on('error', (err) => {
+          cleanup();
+          if (signal && signal.aborted) return reject(signal.reason);
+          if (signal) signal.removeEventListener('abort', onAbort);
+          // Screen recordings often have no audio stream at all
+          if (/does not contain any stream|matches no streams/i.test(err.message)) {
+            resolve(null);
+          } else {
+            reject(err);
+          }
+        })
+        .run();
+    });
+  }
+
+  // Returns { frames, extracted }: the selected base64 JPEG frames and how many were sampled before selection
+  async function extractFrames(videoBuffer, targetFps = 3, signal = null) {
+    return new Promise((resolve, reject) => {
+      const tempId = Math.random().toString(36).substring(7);
+      const tempDir = os.tmpdir();
+      const inputPath = join(tempDir, `input_${tempId}.mp4`);
+      const outputPattern = join(tempDir, `frame_${tempId}_%03d.jpg`);
+      const sampledHashPath = join(tempDir, `hash_all_${tempId}.raw`);
+      const selectedHashPath = join(tempDir, `hash_sel_${tempId}.raw`);
+      const adaptive = selection === 'adaptive';
+
+      const cleanup = () => {
+        const leftovers = fs.readdirSync(tempDir)
+          .filter(f => f.startsWith(`frame_${tempId}_`))
+          .map(f => join(tempDir, f));
+        for (const path of [inputPath, sampledHashPath, selectedHashPath, ...leftovers]) {
+          try { if (fs.existsSync(path)) fs.unlinkSync(path); } catch (e) {}
+        }
+      };
+
+      fs.writeFileSync(inputPath, videoBuffer);
+
+      const batchSize = 3;
+      const inputFps = targetFps * batchSize;
+      const videoFilter = `fps=${inputFps},thumbnail=${batchSize}`;
+
+      logger.info({ targetFps, selection: adaptive ? 'adaptive' : 'fixed' }, '🎞️ Smart frame extraction');
+
+      const command = ffmpeg(inputPath);
+      const onAbort = () => command.kill('SIGKILL');
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      if (adaptive) {
+        // Sampled frames are hashed for the extracted count; scene changes become JPEGs plus their own hashes
+        const hashScale = `scale=${HASH_WIDTH}:${HASH_HEIGHT}:flags=area,format=gray`;
+        command
+          .complexFilter(`[0:v]${videoFilter},split=2[sampled][scan];` +
+            `[sampled]${hashScale}[allhash];` +
+            `[scan]select='eq(n\\,0)+gt(scene\\,${sceneThreshold})',split=2[frames][selected];` +
+            `[selected]${hashScale}[selhash]`)
+          .output(outputPattern).outputOptions(['-map [frames]', '-vsync 0', '-q:v 2'])
+          .output(sampledHashPath).outputOptions(['-map [allhash]', '-vsync 0', '-f rawvideo'])
+          .output(selectedHashPath).outputOptions(['-map [selhash]', '-vsync 0', '-f rawvideo']);
+      } else {
+        command.outputOptions([`-vf ${videoFilter}`, '-vsync 0', '-q:v 2']).output(outputPattern);
+      }
+
+      command
+        .on('end', () => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          try {
+            const files = fs.readdirSync(tempDir)
+              .filter(f => f.startsWith(`frame_${tempId}_`) && f.endsWith('.jpg'))
+              .sort();
+
+            let frames = files.map(file => fs.readFileSync(join(tempDir, file)).toString('base64'));
+            let extracted = frames.length;
+
+            if (adaptive) {
+              extracted = Math.max(countRawHashFrames(fs.readFileSync(sampledHashPath)), frames.length);
+              const hashes = splitRawHashes(fs.readFileSync(selectedHashPath));
+              frames = dedupeFrames(frames, hashes, dedupThreshold);
+            }
+
+            cleanup();
+            resolve({ frames, extracted });
+          } catch (err) {
+            cleanup();
+            reject(err);
+          }
+        })
+        .on('error', (err) => {
+          if (signal) signal.removeEventListener('abort', onAbort);
+          cleanup();
+          reject(signal && signal.aborted ? signal.reason : err);
+        })
+        .run();
+    });
+  }
+
+  return { extractFrames, extractAudio };
+}
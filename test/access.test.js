@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/storage.js';
+import { createAccessControl } from '../src/access.js';
+
+async function setup(options = {}) {
+  const storage = createStorage({ driver: 'memory' });
+  const access = createAccessControl({ storage, adminId: '1', seedUserIds: ['2'], ...options });
+  await access.load();
+  return { storage, access };
+}
+
+test('each role gets exactly its permissions', async () => {
+  const { access } = await setup();
+  await access.approve(3, 'viewer', '1');
+  await access.approve(4, 'admin', '1');
+
+  const permissions = (userId) => ['view', 'submit', 'process', 'manage'].filter(p => access.can(userId, p));
+  assert.deepEqual(permissions(1), ['view', 'submit', 'process', 'manage']);
+  assert.deepEqual(permissions(2), ['view', 'submit', 'process']);
+  assert.deepEqual(permissions(3), ['view']);
+  assert.deepEqual(permissions(4), ['view', 'submit', 'process', 'manage']);
+  assert.deepEqual(permissions(5), []);
+  assert.equal(access.isAllowed(5), false);
+});
+
+test('pending, denied and revoked users have no role', async () => {
+  const { access } = await setup();
+  const first = await access.requestAccess({ id: 5, name: 'Dr A' });
+  assert.equal(first.created, true);
+  assert.equal((await access.requestAccess({ id: 5, name: 'Dr A' })).created, false);
+  assert.equal(access.getRole(5), null);
+
+  await access.deny(5, '1');
+  assert.equal(access.getRecord(5).status, 'denied');
+  assert.equal(access.can(5, 'view'), false);
+
+  await access.approve(5, 'clinician', '1');
+  assert.equal(access.getRole(5), 'clinician');
+  await access.revoke(5, '1');
+  assert.equal(access.getRole(5), null);
+  await assert.rejects(access.revoke(5, '1'), /does not currently have access/);
+});
+
+test('roles can only change for approved users, and the configured admin is fixed', async () => {
+  const { access } = await setup();
+  await assert.rejects(access.setRole(6, 'viewer', '1'), /not approved yet/);
+  await assert.rejects(access.approve(6, 'superuser', '1'), /Unknown role/);
+  await access.setRole(2, 'viewer', '1');
+  assert.equal(access.getRole(2), 'viewer');
+  await assert.rejects(access.setRole(1, 'viewer', '1'), /always an admin/);
+  await assert.rejects(access.revoke(1, '1'), /cannot be revoked/);
+});
+
+test('decisions persist, and seeding does not override them', async () => {
+  const { storage, access } = await setup();
+  await access.setRole(2, 'viewer', '1');
+  const reloaded = createAccessControl({ storage, adminId: '1', seedUserIds: ['2'] });
+  await reloaded.load();
+  assert.equal(reloaded.getRole(2), 'viewer');
+});
+
+test('with access control off everyone may use the bot but only the admin manages it', async () => {
+  const { access } = await setup({ enabled: false });
+  assert.equal(access.isAllowed(9), true);
+  assert.equal(access.can(9, 'process'), true);
+  assert.equal(access.can(9, 'manage'), false);
+  assert.equal(access.can(1, 'manage'), true);
+});
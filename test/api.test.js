@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import { join } from 'path';
+import express from 'express';
+import { createCaseApiRouter, parseApiTokens } from '../src/api.js';
+import { createMediaSpool } from '../src/spool.js';
+import { createLogger } from '../src/logger.js';
+
+const silent = createLogger({ level: 'silent' });
+
+// Serves the router on a free port; startCase records what it was handed
+async function startServer(t) {
+  const dir = fs.mkdtempSync(join(os.tmpdir(), 'api-test-'));
+  const spool = createMediaSpool({ dir, logger: silent });
+  const started = [];
+  const app = express();
+  app.use('/api', createCaseApiRouter({
+    tokens: parseApiTokens(['ris:secret']),
+    maxFiles: 3,
+    maxFileBytes: 1024,
+    personaIds: ['radiologist'],
+    defaultPersonaId: 'radiologist',
+    startCase: async (mediaFiles, options) => {
+      started.push({ mediaFiles, options });
+      return { id: 'case-1', done: new Promise(() => {}) };
+    },
+    getCase: async () => null,
+    spool,
+    logger: silent
+  }));
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const url = `http://127.0.0.1:${server.address().port}/api/cases`;
+  const spooledFiles = () => (fs.existsSync(dir) ? fs.readdirSync(dir, { recursive: true }).filter(f => fs.statSync(join(dir, f)).isFile()) : []);
+  return { url, started, spooledFiles };
+}
+
+const auth = { authorization: 'Bearer secret' };
+
+function form(fields, files = []) {
+  const body = new FormData();
+  Object.entries(fields).forEach(([name, value]) => body.append(name, value));
+  files.forEach(({ name, type, content }) => body.append('files', new Blob([content], { type }), name));
+  return body;
+}
+
+test('rejects requests without a valid token', async (t) => {
+  const { url } = await startServer(t);
+  const res = await fetch(url, { method: 'POST', headers: { authorization: 'Bearer nope' }, body: form({ notes: 'x' }) });
+  assert.equal(res.status, 401);
+});
+
+test('answers a JSON body with 415 instead of crashing', async (t) => {
+  const { url, started } = await startServer(t);
+  const res = await fetch(url, { method: 'POST', headers: { ...auth, 'content-type': 'application/json' }, body: JSON.stringify({ notes: 'x' }) });
+  assert.equal(res.status, 415);
+  const empty = await fetch(url, { method: 'POST', headers: auth });
+  assert.equal(empty.status, 415);
+  assert.equal(started.length, 0);
+});
+
+test('validates mode, persona and fps and removes the uploads it refuses', async (t) => {
+  const { url, started, spooledFiles } = await startServer(t);
+  const file = { name: 'scan.png', type: 'image/png', content: 'png' };
+  for (const fields of [{ mode: 'tertiary' }, { persona: 'cardiologist' }, { persona: 'radiologist', mode: 'primary' }, { fps: '5' }]) {
+    const res = await fetch(url, { method: 'POST', headers: auth, body: form(fields, [file]) });
+    assert.equal(res.status, 400, JSON.stringify(fields));
+  }
+  const unsupported = await fetch(url, { method: 'POST', headers: auth, body: form({}, [{ name: 'a.exe', type: 'application/octet-stream', content: 'x' }]) });
+  assert.equal(unsupported.status, 415);
+  const nothing = await fetch(url, { method: 'POST', headers: auth, body: form({ notes: '  ' }) });
+  assert.equal(nothing.status, 400);
+  const tooBig = await fetch(url, { method: 'POST', headers: auth, body: form({}, [{ ...file, content: 'x'.repeat(2048) }]) });
+  assert.equal(tooBig.status, 413);
+
+  assert.equal(started.length, 0);
+  assert.deepEqual(spooledFiles(), []);
+});
+
+test('hands accepted uploads to startCase as spooled items', async (t) => {
+  const { url, started, spooledFiles } = await startServer(t);
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: auth,
+    body: form({ notes: 'H/o fever', persona: 'radiologist', fps: '2', compare: 'true' }, [{ name: 'scan.png', type: 'image/png', content: 'png' }])
+  });
+  assert.equal(res.status, 202);
+  assert.deepEqual(await res.json(), { id: 'case-1', status: 'processing' });
+
+  const [{ mediaFiles, options }] = started;
+  assert.deepEqual(options, { client: 'ris', targetFps: 2, personaId: 'radiologist', compareWithPrior: true });
+  assert.equal(mediaFiles[0].type, 'image');
+  assert.equal(mediaFiles[0].sizeBytes, 3);
+  assert.equal(fs.readFileSync(mediaFiles[0].path, 'utf8'), 'png');
+  assert.deepEqual(mediaFiles[1], { type: 'text', content: 'H/o fever' });
+  assert.equal(spooledFiles().length, 1);
+});
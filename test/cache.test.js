@@ -0,0 +1,45 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/storage.js';
+import { createResultCache, resultCacheKey, instructionVersion } from '../src/cache.js';
+
+const items = [
+  { type: 'image', mimeType: 'image/jpeg', caption: 'CT 1', data: 'AAAA' },
+  { type: 'text', content: 'H/o fever' },
+  { type: 'dicom', caption: '', context: 'Modality: CT', images: [{ data: 'BBBB', caption: 'slice 1' }] }
+];
+const settings = { targetFps: 3, persona: null, compare: false, languages: { profile: 'en', analysis: 'en' }, version: 'v1' };
+const scope = { chatId: 100, userId: 7 };
+
+test('the same inputs in another order share a key', () => {
+  assert.equal(resultCacheKey(items, settings, scope), resultCacheKey([...items].reverse(), settings, scope));
+});
+
+test('keys are scoped to the chat and the sender', () => {
+  const key = resultCacheKey(items, settings, scope);
+  assert.notEqual(resultCacheKey(items, settings, { chatId: 200, userId: 7 }), key);
+  assert.notEqual(resultCacheKey(items, settings, { chatId: 100, userId: 8 }), key);
+  assert.notEqual(resultCacheKey(items, settings, { client: 'ris' }), key);
+  assert.throws(() => resultCacheKey(items, settings), /needs a scope/);
+});
+
+test('inputs and settings change the key', () => {
+  const key = resultCacheKey(items, settings, scope);
+  assert.notEqual(resultCacheKey([...items, { type: 'text', content: 'More' }], settings, scope), key);
+  assert.notEqual(resultCacheKey([{ ...items[0], data: 'AAAB' }, ...items.slice(1)], settings, scope), key);
+  assert.notEqual(resultCacheKey(items, { ...settings, compare: true }, scope), key);
+  assert.notEqual(resultCacheKey(items, { ...settings, version: instructionVersion('edited prompt') }, scope), key);
+});
+
+test('entries expire after the TTL and are pruned', async () => {
+  let now = 1000;
+  const storage = createStorage({ driver: 'memory' });
+  const cache = createResultCache({ storage, ttlMs: 500, now: () => now });
+  await cache.set('a', 'case-a');
+  await cache.set('b', 'case-b');
+  assert.equal(await cache.get('a'), 'case-a');
+  now += 501;
+  assert.equal(await cache.get('a'), null);
+  assert.equal(await cache.prune(), 1);
+  assert.deepEqual(await storage.list('result-cache'), []);
+});
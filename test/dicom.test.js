@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { zipSync } from 'fflate';
+import { renderDicomFile, renderDicomZip } from '../src/dicom.js';
+
+// Explicit VR little endian elements, just enough for an 8x8 MONOCHROME2 slice
+function element(group, tag, vr, value) {
+  const long = ['OB', 'OW', 'UN', 'SQ', 'UT'].includes(vr);
+  const header = Buffer.alloc(long ? 12 : 8);
+  header.writeUInt16LE(group, 0);
+  header.writeUInt16LE(tag, 2);
+  header.write(vr, 4, 'latin1');
+  if (long) header.writeUInt32LE(value.length, 8);
+  else header.writeUInt16LE(value.length, 6);
+  return Buffer.concat([header, value]);
+}
+
+const text = (value) => Buffer.from(value.length % 2 ? `${value} ` : value, 'latin1');
+const uint16 = (value) => {
+  const buffer = Buffer.alloc(2);
+  buffer.writeUInt16LE(value);
+  return buffer;
+};
+
+function dicomSlice({ series, instance, modality = 'CT' }) {
+  const meta = element(0x0002, 0x0010, 'UI', Buffer.from('1.2.840.10008.1.2.1\0', 'latin1'));
+  const body = Buffer.concat([
+    element(0x0008, 0x0060, 'CS', text(modality)),
+    element(0x0010, 0x0010, 'PN', text('DOE^JANE')),
+    element(0x0020, 0x000e, 'UI', text(series)),
+    element(0x0020, 0x0013, 'IS', text(String(instance))),
+    element(0x0028, 0x0002, 'US', uint16(1)),
+    element(0x0028, 0x0004, 'CS', text('MONOCHROME2')),
+    element(0x0028, 0x0010, 'US', uint16(8)),
+    element(0x0028, 0x0011, 'US', uint16(8)),
+    element(0x0028, 0x0100, 'US', uint16(8)),
+    element(0x7fe0, 0x0010, 'OW', Buffer.alloc(64, instance * 10))
+  ]);
+  return Buffer.concat([Buffer.alloc(128), Buffer.from('DICM', 'latin1'), meta, body]);
+}
+
+const zipOf = (files) => Buffer.from(zipSync(files));
+
+test('renders one slice file with its context and without identifiers', async () => {
+  const study = await renderDicomFile(dicomSlice({ series: '1.2.3', instance: 1 }), { maxDimension: 64 });
+  assert.equal(study.images.length, 1);
+  assert.equal(study.instanceCount, 1);
+  assert.match(study.context, /Modality: CT/);
+  assert.doesNotMatch(study.context, /DOE/);
+});
+
+test('renders only the sampled slices of each zipped series', async () => {
+  const files = {};
+  for (let i = 1; i <= 10; i++) files[`a/${i}.dcm`] = dicomSlice({ series: '1.2.3', instance: i });
+  for (let i = 1; i <= 4; i++) files[`b/${i}.dcm`] = dicomSlice({ series: '1.2.4', instance: i, modality: 'MR' });
+  files['README.txt'] = Buffer.from('not a slice');
+
+  const study = await renderDicomZip(zipOf(files), { maxZipBytes: 1024 * 1024, maxZipFiles: 100, maxSlicesPerSeries: 3, maxImages: 24, maxDimension: 64 });
+  assert.equal(study.instanceCount, 14);
+  assert.equal(study.seriesCount, 2);
+  assert.equal(study.images.length, 6);
+  assert.ok(study.images.every(image => /^[A-Za-z0-9+/=]+$/.test(image.data)));
+  assert.match(study.images[0].caption, /image \d+\/10$/);
+});
+
+test('returns null for a zip without DICOM files', async () => {
+  const study = await renderDicomZip(zipOf({ 'notes.txt': Buffer.from('hello') }), { maxZipBytes: 1024, maxZipFiles: 10 });
+  assert.equal(study, null);
+});
+
+test('refuses zips that expand past the limits', async () => {
+  const files = { 'a.dcm': dicomSlice({ series: '1', instance: 1 }), 'b.dcm': dicomSlice({ series: '1', instance: 2 }) };
+  await assert.rejects(renderDicomZip(zipOf(files), { maxZipBytes: 300, maxZipFiles: 10 }), /expands beyond/);
+  await assert.rejects(renderDicomZip(zipOf(files), { maxZipBytes: 1024 * 1024, maxZipFiles: 1 }), /more than 1 files/);
+});
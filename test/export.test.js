@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderCaseExport } from '../src/export.js';
+
+const record = {
+  id: 'abcdef12-3456-7890',
+  createdAt: '2026-01-01T10:00:00.000Z',
+  profile: 'Clinical Profile: 45 yo M with fever → CT.\nरोगी को तीन दिन से बुखार है।',
+  metadata: { mrn: '123', age: { value: 45, unit: 'years' }, sex: 'M', study: 'CT', brief: 'நோயாளிக்கு காய்ச்சல் 3 days' },
+  secondary: null
+};
+
+test('the PDF embeds fonts for Hindi and Tamil text instead of dropping it', async () => {
+  const { buffer, filename } = await renderCaseExport(record, 'pdf');
+  const pdf = buffer.toString('latin1');
+  assert.equal(filename, 'clinical-profile-abcdef12.pdf');
+  assert.match(pdf, /\/BaseFont \/\w+\+NotoSansDevanagari-Regular/);
+  assert.match(pdf, /\/BaseFont \/\w+\+NotoSansTamil-Regular/);
+  assert.doesNotMatch(pdf, /another script omitted/);
+});
+
+test('an English-only PDF sticks to the built-in fonts', async () => {
+  const { buffer } = await renderCaseExport({ ...record, profile: 'Clinical Profile: 45 yo M with fever.', metadata: null }, 'pdf');
+  assert.doesNotMatch(buffer.toString('latin1'), /NotoSans/);
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { applyFrameBudget, evenlySample } from '../src/frames.js';
+
+// Base64 strings of a given decoded size
+const frame = (bytes, tag = 'A') => tag.repeat(Math.ceil(bytes * 4 / 3));
+const totals = (groups) => ({
+  frames: groups.flat().length,
+  bytes: groups.flat().reduce((sum, f) => sum + Math.floor(f.length * 3 / 4), 0)
+});
+
+test('evenlySample keeps the ends and spaces the rest', () => {
+  assert.deepEqual(evenlySample([1, 2, 3, 4, 5, 6, 7, 8, 9], 3), [1, 5, 9]);
+  assert.deepEqual(evenlySample([1, 2, 3], 5), [1, 2, 3]);
+  assert.deepEqual(evenlySample([1, 2, 3], 1), [2]);
+});
+
+test('applyFrameBudget leaves groups that fit alone', () => {
+  const groups = [[frame(10), frame(10)], [frame(10)]];
+  assert.equal(applyFrameBudget(groups, { maxFrames: 5, maxBytes: 1000 }), groups);
+});
+
+test('applyFrameBudget shrinks every group proportionally', () => {
+  const groups = [Array.from({ length: 20 }, () => frame(10)), Array.from({ length: 10 }, () => frame(10))];
+  const budgeted = applyFrameBudget(groups, { maxFrames: 15, maxBytes: 10000 });
+  assert.deepEqual(budgeted.map(g => g.length), [10, 5]);
+});
+
+test('applyFrameBudget caps the total when there are more groups than maxFrames', () => {
+  const groups = Array.from({ length: 12 }, (_, i) => [frame(10, String.fromCharCode(65 + i)), frame(10, String.fromCharCode(65 + i))]);
+  const budgeted = applyFrameBudget(groups, { maxFrames: 5, maxBytes: 10000 });
+  assert.equal(budgeted.length, 12);
+  assert.equal(totals(budgeted).frames, 5);
+  assert.deepEqual(budgeted.slice(5).flat(), []);
+});
+
+test('applyFrameBudget never goes over the byte budget', () => {
+  const groups = Array.from({ length: 8 }, () => [frame(100), frame(100), frame(100)]);
+  const budgeted = applyFrameBudget(groups, { maxFrames: 100, maxBytes: 450 });
+  assert.ok(totals(budgeted).bytes <= 450);
+  assert.equal(totals(budgeted).frames, 4);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/storage.js';
+import { createCaseHistory } from '../src/history.js';
+
+const caseOf = (id, extra = {}) => ({
+  id,
+  createdAt: new Date(Date.UTC(2026, 0, Number(id.slice(1)))).toISOString(),
+  metadata: { mrn: 'MRN 12345', study: 'MRI brain' },
+  chatId: 1,
+  userId: '1',
+  channel: 'telegram',
+  client: null,
+  ...extra
+});
+
+test('cases of one MRN that complete together are all indexed', async () => {
+  const history = createCaseHistory({ storage: createStorage({ driver: 'memory' }) });
+  await Promise.all([history.record(caseOf('c1')), history.record(caseOf('c2')), history.record(caseOf('c3'))]);
+  const entries = await history.list('mrn12345');
+  assert.deepEqual(entries.map(e => e.caseId), ['c3', 'c2', 'c1']);
+});
+
+test('reruns, rewrites and cache copies are not indexed as studies', async () => {
+  const history = createCaseHistory({ storage: createStorage({ driver: 'memory' }) });
+  await history.record(caseOf('c1'));
+  await history.record(caseOf('c2', { sourceCaseId: 'c1' }));
+  await history.record(caseOf('c3', { cachedFrom: { caseId: 'c1' } }));
+  const entries = await history.list('MRN 12345');
+  assert.deepEqual(entries.map(e => e.caseId), ['c1']);
+});
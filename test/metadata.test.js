@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { repairJsonText, parseMetadataBlock, stripMetadataBlock, buildMetadataRepairPrompt, validateMetadata } from '../src/metadata.js';
+
+const block = (json) => `Clinical Profile text\n\n<<JSON>>${json}<<JSON>>`;
+
+test('repairJsonText leaves colons and commas inside string values alone', () => {
+  const repaired = repairJsonText('{"mrn":"123","brief":"K/c/o HTN, DM: on meds",}');
+  assert.deepEqual(JSON.parse(repaired), { mrn: '123', brief: 'K/c/o HTN, DM: on meds' });
+});
+
+test('repairJsonText swaps smart quotes without touching the values', () => {
+  const repaired = repairJsonText('{“mrn”:“123”,“brief”:“SOB: 2 days”,}');
+  assert.deepEqual(JSON.parse(repaired), { mrn: '123', brief: 'SOB: 2 days' });
+});
+
+test('repairJsonText quotes bare keys only outside string literals', () => {
+  const repaired = repairJsonText('```json\n{mrn: "123", brief: "c/o pain, DM: 10 yrs",\n}\n```');
+  assert.deepEqual(JSON.parse(repaired), { mrn: '123', brief: 'c/o pain, DM: 10 yrs' });
+});
+
+test('parseMetadataBlock repairs a trailing comma after a brief with a "word:" in it', () => {
+  const { data, errors } = parseMetadataBlock(block('{"mrn":"A12","age":"45 years","sex":"M","study":"MRI brain","brief":"K/c/o HTN, DM: on meds",}'));
+  assert.deepEqual(errors, []);
+  assert.equal(data.brief, 'K/c/o HTN, DM: on meds');
+  assert.deepEqual(data.age, { value: 45, unit: 'years' });
+  assert.equal(data.modality, 'MRI');
+});
+
+test('parseMetadataBlock repairs a smart-quoted block', () => {
+  const { data, errors } = parseMetadataBlock(block('{“mrn”:“A12”,“age”:“3 months”,“sex”:“female”,“study”:“USG abdomen”,“brief”:“SOB: 2 days”}'));
+  assert.deepEqual(errors, []);
+  assert.equal(data.brief, 'SOB: 2 days');
+  assert.equal(data.sex, 'F');
+  assert.equal(data.modality, 'USG');
+});
+
+test('parseMetadataBlock reports a block that cannot be repaired', () => {
+  const { data, errors } = parseMetadataBlock(block('{"mrn":"A12","brief":'));
+  assert.equal(data, null);
+  assert.match(errors[0], /not valid JSON/);
+});
+
+test('stripMetadataBlock removes the block from the profile', () => {
+  assert.equal(stripMetadataBlock(block('{"mrn":"A12"}')), 'Clinical Profile text');
+});
+
+test('buildMetadataRepairPrompt carries the profile and the rejected line', () => {
+  const prompt = buildMetadataRepairPrompt(block('{"mrn":"A12","brief":'), ['the <<JSON>> block is not valid JSON']);
+  assert.match(prompt, /=== CLINICAL PROFILE ===\nClinical Profile text\n/);
+  assert.match(prompt, /<<JSON>>\{"mrn":"A12","brief":<<JSON>>/);
+  assert.match(prompt, /rejected because: the <<JSON>> block is not valid JSON/);
+});
+
+test('validateMetadata reads the age out of age/sex notation', () => {
+  const ageOf = (age) => validateMetadata({ mrn: '1', age, sex: 'M', study: 'CT', brief: 'Fever' });
+  assert.deepEqual(ageOf('45Y/M').data.age, { value: 45, unit: 'years' });
+  assert.deepEqual(ageOf('45 Y/F').errors, []);
+  assert.deepEqual(ageOf('6M/F').data.age, { value: 6, unit: 'months' });
+  assert.deepEqual(ageOf('45/M').data.age, { value: 45, unit: 'years' });
+  assert.deepEqual(ageOf('45 y/o').data.age, { value: 45, unit: 'years' });
+});
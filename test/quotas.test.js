@@ -0,0 +1,110 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createStorage } from '../src/storage.js';
+import { createUsageQuotas, resolveQuotaLimit, formatWait } from '../src/quotas.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function setup({ userLimits = {}, globalLimits = {} } = {}) {
+  const clock = { now: Date.parse('2026-03-10T10:00:00Z') };
+  const storage = createStorage({ driver: 'memory' });
+  const quotas = createUsageQuotas({
+    storage,
+    userLimits: { runsPerHour: 0, mediaItemsPerDay: 0, videoMinutesPerDay: 0, ...userLimits },
+    globalLimits: { runsPerHour: 0, mediaItemsPerDay: 0, videoMinutesPerDay: 0, ...globalLimits },
+    now: () => clock.now
+  });
+  return { clock, storage, quotas };
+}
+
+test('consume refuses the run that would break the hourly limit and frees it an hour later', async () => {
+  const { clock, quotas } = setup({ userLimits: { runsPerHour: 2 } });
+  assert.equal((await quotas.consume(1)).ok, true);
+  clock.now += 10 * 60 * 1000;
+  assert.equal((await quotas.consume(1)).ok, true);
+
+  const { ok, breach } = await quotas.consume(1);
+  assert.equal(ok, false);
+  assert.equal(breach.limit, 'runsPerHour');
+  assert.equal(breach.scope, 'user');
+  assert.equal(breach.resetsInMs, 50 * 60 * 1000);
+
+  // Other users have their own allowance
+  assert.equal((await quotas.consume(2)).ok, true);
+
+  clock.now += 50 * 60 * 1000 + 1;
+  assert.equal((await quotas.consume(1)).ok, true);
+});
+
+test('media and video count per UTC day, and a refused run records nothing', async () => {
+  const { clock, quotas } = setup({ userLimits: { mediaItemsPerDay: 5, videoMinutesPerDay: 2 } });
+  assert.equal((await quotas.consume(1, { mediaItems: 4, videoSeconds: 60 })).ok, true);
+
+  const tooMany = await quotas.consume(1, { mediaItems: 2 });
+  assert.equal(tooMany.breach.limit, 'mediaItemsPerDay');
+  const tooLong = await quotas.consume(1, { mediaItems: 1, videoSeconds: 90 });
+  assert.equal(tooLong.breach.limit, 'videoMinutesPerDay');
+
+  const usage = await quotas.usageOf(1);
+  assert.deepEqual(usage.today, { runs: 1, mediaItems: 4, videoSeconds: 60 });
+
+  clock.now = Date.parse('2026-03-11T00:00:01Z');
+  assert.equal((await quotas.consume(1, { mediaItems: 5 })).ok, true);
+});
+
+test('the global limit applies across users', async () => {
+  const { quotas } = setup({ globalLimits: { runsPerHour: 2 } });
+  await quotas.consume(1);
+  await quotas.consume(2);
+  const { breach } = await quotas.consume(3);
+  assert.equal(breach.scope, 'global');
+});
+
+test('refund gives back exactly what consume recorded', async () => {
+  const { quotas } = setup({ userLimits: { runsPerHour: 1, mediaItemsPerDay: 3 } });
+  const demand = { runs: 1, mediaItems: 3, videoSeconds: 30 };
+  await quotas.consume(1, demand);
+  await quotas.consume(2, { runs: 1, mediaItems: 1 });
+  assert.equal((await quotas.consume(1, demand)).ok, false);
+
+  await quotas.refund(1, demand);
+  const usage = await quotas.usageOf(1);
+  assert.equal(usage.hourRuns, 0);
+  assert.deepEqual(usage.today, { runs: 0, mediaItems: 0, videoSeconds: 0 });
+  // The other user's run is still counted globally
+  assert.deepEqual((await quotas.globalUsage()).today, { runs: 1, mediaItems: 1, videoSeconds: 0 });
+  assert.equal((await quotas.consume(1, demand)).ok, true);
+});
+
+test('usage survives a restart through storage', async () => {
+  const { clock, storage, quotas } = setup({ userLimits: { runsPerHour: 1 } });
+  await quotas.consume(1);
+  const restarted = createUsageQuotas({ storage, userLimits: { runsPerHour: 1 }, globalLimits: {}, now: () => clock.now });
+  assert.equal((await restarted.consume(1)).ok, false);
+  clock.now += HOUR_MS + 1;
+  assert.equal((await restarted.consume(1)).ok, true);
+});
+
+test('overrides replace single limits and can be reset', async () => {
+  const { storage, quotas } = setup({ userLimits: { runsPerHour: 1 } });
+  await quotas.setOverride(1, 'runsPerHour', 3, 99);
+  assert.equal(quotas.limitsFor(1).runsPerHour, 3);
+  assert.equal(quotas.limitsFor(2).runsPerHour, 1);
+  await assert.rejects(quotas.setOverride(1, 'bogus', 1, 99), /Unknown limit/);
+  await assert.rejects(quotas.setOverride(1, 'runsPerHour', -1, 99), /0 or more/);
+
+  const reloaded = createUsageQuotas({ storage, userLimits: { runsPerHour: 1 }, globalLimits: {} });
+  await reloaded.load();
+  assert.equal(reloaded.limitsFor(1).runsPerHour, 3);
+
+  assert.equal(await quotas.setOverride(1, 'runsPerHour', null, 99), null);
+  assert.equal(quotas.limitsFor(1).runsPerHour, 1);
+});
+
+test('resolveQuotaLimit and formatWait', () => {
+  assert.equal(resolveQuotaLimit('video'), 'videoMinutesPerDay');
+  assert.equal(resolveQuotaLimit('runsPerHour'), 'runsPerHour');
+  assert.equal(resolveQuotaLimit('nope'), null);
+  assert.equal(formatWait(30 * 1000), '1m');
+  assert.equal(formatWait(90 * 60 * 1000), '1h 30m');
+});